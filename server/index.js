@@ -1,11 +1,56 @@
 const express = require('express');
-const fetch = require('node-fetch');
 const path = require('path');
 const mongoose = require('mongoose');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const ChatSession = require('./models/ChatSession');
 const User = require('./models/User');
+const ShareLink = require('./models/ShareLink');
+const AuthSession = require('./models/AuthSession');
+const crypto = require('crypto');
+const { getProvider, defaultProviderName, listProviders, ProviderError } = require('./providers');
+const { estimateTokens, trimHistory, limitAttachments } = require('./lib/history');
+const { buildSearchResult, escapeRegExp } = require('./lib/search');
+const { EXPORTERS, toJson, toMarkdown, exportFileName } = require('./lib/exporters');
+const { parseImport } = require('./lib/importers');
+const { buildTree, latestLeafUnder, activeBranch, sessionView, planTurn } = require('./lib/branches');
+const archiver = require('archiver');
+const { KNOWLEDGE_TYPES, addDocument, deleteDocument, retrieve, sourcesInstruction, citedSources } = require('./lib/knowledge');
+const KnowledgeDocument = require('./models/KnowledgeDocument');
+const PromptTemplate = require('./models/PromptTemplate');
+const { templateVariables, parseTemplate } = require('./lib/templates');
+const { parseLimit, createRateLimiter, formatWait } = require('./lib/rateLimit');
+const { recordUsage, recordFailure, getUsageSummary, exhaustedPeriod } = require('./lib/usage');
+const { MAX_STATS_DAYS, getAdminStats, deleteUserData } = require('./lib/admin');
+const {
+    ACCESS_TOKEN_TTL,
+    refreshTokenFrom,
+    setRefreshCookie,
+    clearRefreshCookie,
+    createSession,
+    rotateSession,
+    endSession
+} = require('./lib/authSessions');
+const { generateSecret, verifyTotp, otpauthUri, hashRecoveryCode, generateRecoveryCodes } = require('./lib/totp');
+const QRCode = require('qrcode');
+const { subscribe, publish, disconnect } = require('./lib/events');
+const { parseFeedback, listFeedback, FEEDBACK_CATEGORIES, FEEDBACK_RATINGS } = require('./lib/feedback');
+const { isOperator, requireOperator } = require('./lib/operators');
+const { roleOf, hasRole, accessibleBy, memberIds, forbiddenMessage, requireSessionRole } = require('./lib/access');
+const { toolDeclarations } = require('./tools');
+const { generateWithTools, streamWithTools } = require('./lib/toolCalling');
+const {
+    MAX_ATTACHMENT_BYTES,
+    validateUpload,
+    saveAttachment,
+    findAttachments,
+    findOwnedFile,
+    findFile,
+    openAttachment,
+    readAttachment,
+    deleteAttachments
+} = require('./lib/attachments');
+const { DEFAULT_SYSTEM_PROMPT, DEFAULT_GENERATION_CONFIG, GENERATION_LIMITS, parseSessionSettings, resolveSettings } = require('./lib/sessionSettings');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 
@@ -30,6 +75,8 @@ const connectWithRetry = async () => {
             socketTimeoutMS: 45000
         });
         console.log('Successfully connected to MongoDB Atlas');
+        await migrateLegacyShareTokens();
+        await promoteConfiguredAdmins();
     } catch (err) {
         console.error('MongoDB connection error:', err);
         console.log('Retrying connection in 5 seconds...');
@@ -37,6 +84,37 @@ const connectWithRetry = async () => {
     }
 };
 
+// Sessions used to carry a single shareToken; turn any left over into live ShareLinks
+// (same token, so existing URLs keep working) that can now be listed and revoked
+async function migrateLegacyShareTokens() {
+    try {
+        const sessions = await ChatSession.find({ shareToken: { $exists: true, $ne: null } });
+        for (const session of sessions) {
+            const exists = await ShareLink.exists({ token: session.shareToken });
+            if (!exists) {
+                await ShareLink.create({ token: session.shareToken, session: session._id, owner: session.owner, mode: 'live' });
+            }
+            await ChatSession.updateOne({ _id: session._id }, { $unset: { shareToken: 1 } });
+        }
+        if (sessions.length) console.log(`Migrated ${sessions.length} legacy share link(s)`);
+    } catch (err) {
+        console.error('Error migrating legacy share links:', err);
+    }
+}
+
+// Make the users named in ADMIN_USERNAMES (comma-separated) admins, so a deployment has a first
+// admin; more can then be appointed from the admin page
+async function promoteConfiguredAdmins() {
+    const usernames = (process.env.ADMIN_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+    if (!usernames.length) return;
+    try {
+        const { modifiedCount } = await User.updateMany({ username: { $in: usernames }, role: { $ne: 'admin' } }, { role: 'admin' });
+        if (modifiedCount) console.log(`Promoted ${modifiedCount} user(s) from ADMIN_USERNAMES to admin`);
+    } catch (err) {
+        console.error('Error promoting configured admins:', err);
+    }
+}
+
 // Handle MongoDB connection errors
 mongoose.connection.on('error', (err) => {
     console.error('MongoDB connection error:', err);
@@ -70,6 +148,7 @@ console.log(`Starting server - will listen on port ${port}`);
 console.log('Environment variables loaded:', {
     GEMINI_API_KEY: process.env.GEMINI_API_KEY ? 'Set (length: ' + process.env.GEMINI_API_KEY.length + ')' : 'Not set',
     GEMINI_MODEL: process.env.GEMINI_MODEL || 'Not set',
+    LLM_PROVIDER: defaultProviderName(),
     PORT: process.env.PORT || 'Not set'
 });
 
@@ -81,13 +160,124 @@ const allowedOrigins = process.env.NODE_ENV === 'production'
 
 app.use(cors({
     origin: allowedOrigins,
-    credentials: true
+    credentials: true,
+    // Read by the client to tell expired tokens from other 401s (see sendTokenError)
+    exposedHeaders: ['WWW-Authenticate']
 }));
 
+// Imports carry whole chat histories; every other route keeps the default body size limit
+app.use('/api/chat/import', express.json({ limit: '20mb' }));
 app.use(express.json());
 
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one hop) makes req.ip the real client
+// address instead of the proxy's, which the per-IP rate limits depend on
+if (process.env.TRUST_PROXY) {
+    const trust = process.env.TRUST_PROXY;
+    app.set('trust proxy', trust === 'true' ? true : (Number(trust) || trust));
+}
+
+// --- Rate limits ---
+// Each is "<requests>/<window>" (e.g. 20/15m) from the environment, or "off"; see README
+const authIpLimiter = createRateLimiter({
+    name: 'auth-ip',
+    limit: parseLimit(process.env.RATE_LIMIT_AUTH_IP, '20/15m'),
+    keyFor: (req) => req.ip,
+    message: 'Too many sign-in attempts from this address'
+});
+// Brute forcing one account from many addresses still hits the per-username limit
+const loginUserLimiter = createRateLimiter({
+    name: 'login-user',
+    limit: parseLimit(process.env.RATE_LIMIT_LOGIN_USER, '10/15m'),
+    keyFor: (req) => typeof req.body?.username === 'string' && req.body.username,
+    message: 'Too many sign-in attempts for this account'
+});
+// Guessing one-time codes is only feasible with many tries, so the second login step is
+// limited per account as well
+const twoFactorLimiter = createRateLimiter({
+    name: 'two-factor-user',
+    limit: parseLimit(process.env.RATE_LIMIT_2FA_USER, '10/15m'),
+    keyFor: (req) => loginChallengeUser(req.body?.challengeToken),
+    message: 'Too many verification attempts for this account'
+});
+const chatIpLimiter = createRateLimiter({
+    name: 'chat-ip',
+    limit: parseLimit(process.env.RATE_LIMIT_CHAT_IP, '120/1m'),
+    keyFor: (req) => req.ip
+});
+// Model calls spend the provider key, so they get a much tighter per-user limit
+const messageUserLimiter = createRateLimiter({
+    name: 'messages-user',
+    limit: parseLimit(process.env.RATE_LIMIT_MESSAGES_USER, '20/1m'),
+    keyFor: (req) => req.userId && String(req.userId),
+    message: 'You are sending messages too quickly'
+});
+
+app.use('/api/chat', chatIpLimiter);
+
 // --- Authentication endpoints ---
-app.post('/api/auth/signup', async (req, res) => {
+
+// Short-lived access tokens name the sign-in session (sid) they belong to and carry the user's
+// tokenVersion; deleting the session or bumping the version (e.g. on password change) revokes them.
+// Longer sign-ins are kept alive with the refresh token cookie (see lib/authSessions.js).
+const signToken = (user, sessionId) =>
+    jwt.sign({ sub: user._id, username: user.username, ver: user.tokenVersion || 0, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const authResponse = (user, sessionId) => ({
+    token: signToken(user, sessionId),
+    user: { id: user._id, username: user.username, role: user.role || 'user', operator: isOperator(user.username, user.role) }
+});
+
+const DISABLED_MESSAGE = 'This account has been disabled';
+
+// Proof that the password step of a 2FA login succeeded, valid for a few minutes
+const signLoginChallenge = (user) => jwt.sign({ sub: user._id, purpose: 'login-2fa' }, JWT_SECRET, { expiresIn: '5m' });
+
+// The user id of a valid login challenge, otherwise null
+function loginChallengeUser(challengeToken) {
+    try {
+        const payload = jwt.verify(String(challengeToken), JWT_SECRET);
+        return payload.purpose === 'login-2fa' ? String(payload.sub) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Check an authenticator code against the user's secret, remembering its time step so it
+// can't be used again
+async function useTotpCode(user, code) {
+    const step = verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return false;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+}
+
+// Check a recovery code, crossing it off when it matches
+async function useRecoveryCode(user, recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = user.twoFactor.recoveryCodeHashes || [];
+    if (!remaining.includes(hash)) return false;
+    user.twoFactor.recoveryCodeHashes = remaining.filter(h => h !== hash);
+    await user.save();
+    return true;
+}
+
+// Start a sign-in session for the device making the request and set its refresh cookie
+async function startSession(req, res, user) {
+    const { session, refreshToken } = await createSession(user._id, req);
+    setRefreshCookie(res, refreshToken);
+    return authResponse(user, session._id);
+}
+
+// Returns an error message when the password doesn't meet the policy, otherwise null
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters long';
+    if (password.length > 128) return 'Password must be at most 128 characters long';
+    if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) return 'Password must contain at least one letter and one number';
+    return null;
+}
+
+app.post('/api/auth/signup', authIpLimiter, async (req, res) => {
     try {
         const { username, password } = req.body;
         if (!username || !password) return res.status(400).json({ error: 'Missing username or password' });
@@ -95,18 +285,20 @@ app.post('/api/auth/signup', async (req, res) => {
         const existing = await User.findOne({ username });
         if (existing) return res.status(409).json({ error: 'Username already taken' });
 
+        const passwordError = validatePassword(password);
+        if (passwordError) return res.status(400).json({ error: passwordError });
+
         const passwordHash = await bcrypt.hash(password, 10);
         const user = await User.create({ username, passwordHash });
 
-        const token = jwt.sign({ sub: user._id, username: user.username }, JWT_SECRET, { expiresIn: '7d' });
-        res.json({ token, user: { id: user._id, username: user.username } });
+        res.json(await startSession(req, res, user));
     } catch (err) {
         console.error('Signup error:', err);
         res.status(500).json({ error: 'Error creating user' });
     }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', authIpLimiter, loginUserLimiter, async (req, res) => {
     try {
         const { username, password } = req.body;
         if (!username || !password) return res.status(400).json({ error: 'Missing username or password' });
@@ -116,308 +308,1747 @@ app.post('/api/auth/login', async (req, res) => {
 
         const ok = await bcrypt.compare(password, user.passwordHash);
         if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
+        if (user.disabledAt) return res.status(403).json({ error: DISABLED_MESSAGE });
+
+        // With 2FA on, the password only earns a short-lived challenge for the second step
+        if (user.twoFactor?.enabled) {
+            return res.json({ twoFactorRequired: true, challengeToken: signLoginChallenge(user) });
+        }
 
-        const token = jwt.sign({ sub: user._id, username: user.username }, JWT_SECRET, { expiresIn: '7d' });
-        res.json({ token, user: { id: user._id, username: user.username } });
+        res.json(await startSession(req, res, user));
     } catch (err) {
         console.error('Login error:', err);
         res.status(500).json({ error: 'Error logging in' });
     }
 });
 
+// Second login step for accounts with 2FA: { challengeToken, code } with a code from the
+// authenticator app, or { challengeToken, recoveryCode }
+app.post('/api/auth/login/2fa', authIpLimiter, twoFactorLimiter, async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const userId = loginChallengeUser(challengeToken);
+        if (!userId) return res.status(401).json({ error: 'Your login attempt has expired, please log in again' });
+        if (!code && !recoveryCode) return res.status(400).json({ error: 'Missing verification code' });
+
+        const user = await User.findById(userId);
+        if (!user || !user.twoFactor?.enabled) return res.status(401).json({ error: 'Invalid credentials' });
+        if (user.disabledAt) return res.status(403).json({ error: DISABLED_MESSAGE });
+
+        const ok = code ? await useTotpCode(user, code) : await useRecoveryCode(user, recoveryCode);
+        if (!ok) return res.status(401).json({ error: code ? 'Invalid verification code' : 'Invalid recovery code' });
+
+        res.json(await startSession(req, res, user));
+    } catch (err) {
+        console.error('2FA login error:', err);
+        res.status(500).json({ error: 'Error logging in' });
+    }
+});
+
+// 401 for a missing, expired or revoked access token. The WWW-Authenticate header tells the client
+// that renewing the token may help, unlike other 401s
+const sendTokenError = (res, error) =>
+    res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({ error });
+
 // Auth middleware
-function authMiddleware(req, res, next) {
+async function authMiddleware(req, res, next) {
     const auth = req.headers.authorization;
-    if (!auth || !auth.startsWith('Bearer ')) return res.status(401).json({ error: 'Missing or invalid Authorization header' });
+    if (!auth || !auth.startsWith('Bearer ')) return sendTokenError(res, 'Missing or invalid Authorization header');
     const token = auth.split(' ')[1];
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        return sendTokenError(res, 'Invalid token');
+    }
+
     try {
-        const payload = jwt.verify(token, JWT_SECRET);
-        req.userId = payload.sub;
-        req.username = payload.username;
-        next();
+        // Reject tokens issued before the user's last password change, and tokens of sessions
+        // that have been signed out
+        const [user, signedIn] = await Promise.all([
+            User.findById(payload.sub).select('tokenVersion role disabledAt'),
+            payload.sid && AuthSession.exists({ _id: payload.sid, user: payload.sub })
+        ]);
+        if (!user || (user.tokenVersion || 0) !== (payload.ver || 0) || !signedIn) {
+            return sendTokenError(res, 'Token has been revoked');
+        }
+        if (user.disabledAt) return sendTokenError(res, DISABLED_MESSAGE);
+        req.userRole = user.role || 'user';
     } catch (err) {
-        return res.status(401).json({ error: 'Invalid token' });
+        console.error('Error verifying token version:', err);
+        return res.status(500).json({ error: 'Error verifying token' });
     }
+
+    req.userId = payload.sub;
+    req.username = payload.username;
+    req.authSessionId = payload.sid;
+    req.tokenExpiresAt = payload.exp * 1000;
+    next();
 }
 
+// Exchange the refresh token cookie for a new access token (and a rotated cookie). This is
+// also how the client restores a sign-in when the page loads.
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { session, refreshToken, error } = await rotateSession(refreshTokenFrom(req), req);
+        if (error) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ error });
+        }
+        const user = await User.findById(session.user);
+        if (!user || user.disabledAt) {
+            await AuthSession.deleteOne({ _id: session._id });
+            clearRefreshCookie(res);
+            return res.status(401).json({ error: user ? DISABLED_MESSAGE : 'User not found' });
+        }
+        if (refreshToken) setRefreshCookie(res, refreshToken);
+        res.json(authResponse(user, session._id));
+    } catch (err) {
+        console.error('Token refresh error:', err);
+        res.status(500).json({ error: 'Error refreshing session' });
+    }
+});
+
+// Sign out this device. Works without a valid access token so an expired sign-in can still
+// be ended.
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const ended = await endSession(refreshTokenFrom(req));
+        if (ended) disconnect(ended.user, { only: ended._id });
+        clearRefreshCookie(res);
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: 'Error logging out' });
+    }
+});
+
+// Sign out every device, this one included
+app.post('/api/auth/logout-all', authMiddleware, async (req, res) => {
+    try {
+        const { deletedCount } = await AuthSession.deleteMany({ user: req.userId });
+        disconnect(req.userId);
+        clearRefreshCookie(res);
+        res.json({ message: `Signed out of ${deletedCount} device${deletedCount === 1 ? '' : 's'}` });
+    } catch (err) {
+        console.error('Logout everywhere error:', err);
+        res.status(500).json({ error: 'Error signing out of all devices' });
+    }
+});
+
+// The user's signed-in devices, most recently active first
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await AuthSession.find({ user: req.userId }).sort({ lastUsedAt: -1 });
+        res.json(sessions.map(session => ({
+            id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            current: String(session._id) === String(req.authSessionId)
+        })));
+    } catch (err) {
+        console.error('Error listing devices:', err);
+        res.status(500).json({ error: 'Error listing devices' });
+    }
+});
+
+// Sign out one device
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(400).json({ error: 'Invalid session ID format' });
+        const session = await AuthSession.findById(req.params.id);
+        if (!session) return res.status(404).json({ error: 'Device not found' });
+        if (String(session.user) !== String(req.userId)) return res.status(403).json({ error: 'Forbidden' });
+
+        await AuthSession.deleteOne({ _id: session._id });
+        disconnect(req.userId, { only: session._id });
+        if (String(session._id) === String(req.authSessionId)) clearRefreshCookie(res);
+        res.json({ message: 'Device signed out' });
+    } catch (err) {
+        console.error('Error signing out device:', err);
+        res.status(500).json({ error: 'Error signing out device' });
+    }
+});
+
+// Change password: verifies the current password, then bumps tokenVersion so every token
+// issued before the change stops working and signs out every other device. Returns a fresh
+// token for the caller.
+app.post('/api/auth/change-password', authIpLimiter, authMiddleware, async (req, res) => {
+    try {
+        const { oldPassword, newPassword } = req.body;
+        if (!oldPassword || !newPassword) return res.status(400).json({ error: 'Missing current or new password' });
+
+        const user = await User.findById(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const ok = await bcrypt.compare(oldPassword, user.passwordHash);
+        // 403 rather than 401: the sign-in is fine, the password isn't
+        if (!ok) return res.status(403).json({ error: 'Current password is incorrect' });
+
+        if (oldPassword === newPassword) return res.status(400).json({ error: 'New password must be different from the current password' });
+        const passwordError = validatePassword(newPassword);
+        if (passwordError) return res.status(400).json({ error: passwordError });
+
+        user.passwordHash = await bcrypt.hash(newPassword, 10);
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        await user.save();
+        await AuthSession.deleteMany({ user: user._id, _id: { $ne: req.authSessionId } });
+        disconnect(user._id, { keep: req.authSessionId });
+
+        res.json(authResponse(user, req.authSessionId));
+    } catch (err) {
+        console.error('Change password error:', err);
+        res.status(500).json({ error: 'Error changing password' });
+    }
+});
+
 // Get current user data
 app.get('/api/auth/me', authMiddleware, async (req, res) => {
     try {
         const user = await User.findById(req.userId).select('-passwordHash');
         if (!user) return res.status(404).json({ error: 'User not found' });
-        res.json({ user: { id: user._id, username: user.username } });
+        res.json({
+            user: {
+                id: user._id,
+                username: user.username,
+                role: user.role || 'user',
+                operator: isOperator(user.username, user.role),
+                twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+                recoveryCodesLeft: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodeHashes || []).length : undefined
+            }
+        });
     } catch (err) {
         console.error('Error fetching user data:', err);
         res.status(500).json({ error: 'Error fetching user data' });
     }
 });
 
-// Basic health
-app.get('/ping', (req, res) => res.json({ ok: true }));
+// --- Two-factor authentication ---
 
-// Get all chat sessions for the authenticated user
-app.get('/api/chat/sessions', authMiddleware, async (req, res) => {
+// Start enrolling: a new secret, as an otpauth:// URI and a QR code of it for authenticator
+// apps. 2FA only turns on once /api/auth/2fa/enable confirms a code from the app.
+app.post('/api/auth/2fa/setup', authMiddleware, async (req, res) => {
     try {
-        const sessions = await ChatSession.find({ owner: req.userId }).sort({ lastUpdated: -1 });
-        res.json(sessions);
+        const user = await User.findById(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.twoFactor?.enabled) return res.status(400).json({ error: 'Two-factor authentication is already on' });
+
+        const secret = generateSecret();
+        user.set('twoFactor.pendingSecret', secret);
+        await user.save();
+
+        const uri = otpauthUri(secret, user.username);
+        res.json({ secret, otpauthUri: uri, qrCode: await QRCode.toDataURL(uri) });
     } catch (err) {
-        res.status(500).json({ error: 'Error fetching chat sessions' });
+        console.error('2FA setup error:', err);
+        res.status(500).json({ error: 'Error setting up two-factor authentication' });
     }
 });
 
-// Create new chat session
-app.post('/api/chat/sessions', authMiddleware, async (req, res) => {
+// Finish enrolling with { code } from the app. Responds with the recovery codes, which are
+// only ever shown this once.
+app.post('/api/auth/2fa/enable', authIpLimiter, authMiddleware, async (req, res) => {
     try {
-        console.log('Creating new chat session for user', req.userId);
-        const title = req.body.title || 'New Chat';
-        const session = await ChatSession.create({
-            title,
-            owner: req.userId,
-            messages: []
-        });
-        console.log('Created new session:', session._id);
-        res.json(session);
+        const user = await User.findById(req.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.twoFactor?.enabled) return res.status(400).json({ error: 'Two-factor authentication is already on' });
+        const secret = user.twoFactor?.pendingSecret;
+        if (!secret) return res.status(400).json({ error: 'Start the setup first' });
+
+        const step = verifyTotp(secret, req.body.code);
+        if (step === null) return res.status(400).json({ error: 'That code is not valid, check the time on your device and try again' });
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor = { enabled: true, secret, lastUsedStep: step, recoveryCodeHashes: hashes, enabledAt: new Date() };
+        await user.save();
+        res.json({ recoveryCodes: codes });
     } catch (err) {
-        console.error('Error creating chat session:', err);
-        res.status(500).json({ error: 'Error creating chat session: ' + err.message });
+        console.error('2FA enable error:', err);
+        res.status(500).json({ error: 'Error enabling two-factor authentication' });
     }
 });
 
-// Get specific chat session
-app.get('/api/chat/sessions/:sessionId', authMiddleware, async (req, res) => {
+// Verify { password } for the 2FA changes below; sends the error response and resolves to
+// null when it doesn't match
+async function userWithPassword(req, res) {
+    const { password } = req.body;
+    if (!password) {
+        res.status(400).json({ error: 'Missing password' });
+        return null;
+    }
+    const user = await User.findById(req.userId);
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    if (!await bcrypt.compare(password, user.passwordHash)) {
+        // 403 rather than 401: the sign-in is fine, the password isn't
+        res.status(403).json({ error: 'Password is incorrect' });
+        return null;
+    }
+    if (!user.twoFactor?.enabled) {
+        res.status(400).json({ error: 'Two-factor authentication is not on' });
+        return null;
+    }
+    return user;
+}
+
+// Turn 2FA off after re-entering { password }
+app.post('/api/auth/2fa/disable', authIpLimiter, authMiddleware, async (req, res) => {
     try {
-        const session = await ChatSession.findById(req.params.sessionId);
-        if (!session) {
-            return res.status(404).json({ error: 'Chat session not found' });
-        }
-        if (String(session.owner) !== String(req.userId)) {
-            return res.status(403).json({ error: 'Forbidden' });
-        }
-        res.json(session);
+        const user = await userWithPassword(req, res);
+        if (!user) return;
+        user.twoFactor = undefined;
+        await user.save();
+        res.json({ message: 'Two-factor authentication turned off' });
     } catch (err) {
-        res.status(500).json({ error: 'Error fetching chat session' });
+        console.error('2FA disable error:', err);
+        res.status(500).json({ error: 'Error disabling two-factor authentication' });
     }
 });
 
-// Delete specific chat session
-app.delete('/api/chat/sessions/:sessionId', authMiddleware, async (req, res) => {
+// Replace the recovery codes after re-entering { password }; the old ones stop working
+app.post('/api/auth/2fa/recovery-codes', authIpLimiter, authMiddleware, async (req, res) => {
     try {
-        const session = await ChatSession.findById(req.params.sessionId);
-        if (!session) {
-            return res.status(404).json({ error: 'Chat session not found' });
-        }
-        if (String(session.owner) !== String(req.userId)) {
-            return res.status(403).json({ error: 'Forbidden' });
-        }
-        await ChatSession.findByIdAndDelete(req.params.sessionId);
-        res.json({ message: 'Chat session deleted successfully' });
+        const user = await userWithPassword(req, res);
+        if (!user) return;
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactor.recoveryCodeHashes = hashes;
+        await user.save();
+        res.json({ recoveryCodes: codes });
     } catch (err) {
-        res.status(500).json({ error: 'Error deleting chat session' });
+        console.error('Recovery code error:', err);
+        res.status(500).json({ error: 'Error generating recovery codes' });
     }
 });
 
-// Generate share token for a session
-app.post('/api/chat/sessions/:sessionId/share', authMiddleware, async (req, res) => {
+// Basic health
+app.get('/ping', (req, res) => res.json({ ok: true }));
+
+// Refuse model calls with 429 once the user's daily or monthly token quota is used up
+async function quotaMiddleware(req, res, next) {
     try {
-        const session = await ChatSession.findById(req.params.sessionId);
-        if (!session) {
-            return res.status(404).json({ error: 'Chat session not found' });
-        }
-        if (String(session.owner) !== String(req.userId)) {
-            return res.status(403).json({ error: 'Forbidden' });
+        const usage = await getUsageSummary(req.userId);
+        const period = exhaustedPeriod(usage);
+        if (!period) return next();
+
+        const retryAfter = Math.ceil((usage[period].resetsAt - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({
+            error: `You have used your ${period === 'day' ? 'daily' : 'monthly'} quota of ${usage[period].limit} tokens. It resets in ${formatWait(retryAfter)}.`,
+            retryAfter,
+            usage
+        });
+    } catch (err) {
+        console.error('Error checking usage quota:', err);
+        res.status(500).json({ error: 'Error checking usage quota' });
+    }
+}
+
+// Record the tokens a model call spent. Providers report usage with the response; when they
+// didn't (e.g. a stream cut off before its final chunk) it is estimated from the text.
+function trackUsage(userId, request, usage, reply) {
+    const counted = usage || {
+        promptTokens: estimateTokens(request.systemInstruction)
+            + request.messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0),
+        outputTokens: estimateTokens(reply)
+    };
+    return recordUsage(userId, counted).catch(err => console.error('Error recording usage:', err));
+}
+
+// Count a model call that failed, for the admin error rates
+const trackFailure = (userId) => recordFailure(userId).catch(err => console.error('Error recording failure:', err));
+
+// Tokens the user has spent today and this month, with the configured quotas
+app.get('/api/chat/usage', authMiddleware, async (req, res) => {
+    try {
+        res.json(await getUsageSummary(req.userId));
+    } catch (err) {
+        console.error('Error fetching usage:', err);
+        res.status(500).json({ error: 'Error fetching usage' });
+    }
+});
+
+// Model providers available on this server and the settings a session gets by default,
+// so clients can build the per-session settings form
+app.get('/api/chat/providers', authMiddleware, (req, res) => {
+    res.json({
+        default: defaultProviderName(),
+        providers: listProviders(),
+        defaults: {
+            systemPrompt: DEFAULT_SYSTEM_PROMPT,
+            generationConfig: DEFAULT_GENERATION_CONFIG,
+            limits: GENERATION_LIMITS
         }
+    });
+});
+
+// Tell the user's other tabs and devices about a change to their chats (see lib/events.js)
+const notifyClients = (req, event, data) => publish(req.userId, event, data, req.get('X-Client-Id'));
+
+// Tell everyone with access to the session about a change to it; `data` may be a function of
+// each member's user id. The requesting tab is skipped unless `toSender` is set.
+const notifyMembers = (req, session, event, data, { toSender = false } = {}) => {
+    for (const userId of memberIds(session)) {
+        publish(userId, event, typeof data === 'function' ? data(userId) : data, toSender ? undefined : req.get('X-Client-Id'));
+    }
+};
 
-        const crypto = require('crypto');
-        const shareToken = crypto.randomBytes(16).toString('hex');
+// sessionView plus the user's role in the session, so clients only offer what they may do
+const viewFor = (session, userId) => ({ ...sessionView(session), role: roleOf(session, userId) });
 
-        await ChatSession.findByIdAndUpdate(req.params.sessionId, { shareToken });
+const notifySessionUpdated = (req, session) => notifyMembers(req, session, 'session.updated', userId => ({ session: viewFor(session, userId) }));
 
-        // Use APP_URL from environment or construct from request
-        let host = process.env.APP_URL || (process.env.NODE_ENV === 'production' ? `${req.protocol}://${req.get('host')}` : 'http://localhost:3000');
-        // Remove trailing slash if present
-        host = host.replace(/\/$/, '');
-        const shareUrl = `${host}/share/${shareToken}`;
+// Live updates for this user as Server-Sent Events:
+//   session.created   { session }    a new chat (created, imported, forked or shared with the user)
+//   session.updated   { session }    renamed, reorganized, settings, members or branch changed
+//   session.deleted   { sessionId }  deleted, or the user is no longer a member
+//   message.appended  { session }    a turn was saved; session.messages is the new active branch
+// Changes to a chat with members are sent to all of them.
+app.get('/api/chat/events', authMiddleware, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    subscribe(req, res);
+});
 
-        res.json({ shareToken, shareUrl });
+// Get all chat sessions the authenticated user owns or is a member of
+app.get('/api/chat/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await ChatSession.find(accessibleBy(req.userId)).sort({ pinned: -1, lastUpdated: -1 });
+        res.json(sessions.map(session => ({ ...session.toObject(), role: roleOf(session, req.userId) })));
     } catch (err) {
-        console.error('Error generating share token:', err);
-        res.status(500).json({ error: 'Error generating share token' });
+        res.status(500).json({ error: 'Error fetching chat sessions' });
     }
 });
 
-// Get session by share token (public endpoint - NO authMiddleware)
-app.get('/api/chat/share/:token', async (req, res) => {
+// Full-text search across the user's sessions (titles and message contents), best matches first.
+// Expects ?q=; supports MongoDB $text syntax ("exact phrase", -excluded).
+app.get('/api/chat/search', authMiddleware, async (req, res) => {
     try {
-        const session = await ChatSession.findOne({ shareToken: req.params.token });
-        if (!session) {
-            return res.status(404).json({ error: 'Shared chat not found' });
-        }
-        res.json(session);
+        const query = String(req.query.q || '').trim();
+        if (!query) return res.status(400).json({ error: 'Missing search query' });
+        if (query.length > 200) return res.status(400).json({ error: 'Search query is too long' });
+
+        const sessions = await ChatSession.find(
+            { ...accessibleBy(req.userId), $text: { $search: query } },
+            { score: { $meta: 'textScore' } }
+        ).sort({ score: { $meta: 'textScore' } }).limit(20);
+
+        res.json({ query, results: sessions.map(session => buildSearchResult(session, query)) });
     } catch (err) {
-        console.error('Error fetching shared chat:', err);
-        res.status(500).json({ error: 'Error fetching shared chat' });
+        console.error('Error searching chat sessions:', err);
+        res.status(500).json({ error: 'Error searching chat sessions' });
     }
 });
 
-// Proxy endpoint to call Gemini-like API. Expects { input: 'user message' }
-app.post('/api/chat/sessions/:sessionId/messages', authMiddleware, async (req, res) => {
-    const { input } = req.body;
-    const { sessionId } = req.params;
+// File uploads (attachments, knowledge base documents) send the raw file as the body, with its
+// type as Content-Type and the file name in ?name=
+const rawUpload = express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES });
+function parseUpload(req, res, next) {
+    rawUpload(req, res, (err) => {
+        if (!err) return next();
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Uploads must be at most ${Math.round(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB` });
+        }
+        res.status(400).json({ error: 'Invalid upload' });
+    });
+}
 
-    console.log('Received message request:', { sessionId, input });
+const readUpload = (req) => ({
+    mimeType: String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+    name: path.basename(String(req.query.name || 'attachment')).slice(0, 200) || 'attachment',
+    buffer: Buffer.isBuffer(req.body) ? req.body : null
+});
+
+// Upload a file to attach to a message. Responds with { fileId, name, mimeType, size },
+// whose fileId goes into the message's attachmentIds.
+app.post('/api/chat/attachments', authMiddleware, parseUpload, async (req, res) => {
+    try {
+        const upload = readUpload(req);
+        const error = validateUpload(upload.buffer, upload.mimeType);
+        if (error) return res.status(400).json({ error });
 
-    if (!input) return res.status(400).json({ error: 'Missing input' });
-    if (!sessionId) return res.status(400).json({ error: 'Missing session ID' });
+        const attachment = await saveAttachment(req.userId, upload);
+        res.status(201).json(attachment);
+    } catch (err) {
+        console.error('Error saving attachment:', err);
+        res.status(500).json({ error: 'Error saving attachment' });
+    }
+});
 
-    let session;
-    // Verify session exists
+// Download one of the user's attachments
+app.get('/api/chat/attachments/:fileId', authMiddleware, async (req, res) => {
     try {
-        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
-            console.error('Invalid session ID format:', sessionId);
-            return res.status(400).json({ error: 'Invalid session ID format' });
+        const { fileId } = req.params;
+        let file = await findOwnedFile(req.userId, fileId);
+        if (!file) {
+            // Files other members attached to a chat the caller can open. The uploader must be
+            // in that chat too, so a reference to someone else's file doesn't unlock it.
+            const shared = await findFile(fileId);
+            const uploader = shared?.metadata?.owner;
+            if (shared && mongoose.isValidObjectId(uploader) && await ChatSession.exists({
+                $and: [accessibleBy(req.userId), accessibleBy(uploader)],
+                'messages.attachments.fileId': shared._id
+            })) {
+                file = shared;
+            }
         }
+        if (!file) return res.status(404).json({ error: 'Attachment not found' });
 
-        session = await ChatSession.findById(sessionId);
-        if (!session) {
-            console.error('Session not found:', sessionId);
-            return res.status(404).json({ error: 'Chat session not found' });
-        }
+        res.set({
+            'Content-Type': file.metadata.mimeType,
+            'Content-Length': String(file.length),
+            'Content-Disposition': `inline; filename*=UTF-8''${encodeURIComponent(file.filename)}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, max-age=86400'
+        });
+        openAttachment(file._id)
+            .on('error', (err) => {
+                console.error('Error streaming attachment:', err);
+                res.destroy(err);
+            })
+            .pipe(res);
     } catch (err) {
-        console.error('Error verifying session:', err);
-        return res.status(500).json({ error: 'Error verifying chat session: ' + err.message });
+        console.error('Error fetching attachment:', err);
+        res.status(500).json({ error: 'Error fetching attachment' });
     }
+});
 
-    if (String(session.owner) !== String(req.userId)) {
-        return res.status(403).json({ error: 'Forbidden' });
-    }
+// --- Knowledge base ---
 
-    const apiKey = process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-        // Development fallback: return an echo reply
-        console.warn('GEMINI_API_KEY not set — returning development echo response');
-        return res.json({ reply: `Echo (dev): ${input} — set GEMINI_API_KEY to use real Gemini.` });
-    }
-
-    try {
-        // Use the model name from .env or default to the modern, fast model
-        const MODEL_NAME = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
-
-        // FIX: Use the stable 'v1beta' API version and the standard generativelanguage domain.
-        // The API Key will be passed in the 'x-goog-api-key' header.
-        const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_NAME}:generateContent`;
-
-        // console.log(`Sending request to Gemini: ${endpoint}`);
-
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                // FIX: Pass the API key using the correct header 
-                'x-goog-api-key': apiKey
-            },
-            body: JSON.stringify({
-                // Correct nested structure for prompt input
-                contents: [{
-                    parts: [{
-                        text: "You are a helpful assistant. Always respond in common, unformatted, plain text only. Do not use Markdown, symbols like asterisks (*), or hashtags (#) for formatting.\n\n" + input
-                    }]
-                }],
-                // Correct name for generation configuration
-                generationConfig: {
-                    maxOutputTokens: 2048,
-                    temperature: 0.7,
-                    topP: 0.8,
-                    topK: 40
-                }
-            }),
-        });
+const knowledgeDocumentSummary = (doc) => ({
+    id: doc._id,
+    name: doc.name,
+    mimeType: doc.mimeType,
+    size: doc.size,
+    chunkCount: doc.chunkCount,
+    embeddingModel: doc.embeddingModel,
+    createdAt: doc.createdAt
+});
 
-        if (!response.ok) {
-            const errorBody = await response.text();
+// The user's knowledge base documents, newest first
+app.get('/api/chat/knowledge', authMiddleware, async (req, res) => {
+    try {
+        const documents = await KnowledgeDocument.find({ owner: req.userId }).sort({ createdAt: -1 });
+        res.json(documents.map(knowledgeDocumentSummary));
+    } catch (err) {
+        console.error('Error listing knowledge base:', err);
+        res.status(500).json({ error: 'Error listing knowledge base' });
+    }
+});
 
-            // Log full upstream error details
-            // console.error(`Gemini API returned ${response.status} from ${endpoint}:`, errorBody);
+// Add a text, Markdown or PDF file to the knowledge base (uploaded like attachments). The text
+// is chunked and embedded before responding with the document summary.
+app.post('/api/chat/knowledge', authMiddleware, parseUpload, async (req, res) => {
+    try {
+        const upload = readUpload(req);
+        if (!KNOWLEDGE_TYPES.includes(upload.mimeType)) {
+            return res.status(400).json({ error: 'Only text, Markdown and PDF files can be added to the knowledge base' });
+        }
+        const uploadError = validateUpload(upload.buffer, upload.mimeType);
+        if (uploadError) return res.status(400).json({ error: uploadError });
 
-            let hint;
-            if (response.status === 404) {
-                // If 404 persists, the API key might not be provisioned for this model/version
-                hint = `404 Not Found. Check the Model Name (${MODEL_NAME}) and API version (v1beta). Try regenerating your API key.`;
-            } else if (response.status === 403) {
-                hint = '403 Forbidden. Your API key may be invalid, or billing/quota limits may be reached.';
-            } else if (response.status === 400 && errorBody.includes("API_KEY_INVALID")) {
-                hint = '400 Bad Request / API_KEY_INVALID. The API key is likely incorrect or expired.';
-            }
+        const { document, error } = await addDocument(req.userId, upload);
+        if (error) return res.status(400).json({ error });
+        console.log(`Added knowledge document ${document._id} (${document.chunkCount} chunks, ${document.embeddingModel})`);
+        res.status(201).json(knowledgeDocumentSummary(document));
+    } catch (err) {
+        console.error('Error adding knowledge document:', err);
+        res.status(500).json({ error: 'Error adding document to the knowledge base' });
+    }
+});
 
-            // Return structured JSON so frontend can display a clearer message
-            return res.status(502).json({
-                error: 'Upstream API error',
-                upstreamStatus: response.status,
-                upstreamBody: errorBody,
-                hint,
-            });
+app.delete('/api/chat/knowledge/:documentId', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.documentId)) {
+            return res.status(400).json({ error: 'Invalid document ID format' });
+        }
+        const document = await KnowledgeDocument.findById(req.params.documentId);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found' });
         }
+        if (String(document.owner) !== String(req.userId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+        await deleteDocument(document);
+        res.json({ message: 'Document removed from the knowledge base' });
+    } catch (err) {
+        console.error('Error deleting knowledge document:', err);
+        res.status(500).json({ error: 'Error deleting knowledge document' });
+    }
+});
+
+// What the slash command picker and the template manager show about a template
+const templateView = (template, userId, ownerName) => ({
+    id: template._id,
+    name: template.name,
+    description: template.description,
+    content: template.content,
+    variables: templateVariables(template.content),
+    shared: template.shared,
+    mine: String(template.owner) === String(userId),
+    owner: ownerName || null,
+    updatedAt: template.updatedAt
+});
 
-        const data = await response.json();
-        // console.log('Gemini raw response:', JSON.stringify(data, null, 2));
+// Load one of the user's own templates for editing or deletion; resolves to null after
+// sending the error response
+async function findOwnTemplate(req, res) {
+    const { templateId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+        res.status(400).json({ error: 'Invalid template ID format' });
+        return null;
+    }
+    const template = await PromptTemplate.findById(templateId);
+    if (!template || (String(template.owner) !== String(req.userId) && !template.shared)) {
+        res.status(404).json({ error: 'Template not found' });
+        return null;
+    }
+    if (String(template.owner) !== String(req.userId)) {
+        res.status(403).json({ error: 'Only the author of a shared template can change it' });
+        return null;
+    }
+    return template;
+}
 
-        // Handle response from Gemini API v1beta
-        let reply = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+const duplicateTemplateName = (err) => err.code === 11000;
 
-        if (reply) {
-            // Update chat session with new messages
-            await ChatSession.findByIdAndUpdate(
-                sessionId,
-                {
-                    $push: {
-                        messages: [
-                            { role: 'user', content: input },
-                            { role: 'assistant', content: reply }
-                        ]
-                    },
-                    lastUpdated: new Date()
-                }
-            );
-
-            // Update title for new sessions (first message)
-            const session = await ChatSession.findById(sessionId);
-            if (session.messages.length === 2) {
-                await ChatSession.findByIdAndUpdate(
-                    sessionId,
-                    { title: input.slice(0, 50) + (input.length > 50 ? '...' : '') }
-                );
-            }
+// The user's templates and those shared by others, by name (own first when names clash)
+app.get('/api/chat/templates', authMiddleware, async (req, res) => {
+    try {
+        const templates = await PromptTemplate.find({ $or: [{ owner: req.userId }, { shared: true }] });
+        const owners = await User.find({ _id: { $in: templates.map(template => template.owner) } }).select('username');
+        const usernames = new Map(owners.map(user => [String(user._id), user.username]));
+        const views = templates.map(template => templateView(template, req.userId, usernames.get(String(template.owner))));
+        views.sort((a, b) => a.name.localeCompare(b.name) || Number(b.mine) - Number(a.mine));
+        res.json(views);
+    } catch (err) {
+        console.error('Error listing prompt templates:', err);
+        res.status(500).json({ error: 'Error listing prompt templates' });
+    }
+});
 
-            res.json({ reply });
-        } else if (data?.promptFeedback?.blockReason) {
-            // Handle cases where the model blocks the prompt (e.g., safety filter)
-            reply = `Your prompt was blocked due to: ${data.promptFeedback.blockReason}.`;
-
-            // Update chat session with new messages
-            await ChatSession.findByIdAndUpdate(
-                sessionId,
-                {
-                    $push: {
-                        messages: [
-                            { role: 'user', content: input },
-                            { role: 'assistant', content: reply }
-                        ]
-                    },
-                    lastUpdated: new Date()
-                }
-            );
-
-            res.json({ reply });
+// Create a template. Expects { name, content, description?, shared? }
+app.post('/api/chat/templates', authMiddleware, async (req, res) => {
+    try {
+        const { changes, error } = parseTemplate(req.body);
+        if (error) return res.status(400).json({ error });
+        const template = await PromptTemplate.create({ ...changes, owner: req.userId });
+        res.status(201).json(templateView(template, req.userId, req.username));
+    } catch (err) {
+        if (duplicateTemplateName(err)) {
+            return res.status(409).json({ error: 'You already have a template with this name' });
         }
-        else {
-            console.warn('Unexpected Gemini response structure or no text generated:', data);
-            res.status(502).json({
-                error: "The model returned a response, but I couldn't find the text or reason for failure.",
-                data: data
-            });
+        console.error('Error creating prompt template:', err);
+        res.status(500).json({ error: 'Error creating prompt template' });
+    }
+});
+
+// Update any of name, description, content and shared on one of the user's templates
+app.patch('/api/chat/templates/:templateId', authMiddleware, async (req, res) => {
+    try {
+        const { changes, error } = parseTemplate(req.body, { partial: true });
+        if (error) return res.status(400).json({ error });
+        const template = await findOwnTemplate(req, res);
+        if (!template) return;
+
+        template.set({ ...changes, updatedAt: new Date() });
+        await template.save();
+        res.json(templateView(template, req.userId, req.username));
+    } catch (err) {
+        if (duplicateTemplateName(err)) {
+            return res.status(409).json({ error: 'You already have a template with this name' });
         }
+        console.error('Error updating prompt template:', err);
+        res.status(500).json({ error: 'Error updating prompt template' });
+    }
+});
+
+app.delete('/api/chat/templates/:templateId', authMiddleware, async (req, res) => {
+    try {
+        const template = await findOwnTemplate(req, res);
+        if (!template) return;
+        await template.deleteOne();
+        res.json({ message: 'Template deleted' });
     } catch (err) {
-        // console.error('chat error', err);
-        res.status(500).json({ error: String(err) });
+        console.error('Error deleting prompt template:', err);
+        res.status(500).json({ error: 'Error deleting prompt template' });
+    }
+});
+
+// Create new chat session
+app.post('/api/chat/sessions', authMiddleware, async (req, res) => {
+    try {
+        console.log('Creating new chat session for user', req.userId);
+        const title = req.body.title || 'New Chat';
+        const { settings, error } = parseSessionSettings(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const session = new ChatSession({
+            title,
+            owner: req.userId,
+            messages: []
+        });
+        session.set(settings);
+        await session.save();
+        console.log('Created new session:', session._id);
+        notifyClients(req, 'session.created', { session });
+        res.json(session);
+    } catch (err) {
+        console.error('Error creating chat session:', err);
+        res.status(500).json({ error: 'Error creating chat session: ' + err.message });
+    }
+});
+
+// Get specific chat session
+app.get('/api/chat/sessions/:sessionId', authMiddleware, requireSessionRole('viewer'), async (req, res) => {
+    try {
+        res.json(viewFor(req.chatSession, req.userId));
+    } catch (err) {
+        res.status(500).json({ error: 'Error fetching chat session' });
+    }
+});
+
+// Delete specific chat session
+app.delete('/api/chat/sessions/:sessionId', authMiddleware, requireSessionRole('owner'), async (req, res) => {
+    try {
+        const session = req.chatSession;
+        await ChatSession.findByIdAndDelete(req.params.sessionId);
+        await ShareLink.deleteMany({ session: req.params.sessionId });
+        await deleteAttachments(session.messages.flatMap(msg => (msg.attachments || []).map(file => file.fileId)));
+        notifyMembers(req, session, 'session.deleted', { sessionId: session._id });
+        res.json({ message: 'Chat session deleted successfully' });
+    } catch (err) {
+        res.status(500).json({ error: 'Error deleting chat session' });
+    }
+});
+
+// Validate the organization fields of a session update. Returns { changes } with only the
+// fields present in the body, or { error }. An empty folder moves the session out of its folder.
+function parseSessionOrganization(body) {
+    const changes = {};
+
+    if (body.title !== undefined) {
+        const title = typeof body.title === 'string' ? body.title.trim() : '';
+        if (!title) return { error: 'Title cannot be empty' };
+        if (title.length > 100) return { error: 'Title must be at most 100 characters' };
+        changes.title = title;
+    }
+
+    if (body.pinned !== undefined) {
+        if (typeof body.pinned !== 'boolean') return { error: 'pinned must be true or false' };
+        changes.pinned = body.pinned;
+    }
+
+    if (body.folder !== undefined) {
+        if (body.folder !== null && typeof body.folder !== 'string') return { error: 'folder must be a string' };
+        const folder = (body.folder || '').trim();
+        if (folder.length > 50) return { error: 'Folder name must be at most 50 characters' };
+        changes.folder = folder || undefined;
+    }
+
+    if (body.tags !== undefined) {
+        if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+            return { error: 'tags must be an array of strings' };
+        }
+        const tags = [...new Set(body.tags.map(tag => tag.trim()).filter(Boolean))];
+        if (tags.length > 10) return { error: 'A chat can have at most 10 tags' };
+        if (tags.some(tag => tag.length > 30)) return { error: 'Tags must be at most 30 characters' };
+        changes.tags = tags;
+    }
+
+    return { changes };
+}
+
+// Rename, pin, file into a folder or tag a session. Editors may rename; the rest organizes the
+// owner's sidebar, so only the owner may change it.
+app.patch('/api/chat/sessions/:sessionId', authMiddleware, requireSessionRole('editor'), async (req, res) => {
+    try {
+        const session = req.chatSession;
+        const { changes, error } = parseSessionOrganization(req.body);
+        if (error) return res.status(400).json({ error });
+        if (Object.keys(changes).some(field => field !== 'title') && !hasRole(session, req.userId, 'owner')) {
+            return res.status(403).json({ error: forbiddenMessage('owner') });
+        }
+
+        session.set(changes);
+        await session.save();
+        notifySessionUpdated(req, session);
+        res.json(viewFor(session, req.userId));
+    } catch (err) {
+        console.error('Error updating chat session:', err);
+        res.status(500).json({ error: 'Error updating chat session' });
+    }
+});
+
+// Update a session's provider, model, system prompt and generation parameters.
+// Only the fields present in the body change; null or '' resets a field to its default.
+app.put('/api/chat/sessions/:sessionId/settings', authMiddleware, requireSessionRole('editor'), async (req, res) => {
+    try {
+        const session = req.chatSession;
+        const { settings, error } = parseSessionSettings(req.body);
+        if (error) return res.status(400).json({ error });
+        // Replies would quote the owner's knowledge base, so only the owner decides on it
+        if (settings.useKnowledgeBase !== undefined && req.sessionRole !== 'owner') {
+            if (settings.useKnowledgeBase !== Boolean(session.useKnowledgeBase)) {
+                return res.status(403).json({ error: 'Only the owner can change whether this chat uses their knowledge base' });
+            }
+            delete settings.useKnowledgeBase;
+        }
+
+        session.set(settings);
+        await session.save();
+        notifySessionUpdated(req, session);
+        res.json(viewFor(session, req.userId));
+    } catch (err) {
+        console.error('Error updating session settings:', err);
+        res.status(500).json({ error: 'Error updating session settings' });
+    }
+});
+
+// Switch the session to the branch through `messageId` (e.g. another version of an edited
+// message), continuing down to the newest message below it. Expects { messageId }.
+app.put('/api/chat/sessions/:sessionId/branch', authMiddleware, requireSessionRole('editor'), async (req, res) => {
+    try {
+        const session = req.chatSession;
+        const tree = buildTree(session.messages);
+        const { messageId } = req.body;
+        if (!messageId || !tree.byId.has(String(messageId))) {
+            return res.status(400).json({ error: 'Message not found in this chat' });
+        }
+
+        session.currentLeafId = latestLeafUnder(tree, messageId);
+        await session.save();
+        notifySessionUpdated(req, session);
+        res.json(viewFor(session, req.userId));
+    } catch (err) {
+        console.error('Error switching branch:', err);
+        res.status(500).json({ error: 'Error switching branch' });
+    }
+});
+
+// Rate an assistant reply (see lib/feedback.js). Expects { rating: 'up' | 'down' | null,
+// category, comment }; null removes the rating.
+app.put('/api/chat/sessions/:sessionId/messages/:messageId/feedback', authMiddleware, requireSessionRole('editor'), async (req, res) => {
+    try {
+        const session = req.chatSession;
+        const message = mongoose.Types.ObjectId.isValid(req.params.messageId) && session.messages.id(req.params.messageId);
+        if (!message || message.role !== 'assistant') {
+            return res.status(404).json({ error: 'Reply not found in this chat' });
+        }
+
+        const { feedback, error } = parseFeedback(req.body);
+        if (error) return res.status(400).json({ error });
+
+        if (feedback) {
+            const { systemPrompt, generationConfig } = resolveSettings(session);
+            message.feedback = {
+                ...feedback,
+                user: req.userId,
+                settings: { provider: session.provider || defaultProviderName(), systemPrompt, generationConfig },
+                ratedAt: new Date()
+            };
+        } else {
+            message.set('feedback', undefined);
+        }
+        await session.save();
+        notifySessionUpdated(req, session);
+        res.json({ feedback: message.feedback || null });
+    } catch (err) {
+        console.error('Error saving feedback:', err);
+        res.status(500).json({ error: 'Error saving feedback' });
+    }
+});
+
+// --- Members ---
+
+// The session's owner and members with their usernames, as shown in the members dialog
+async function membersView(session) {
+    const users = await User.find({ _id: { $in: memberIds(session) } }).select('username');
+    const usernames = new Map(users.map(user => [String(user._id), user.username]));
+    return [
+        { userId: session.owner, username: usernames.get(String(session.owner)), role: 'owner' },
+        ...session.members.map(member => ({
+            userId: member.user,
+            username: usernames.get(String(member.user)),
+            role: member.role,
+            addedAt: member.addedAt
+        }))
+    ];
+}
+
+const MEMBER_ROLES = ['viewer', 'editor'];
+
+// List who has access to a session, and the caller's own role
+app.get('/api/chat/sessions/:sessionId/members', authMiddleware, requireSessionRole('viewer'), async (req, res) => {
+    try {
+        res.json({ role: req.sessionRole, members: await membersView(req.chatSession) });
+    } catch (err) {
+        console.error('Error fetching members:', err);
+        res.status(500).json({ error: 'Error fetching members' });
+    }
+});
+
+// Invite someone into the session. Expects { username, role: 'viewer' | 'editor' }.
+app.post('/api/chat/sessions/:sessionId/members', authMiddleware, requireSessionRole('owner'), async (req, res) => {
+    try {
+        const session = req.chatSession;
+        const { username, role } = req.body;
+        if (!MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({ error: "role must be 'viewer' or 'editor'" });
+        }
+        const user = typeof username === 'string' && await User.findOne({ username: username.trim() });
+        if (!user) {
+            return res.status(404).json({ error: 'No user with that username' });
+        }
+        if (roleOf(session, user._id)) {
+            return res.status(409).json({ error: `${user.username} already has access to this chat` });
+        }
+
+        session.members.push({ user: user._id, role });
+        await session.save();
+        publish(user._id, 'session.created', { session: viewFor(session, user._id) });
+        notifySessionUpdated(req, session);
+        res.json({ role: req.sessionRole, members: await membersView(session) });
+    } catch (err) {
+        console.error('Error adding member:', err);
+        res.status(500).json({ error: 'Error adding member' });
+    }
+});
+
+// Change a member's role. Expects { role: 'viewer' | 'editor' }.
+app.patch('/api/chat/sessions/:sessionId/members/:userId', authMiddleware, requireSessionRole('owner'), async (req, res) => {
+    try {
+        const session = req.chatSession;
+        const { role } = req.body;
+        if (!MEMBER_ROLES.includes(role)) {
+            return res.status(400).json({ error: "role must be 'viewer' or 'editor'" });
+        }
+        const member = session.members.find(m => String(m.user) === req.params.userId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        member.role = role;
+        await session.save();
+        notifySessionUpdated(req, session);
+        res.json({ role: req.sessionRole, members: await membersView(session) });
+    } catch (err) {
+        console.error('Error changing member role:', err);
+        res.status(500).json({ error: 'Error changing member role' });
+    }
+});
+
+// Remove a member; the owner can remove anyone, and members can remove themselves (leave)
+app.delete('/api/chat/sessions/:sessionId/members/:userId', authMiddleware, requireSessionRole('viewer'), async (req, res) => {
+    try {
+        const session = req.chatSession;
+        const leaving = req.params.userId === String(req.userId);
+        if (!leaving && req.sessionRole !== 'owner') {
+            return res.status(403).json({ error: forbiddenMessage('owner') });
+        }
+        const member = session.members.find(m => String(m.user) === req.params.userId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        session.members = session.members.filter(m => m !== member);
+        await session.save();
+        publish(member.user, 'session.deleted', { sessionId: session._id }, req.get('X-Client-Id'));
+        notifySessionUpdated(req, session);
+        res.json({ role: leaving ? null : req.sessionRole, members: await membersView(session) });
+    } catch (err) {
+        console.error('Error removing member:', err);
+        res.status(500).json({ error: 'Error removing member' });
+    }
+});
+
+// Download one session as Markdown, JSON or HTML (?format=md|json|html, default md)
+app.get('/api/chat/sessions/:sessionId/export', authMiddleware, requireSessionRole('viewer'), async (req, res) => {
+    try {
+        const exporter = EXPORTERS[req.query.format || 'md'];
+        if (!exporter) return res.status(400).json({ error: 'format must be one of md, json, html' });
+
+        const session = req.chatSession;
+
+        res.type(exporter.contentType);
+        res.attachment(exportFileName(session, exporter.extension));
+        res.send(exporter.render(session));
+    } catch (err) {
+        console.error('Error exporting chat session:', err);
+        res.status(500).json({ error: 'Error exporting chat session' });
+    }
+});
+
+// Download every session of the user as a zip: chats.json (re-importable) plus one Markdown file per chat
+app.get('/api/chat/export', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await ChatSession.find({ owner: req.userId }).sort({ createdAt: 1 });
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('error', (err) => {
+            console.error('Error building export archive:', err);
+            res.destroy(err);
+        });
+
+        res.type('application/zip');
+        res.attachment(`chats-${new Date().toISOString().slice(0, 10)}.zip`);
+        archive.pipe(res);
+        archive.append(toJson(sessions), { name: 'chats.json' });
+        for (const session of sessions) {
+            archive.append(toMarkdown(session), { name: `markdown/${exportFileName(session, 'md')}` });
+        }
+        await archive.finalize();
+    } catch (err) {
+        console.error('Error exporting chat sessions:', err);
+        if (!res.headersSent) res.status(500).json({ error: 'Error exporting chat sessions' });
+    }
+});
+
+// Recreate sessions, with their original timestamps, from our JSON export or a ChatGPT
+// conversations.json. Settings and organization fields that fail validation are dropped.
+app.post('/api/chat/import', authMiddleware, async (req, res) => {
+    try {
+        const { sessions, error } = parseImport(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const docs = sessions.map(imported => {
+            const session = new ChatSession({
+                title: imported.title,
+                owner: req.userId,
+                messages: imported.messages,
+                createdAt: imported.createdAt,
+                lastUpdated: imported.lastUpdated
+            });
+
+            const { pinned, folder, tags } = imported.fields;
+            const organization = parseSessionOrganization({ pinned, folder, tags });
+            if (!organization.error) session.set(organization.changes);
+            const settings = parseSessionSettings(imported.fields);
+            if (!settings.error) session.set(settings.settings);
+            return session;
+        });
+
+        const created = await ChatSession.insertMany(docs);
+        console.log(`Imported ${created.length} chat session(s) for user`, req.userId);
+        for (const session of created) notifyClients(req, 'session.created', { session });
+        res.json({ imported: created.length, sessions: created });
+    } catch (err) {
+        console.error('Error importing chat sessions:', err);
+        res.status(500).json({ error: 'Error importing chat sessions' });
+    }
+});
+
+// Public URL of a share link. Uses APP_URL from environment or constructs it from the request
+function shareUrlFor(req, token) {
+    let host = process.env.APP_URL || (process.env.NODE_ENV === 'production' ? `${req.protocol}://${req.get('host')}` : 'http://localhost:3000');
+    // Remove trailing slash if present
+    host = host.replace(/\/$/, '');
+    return `${host}/share/${token}`;
+}
+
+// What the owner sees about one of their links in the "Manage shared links" panel
+const shareLinkSummary = (req, link, sessionTitle) => ({
+    id: link._id,
+    sessionId: link.session,
+    sessionTitle,
+    shareUrl: shareUrlFor(req, link.token),
+    mode: link.mode,
+    expiresAt: link.expiresAt,
+    revokedAt: link.revokedAt,
+    active: link.isActive(),
+    viewCount: link.viewCount,
+    lastViewedAt: link.lastViewedAt,
+    createdAt: link.createdAt
+});
+
+// Only the conversation itself is public: no ids, owner, tokens or settings
+const publicMessage = (msg) => ({
+    role: msg.role,
+    content: msg.content,
+    timestamp: msg.timestamp,
+    interrupted: Boolean(msg.interrupted)
+});
+
+const MAX_SHARE_DAYS = 365;
+
+// Create a share link for a session. Body: { mode: 'snapshot' | 'live', expiresInDays }.
+// Snapshots (the default) freeze the messages as they are now; live links follow the chat.
+app.post('/api/chat/sessions/:sessionId/share', authMiddleware, requireSessionRole('owner'), async (req, res) => {
+    try {
+        const session = req.chatSession;
+
+        const mode = req.body.mode || 'snapshot';
+        if (!['snapshot', 'live'].includes(mode)) {
+            return res.status(400).json({ error: "mode must be 'snapshot' or 'live'" });
+        }
+
+        let expiresAt;
+        if (req.body.expiresInDays !== undefined && req.body.expiresInDays !== null && req.body.expiresInDays !== '') {
+            const days = Number(req.body.expiresInDays);
+            if (!Number.isFinite(days) || days <= 0 || days > MAX_SHARE_DAYS) {
+                return res.status(400).json({ error: `expiresInDays must be a positive number of days, at most ${MAX_SHARE_DAYS}` });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+
+        const link = await ShareLink.create({
+            token: crypto.randomBytes(16).toString('hex'),
+            session: session._id,
+            owner: req.userId,
+            mode,
+            snapshot: mode === 'snapshot'
+                ? { title: session.title, messages: activeBranch(session).map(publicMessage) }
+                : undefined,
+            expiresAt
+        });
+
+        res.json({ shareToken: link.token, ...shareLinkSummary(req, link, session.title) });
+    } catch (err) {
+        console.error('Error generating share token:', err);
+        res.status(500).json({ error: 'Error generating share token' });
+    }
+});
+
+// List the user's share links, newest first
+app.get('/api/chat/shares', authMiddleware, async (req, res) => {
+    try {
+        const links = await ShareLink.find({ owner: req.userId })
+            .sort({ createdAt: -1 })
+            .populate('session', 'title');
+        res.json(links.map(link => shareLinkSummary(
+            req,
+            link,
+            link.session?.title || link.snapshot?.title || 'Deleted chat'
+        )));
+    } catch (err) {
+        console.error('Error fetching share links:', err);
+        res.status(500).json({ error: 'Error fetching share links' });
+    }
+});
+
+// Revoke a share link; the URL stops working immediately
+app.delete('/api/chat/shares/:shareId', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.shareId)) {
+            return res.status(400).json({ error: 'Invalid share link ID format' });
+        }
+        const link = await ShareLink.findById(req.params.shareId);
+        if (!link) {
+            return res.status(404).json({ error: 'Share link not found' });
+        }
+        if (String(link.owner) !== String(req.userId)) {
+            return res.status(403).json({ error: 'Forbidden' });
+        }
+
+        if (!link.revokedAt) {
+            link.revokedAt = new Date();
+            await link.save();
+        }
+        res.json(shareLinkSummary(req, link));
+    } catch (err) {
+        console.error('Error revoking share link:', err);
+        res.status(500).json({ error: 'Error revoking share link' });
+    }
+});
+
+// Resolve a share token to the shared title and messages (the live session's or the snapshot's).
+// Sends the error response itself and resolves to null when the link can't be used.
+async function findSharedChat(token, res) {
+    const link = await ShareLink.findOne({ token });
+    if (!link) {
+        res.status(404).json({ error: 'Shared chat not found' });
+        return null;
+    }
+    if (!link.isActive()) {
+        res.status(410).json({ error: 'This shared chat is no longer available' });
+        return null;
+    }
+
+    if (link.mode === 'live') {
+        const session = await ChatSession.findById(link.session);
+        if (!session) {
+            res.status(404).json({ error: 'Shared chat not found' });
+            return null;
+        }
+        return { link, title: session.title, messages: activeBranch(session) };
+    }
+    return { link, title: link.snapshot.title, messages: link.snapshot.messages };
+}
+
+// Get a shared chat by token (public endpoint - NO authMiddleware). Returns only the
+// title and messages, and counts the view.
+app.get('/api/chat/share/:token', async (req, res) => {
+    try {
+        const shared = await findSharedChat(req.params.token, res);
+        if (!shared) return;
+        const { link, title, messages } = shared;
+
+        await ShareLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, lastViewedAt: new Date() });
+
+        res.json({
+            title,
+            mode: link.mode,
+            sharedAt: link.createdAt,
+            expiresAt: link.expiresAt,
+            messages: messages.map(publicMessage)
+        });
+    } catch (err) {
+        console.error('Error fetching shared chat:', err);
+        res.status(500).json({ error: 'Error fetching shared chat' });
+    }
+});
+
+// "Continue in my account": copy a shared chat's messages into a new session owned by the
+// caller, remembering which share link it came from
+app.post('/api/chat/share/:token/fork', authMiddleware, async (req, res) => {
+    try {
+        const shared = await findSharedChat(req.params.token, res);
+        if (!shared) return;
+
+        const session = await ChatSession.create({
+            title: shared.title,
+            owner: req.userId,
+            messages: shared.messages.map(publicMessage),
+            forkedFrom: { shareToken: shared.link.token, forkedAt: new Date() }
+        });
+        console.log('Forked shared chat into session', session._id, 'for user', req.userId);
+        notifyClients(req, 'session.created', { session });
+        res.json(session);
+    } catch (err) {
+        console.error('Error forking shared chat:', err);
+        res.status(500).json({ error: 'Error continuing shared chat' });
+    }
+});
+
+// --- Operators ---
+
+// Rated replies for the feedback review page, with counts per rating and category.
+// ?rating=down|up (default down), ?category=wrong|unsafe|unhelpful, ?limit= (default 50)
+app.get('/api/operator/feedback', authMiddleware, requireOperator, async (req, res) => {
+    try {
+        const rating = req.query.rating || 'down';
+        if (!FEEDBACK_RATINGS.includes(rating)) {
+            return res.status(400).json({ error: "rating must be 'up' or 'down'" });
+        }
+        const category = req.query.category || undefined;
+        if (category && !FEEDBACK_CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: `category must be one of ${FEEDBACK_CATEGORIES.join(', ')}` });
+        }
+        const limit = parseInt(req.query.limit, 10) || 50;
+        res.json(await listFeedback({ rating, category, limit }));
+    } catch (err) {
+        console.error('Error listing feedback:', err);
+        res.status(500).json({ error: 'Error listing feedback' });
+    }
+});
+
+// --- Admin ---
+
+// Middleware for admin-only routes, after authMiddleware
+function requireAdmin(req, res, next) {
+    if (req.userRole !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+}
+
+const ADMIN_PAGE_SIZE = 50;
+
+// Sign a user out everywhere: invalidates their access tokens, refresh cookies and live streams
+async function signOutEverywhere(user) {
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    await AuthSession.deleteMany({ user: user._id });
+    disconnect(user._id);
+}
+
+// Load the user an admin route acts on. Admins can't use these routes on their own account
+// (so they can't lock themselves out). Sends the error response itself and resolves to null
+// when the request can't proceed.
+async function findTargetUser(req, res) {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        res.status(400).json({ error: 'Invalid user ID format' });
+        return null;
+    }
+    if (userId === String(req.userId)) {
+        res.status(400).json({ error: 'Use your own account settings to change your account' });
+        return null;
+    }
+    const user = await User.findById(userId);
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    return user;
+}
+
+const adminUserView = (user, lastActiveAt) => ({
+    id: user._id,
+    username: user.username,
+    role: user.role || 'user',
+    createdAt: user.createdAt,
+    disabledAt: user.disabledAt || null,
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    lastActiveAt: lastActiveAt || null
+});
+
+// List users, newest first. ?q= filters by username (substring, case-insensitive), ?page= from 1
+app.get('/api/admin/users', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim();
+        if (query.length > 100) return res.status(400).json({ error: 'Search query is too long' });
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const filter = query ? { username: { $regex: escapeRegExp(query), $options: 'i' } } : {};
+
+        const [users, total] = await Promise.all([
+            User.find(filter).select('-passwordHash -twoFactor.secret -twoFactor.pendingSecret -twoFactor.recoveryCodeHashes')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * ADMIN_PAGE_SIZE)
+                .limit(ADMIN_PAGE_SIZE),
+            User.countDocuments(filter)
+        ]);
+        // Most recent use of any of their sign-in sessions
+        const activity = await AuthSession.aggregate([
+            { $match: { user: { $in: users.map(user => user._id) } } },
+            { $group: { _id: '$user', lastActiveAt: { $max: '$lastUsedAt' } } }
+        ]);
+        const lastActive = new Map(activity.map(row => [String(row._id), row.lastActiveAt]));
+
+        res.json({
+            users: users.map(user => adminUserView(user, lastActive.get(String(user._id)))),
+            total,
+            page,
+            pageSize: ADMIN_PAGE_SIZE
+        });
+    } catch (err) {
+        console.error('Error listing users:', err);
+        res.status(500).json({ error: 'Error listing users' });
+    }
+});
+
+// Change a user's role or disable / re-enable their account. Expects { role: 'user' | 'admin' }
+// and/or { disabled: true | false }. Disabling signs them out everywhere.
+app.patch('/api/admin/users/:userId', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const { role, disabled } = req.body;
+        if (role !== undefined && !['user', 'admin'].includes(role)) {
+            return res.status(400).json({ error: "role must be 'user' or 'admin'" });
+        }
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            return res.status(400).json({ error: 'disabled must be true or false' });
+        }
+
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        if (role !== undefined) user.role = role;
+        if (disabled === true && !user.disabledAt) {
+            user.disabledAt = new Date();
+            await signOutEverywhere(user);
+        } else {
+            if (disabled === false) user.disabledAt = undefined;
+            await user.save();
+        }
+        console.log(`Admin ${req.username} updated user ${user.username}:`, { role, disabled });
+        res.json(adminUserView(user));
+    } catch (err) {
+        console.error('Error updating user:', err);
+        res.status(500).json({ error: 'Error updating user' });
+    }
+});
+
+// Replace a user's password with a random temporary one, shown once to the admin to pass on.
+// Signs them out everywhere; their two-factor settings stay as they are.
+app.post('/api/admin/users/:userId/reset-password', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const temporaryPassword = crypto.randomBytes(12).toString('base64url');
+        user.passwordHash = await bcrypt.hash(temporaryPassword, 10);
+        await signOutEverywhere(user);
+        console.log(`Admin ${req.username} reset the password of user ${user.username}`);
+        res.json({ temporaryPassword });
+    } catch (err) {
+        console.error('Error resetting password:', err);
+        res.status(500).json({ error: 'Error resetting password' });
+    }
+});
+
+// Delete a user's account and data (see deleteUserData in lib/admin.js)
+app.delete('/api/admin/users/:userId', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        disconnect(user._id);
+        await deleteUserData(user._id);
+        console.log(`Admin ${req.username} deleted user ${user.username}`);
+        res.json({ message: 'User deleted' });
+    } catch (err) {
+        console.error('Error deleting user:', err);
+        res.status(500).json({ error: 'Error deleting user' });
+    }
+});
+
+// Usage analytics over the last ?days= days (default 30): totals, messages per day, tokens per
+// user, model call error rates and the most active chats
+app.get('/api/admin/stats', authMiddleware, requireAdmin, async (req, res) => {
+    try {
+        const days = parseInt(req.query.days, 10) || 30;
+        if (days < 1 || days > MAX_STATS_DAYS) {
+            return res.status(400).json({ error: `days must be between 1 and ${MAX_STATS_DAYS}` });
+        }
+        res.json(await getAdminStats(days));
+    } catch (err) {
+        console.error('Error computing stats:', err);
+        res.status(500).json({ error: 'Error computing stats' });
+    }
+});
+
+// Max tokens of conversation history sent upstream per request (rough estimate, see estimateTokens)
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10) || 8000;
+// Max bytes of files from earlier messages re-sent with a request (base64 adds a third on top);
+// the new message's own files are always sent
+const HISTORY_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+
+// Provider-neutral request shared by the regular and streaming message routes: the session's
+// settings plus the turn's branch history and input, trimmed to the history budget, with the
+// files of the latest messages (see limitAttachments) loaded as base64, and the server-side tools declared
+// unless the session turned them off. Sessions using the knowledge base also get the best
+// matching excerpts in the system prompt; `context` is the toolContext of the request.
+// Resolves to { request, sources }.
+async function buildChatRequest(session, turn, context) {
+    const { systemPrompt, model, generationConfig } = resolveSettings(session);
+    const history = turn.history.map(msg => ({ role: msg.role, content: msg.content, attachments: msg.attachments }));
+    const messages = limitAttachments(trimHistory(
+        [...history, { role: 'user', content: turn.input, attachments: turn.attachments }],
+        HISTORY_TOKEN_BUDGET
+    ), HISTORY_ATTACHMENT_BYTES);
+
+    let sources = [];
+    if (session.useKnowledgeBase) {
+        // Answer without sources rather than not at all when retrieval fails
+        sources = await retrieve(session.owner, turn.input).catch((err) => {
+            console.error('Knowledge base retrieval failed:', err);
+            return [];
+        });
+    }
+
+    return {
+        request: {
+            systemInstruction: sources.length ? `${systemPrompt}\n\n${sourcesInstruction(sources)}` : systemPrompt,
+            model,
+            messages: await Promise.all(messages.map(withAttachmentData)),
+            tools: session.useTools === false ? undefined : toolDeclarations(context),
+            generationConfig
+        },
+        sources
+    };
+}
+
+// What the tools of a request may act on. Tools reading or writing the caller's private chats and
+// notes are only used in a chat the caller owns and hasn't shared, as tool results are stored
+// with the reply for every member to see.
+const toolContext = (req, session) => ({
+    userId: req.userId,
+    sessionId: session._id,
+    personal: String(session.owner) === String(req.userId) && !(session.members || []).length
+});
+
+async function withAttachmentData({ role, content, attachments }) {
+    if (!attachments?.length) return { role, content };
+    return {
+        role,
+        content,
+        attachments: await Promise.all(attachments.map(async (file) => ({
+            name: file.name,
+            mimeType: file.mimeType,
+            data: (await readAttachment(file.fileId)).toString('base64')
+        })))
+    };
+}
+
+// planTurn for a message route body, after checking that any attachmentIds are the user's
+// uploads. File references sent as `attachments` are dropped: only ids that pass findAttachments
+// are attached. The new user message is attributed to the caller, as a chat can have several editors.
+async function planRequestTurn(req, session) {
+    const body = { ...req.body };
+    delete body.attachments;
+    let attachments;
+    if (body.attachmentIds !== undefined) {
+        const found = await findAttachments(req.userId, body.attachmentIds);
+        if (found.error) return { error: found.error };
+        attachments = found.attachments;
+    }
+    const turn = planTurn(session, body, attachments);
+    if (turn.userMessage) Object.assign(turn.userMessage, { author: req.userId, authorName: req.username });
+    return turn;
+}
+
+// Knowledge base sources a reply cited and the tool calls made for it, as fields for its
+// assistant message
+function replyDetails(reply, sources, toolSteps) {
+    const cited = citedSources(reply, sources);
+    return {
+        ...(cited.length ? { sources: cited } : {}),
+        ...(toolSteps.length ? { toolSteps } : {})
+    };
+}
+
+// Respond with a provider failure, passing on how long to wait when the upstream said so
+function sendProviderError(res, err) {
+    if (err.retryAfterMs) res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+    res.status(err.statusCode).json(err);
+}
+
+// The session's own provider when it picked one, otherwise the deployment default
+const providerForSession = (session) =>
+    getProvider(session.provider) || getProvider(defaultProviderName());
+
+// Persist a turn planned by planTurn: its user message (unless regenerating) and the reply,
+// moving the session's current branch to the newest of them. Titles new sessions after their
+// first message. `replyFields` is merged into the assistant message (e.g. { interrupted: true });
+// an empty reply (generation stopped before any text arrived) stores the user message on its own.
+// Resolves to the updated session.
+async function saveTurn(session, turn, reply, replyFields = {}) {
+    const messages = turn.userMessage ? [turn.userMessage] : [];
+    if (reply) {
+        messages.push({
+            _id: new mongoose.Types.ObjectId(),
+            role: 'assistant',
+            content: reply,
+            parentId: turn.replyParentId,
+            ...replyFields
+        });
+    }
+    if (!messages.length) return session;
+
+    const update = {
+        $push: { messages: { $each: messages } },
+        currentLeafId: messages[messages.length - 1]._id,
+        lastUpdated: new Date()
+    };
+    // Update title for new sessions (first message), unless the user already renamed it
+    if (turn.userMessage && turn.history.length === 0 && session.title === 'New Chat') {
+        update.title = turn.input.slice(0, 50) + (turn.input.length > 50 ? '...' : '');
+    }
+
+    return ChatSession.findByIdAndUpdate(session._id, update, { new: true });
+}
+
+// Show a saved turn on the other tabs and devices of everyone in the chat. After Stop the
+// requesting tab gets it as well, since its stream closed before the saved ids were sent.
+const notifyTurn = (req, updated, options) =>
+    notifyMembers(req, updated, 'message.appended', userId => ({ session: viewFor(updated, userId) }), options);
+
+// Send a chat message to the session's model provider. Expects { input: 'user message' },
+// or an edit / regenerate request (see planTurn in lib/branches.js). Responds with the reply
+// and the session's updated active branch.
+app.post('/api/chat/sessions/:sessionId/messages', authMiddleware, requireSessionRole('editor'), messageUserLimiter, quotaMiddleware, async (req, res) => {
+    const { input } = req.body;
+    const { sessionId } = req.params;
+
+    console.log('Received message request:', { sessionId, input });
+
+    const session = req.chatSession;
+
+    let turn;
+    try {
+        turn = await planRequestTurn(req, session);
+    } catch (err) {
+        console.error('Error planning chat turn:', err);
+        return res.status(500).json({ error: 'Error preparing chat request' });
+    }
+    if (turn.error) return res.status(400).json({ error: turn.error });
+
+    const provider = providerForSession(session);
+    if (!provider.isConfigured()) {
+        return res.status(503).json({ error: `The ${provider.label} provider is not configured on this server` });
+    }
+
+    try {
+        const context = toolContext(req, session);
+        const { request, sources } = await buildChatRequest(session, turn, context);
+        const result = await generateWithTools(provider, request, context);
+        await trackUsage(req.userId, request, result.usage, result.text);
+        let reply = result.text;
+        const { toolSteps } = result;
+        const model = result.model || request.model || provider.defaultModel();
+
+        if (!reply && result.blockReason) {
+            // Handle cases where the model blocks the prompt (e.g., safety filter)
+            reply = `Your prompt was blocked due to: ${result.blockReason}.`;
+        }
+
+        if (reply) {
+            const updated = await saveTurn(session, turn, reply, { model, ...replyDetails(reply, sources, toolSteps) });
+            notifyTurn(req, updated);
+            res.json({ reply, model, toolSteps, messages: sessionView(updated).messages });
+        }
+        else {
+            res.status(502).json({
+                error: "The model returned a response, but I couldn't find the text or reason for failure."
+            });
+        }
+    } catch (err) {
+        trackFailure(req.userId);
+        // Return structured JSON so frontend can display a clearer message
+        if (err instanceof ProviderError) return sendProviderError(res, err);
+        // console.error('chat error', err);
+        res.status(500).json({ error: String(err) });
+    }
+});
+
+// Write one Server-Sent Event to the client
+const sendEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Streaming variant of the messages route, taking the same body. Relays the provider's stream
+// as Server-Sent Events: `chunk` ({ text }) for each piece of the reply, `tool`
+// ({ name, args, result }) for each tool the model called, then `done` ({ reply, messages },
+// messages being the updated active branch) or `error`.
+// The reply is persisted once the stream completes; if the client aborts the request first,
+// the upstream call is cancelled and whatever was generated so far is stored flagged as
+// interrupted.
+app.post('/api/chat/sessions/:sessionId/messages/stream', authMiddleware, requireSessionRole('editor'), messageUserLimiter, quotaMiddleware, async (req, res) => {
+    const { input } = req.body;
+    const { sessionId } = req.params;
+
+    console.log('Received streaming message request:', { sessionId, input });
+
+    const session = req.chatSession;
+
+    let turn;
+    try {
+        turn = await planRequestTurn(req, session);
+    } catch (err) {
+        console.error('Error planning chat turn:', err);
+        return res.status(500).json({ error: 'Error preparing chat request' });
+    }
+    if (turn.error) return res.status(400).json({ error: turn.error });
+
+    const provider = providerForSession(session);
+    if (!provider.isConfigured()) {
+        return res.status(503).json({ error: `The ${provider.label} provider is not configured on this server` });
+    }
+
+    let request;
+    let sources;
+    try {
+        ({ request, sources } = await buildChatRequest(session, turn, toolContext(req, session)));
+    } catch (err) {
+        console.error('Error preparing chat request:', err);
+        return res.status(500).json({ error: 'Error preparing chat request' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        // no-transform keeps compression middleware (e.g. the CRA dev proxy) from buffering events
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Cancel the upstream call as soon as the client stops listening (Stop button,
+    // closed tab), whether we are still waiting for the first byte or mid-stream
+    const upstream = new AbortController();
+    let clientGone = false;
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            clientGone = true;
+            upstream.abort();
+        }
+    });
+
+    let reply = '';
+    let usage;
+    let usageTracked = false;
+    const toolSteps = [];
+    // The model that answered, which differs from the session's when a fallback model was used
+    let model = request.model || provider.defaultModel();
+
+    // Store what was generated before the client went away. Handles its own errors, so a failed
+    // save is only logged rather than counted or saved a second time by the error path below.
+    const savePartialReply = async () => {
+        try {
+            if (!usageTracked) {
+                usageTracked = true;
+                await trackUsage(req.userId, request, usage, reply);
+            }
+            const updated = await saveTurn(session, turn, reply, { interrupted: true, model, ...replyDetails(reply, sources, toolSteps) });
+            notifyTurn(req, updated, { toSender: true });
+        } catch (saveErr) {
+            console.error('Error saving interrupted reply:', saveErr);
+        }
+    };
+
+    try {
+        let blockReason;
+        const context = toolContext(req, session);
+        for await (const part of streamWithTools(provider, request, context, { signal: upstream.signal })) {
+            if (clientGone) break;
+
+            blockReason = blockReason || part.blockReason;
+            // Usage figures are cumulative; the last chunk carries the totals
+            usage = part.usage || usage;
+            model = part.model || model;
+            if (part.toolStep) {
+                toolSteps.push(part.toolStep);
+                sendEvent(res, 'tool', part.toolStep);
+            }
+            if (!part.text) continue;
+            reply += part.text;
+            sendEvent(res, 'chunk', { text: part.text });
+        }
+
+        if (clientGone) {
+            console.log('Client disconnected mid-stream, saving partial reply for session', sessionId);
+            await savePartialReply();
+            return;
+        }
+
+        usageTracked = true;
+        await trackUsage(req.userId, request, usage, reply);
+
+        if (!reply && blockReason) {
+            // Handle cases where the model blocks the prompt (e.g., safety filter)
+            reply = `Your prompt was blocked due to: ${blockReason}.`;
+            sendEvent(res, 'chunk', { text: reply });
+        }
+
+        if (!reply) {
+            sendEvent(res, 'error', { error: "The model returned a response, but I couldn't find the text or reason for failure." });
+            return res.end();
+        }
+
+        const updated = await saveTurn(session, turn, reply, { model, ...replyDetails(reply, sources, toolSteps) });
+        notifyTurn(req, updated);
+        sendEvent(res, 'done', { reply, model, toolSteps, messages: sessionView(updated).messages });
+        res.end();
+    } catch (err) {
+        if (clientGone) {
+            console.log('Generation stopped by client, saving partial reply for session', sessionId);
+            await savePartialReply();
+            return;
+        }
+        trackFailure(req.userId);
+        if (err instanceof ProviderError) {
+            sendEvent(res, 'error', err);
+        } else {
+            console.error('Streaming chat error:', err);
+            sendEvent(res, 'error', { error: String(err) });
+        }
+        res.end();
     }
 });
 
@@ -0,0 +1,61 @@
+// Who may do what with a chat. A session has one owner plus any members the owner invited:
+//   viewer  reads the chat (messages, members, exports) and follows it live
+//   editor  also sends messages, renames it, switches branches and changes its settings
+//   owner   also organizes (pin, folder, tags), shares, deletes it and manages its members
+// Routes ask for the role they need through requireSessionRole / hasRole rather than comparing
+// session.owner themselves.
+const mongoose = require('mongoose');
+const ChatSession = require('../models/ChatSession');
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// The user's role in the session, or null when they have no access
+function roleOf(session, userId) {
+    if (String(session.owner) === String(userId)) return 'owner';
+    const member = (session.members || []).find(m => String(m.user) === String(userId));
+    return member ? member.role : null;
+}
+
+const hasRole = (session, userId, role) => ROLES.indexOf(roleOf(session, userId)) >= ROLES.indexOf(role);
+
+// Query matching every session the user can open: their own and the ones shared with them
+const accessibleBy = (userId) => ({ $or: [{ owner: userId }, { 'members.user': userId }] });
+
+// Ids of everyone with access to the session, owner first
+const memberIds = (session) => [session.owner, ...(session.members || []).map(m => m.user)].map(String);
+
+const forbiddenMessage = (role) => (role === 'owner'
+    ? 'Only the owner of this chat can do that'
+    : 'You can only view this chat');
+
+// Middleware loading the session in req.params.sessionId as req.chatSession, with the caller's
+// role as req.sessionRole, when the caller has at least `role` on it
+function requireSessionRole(role) {
+    return async (req, res, next) => {
+        const { sessionId } = req.params;
+        try {
+            if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+                return res.status(400).json({ error: 'Invalid session ID format' });
+            }
+            const session = await ChatSession.findById(sessionId);
+            if (!session) {
+                return res.status(404).json({ error: 'Chat session not found' });
+            }
+            const callerRole = roleOf(session, req.userId);
+            if (!callerRole) {
+                return res.status(403).json({ error: 'Forbidden' });
+            }
+            if (!hasRole(session, req.userId, role)) {
+                return res.status(403).json({ error: forbiddenMessage(role) });
+            }
+            req.chatSession = session;
+            req.sessionRole = callerRole;
+            next();
+        } catch (err) {
+            console.error('Error verifying chat session access:', err);
+            res.status(500).json({ error: 'Error verifying chat session access' });
+        }
+    };
+}
+
+module.exports = { ROLES, roleOf, hasRole, accessibleBy, memberIds, forbiddenMessage, requireSessionRole };
@@ -0,0 +1,169 @@
+// Admin analytics and account removal. Stats cover the last `days` UTC days and are computed by
+// MongoDB aggregations over the chats (messages per day, most active chats) and the Usage rows
+// (tokens per user, failed model calls).
+const ChatSession = require('../models/ChatSession');
+const User = require('../models/User');
+const Usage = require('../models/Usage');
+const ShareLink = require('../models/ShareLink');
+const Note = require('../models/Note');
+const AuthSession = require('../models/AuthSession');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const PromptTemplate = require('../models/PromptTemplate');
+const { deleteDocument } = require('./knowledge');
+const { deleteUserAttachments } = require('./attachments');
+const { dayKey } = require('./usage');
+
+const MAX_STATS_DAYS = 365;
+const TOP_LIMIT = 20;
+
+// The days of the period as 'YYYY-MM-DD', oldest first
+function periodDays(days, now) {
+    const start = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - (days - 1) * 86400000;
+    return Array.from({ length: days }, (_, i) => dayKey(new Date(start + i * 86400000)));
+}
+
+// User and assistant messages written each day
+async function messagesPerDay(since, dayKeys) {
+    const groups = await ChatSession.aggregate([
+        { $match: { lastUpdated: { $gte: since } } },
+        { $unwind: '$messages' },
+        { $match: { 'messages.timestamp': { $gte: since } } },
+        {
+            $group: {
+                _id: { day: { $dateToString: { format: '%Y-%m-%d', date: '$messages.timestamp' } }, role: '$messages.role' },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+    const byDay = new Map(dayKeys.map(day => [day, { day, user: 0, assistant: 0 }]));
+    for (const { _id, count } of groups) {
+        if (byDay.has(_id.day)) byDay.get(_id.day)[_id.role] = count;
+    }
+    return [...byDay.values()];
+}
+
+// Users who spent the most tokens
+function tokensPerUser(sinceKey) {
+    return Usage.aggregate([
+        { $match: { day: { $gte: sinceKey } } },
+        {
+            $group: {
+                _id: '$user',
+                promptTokens: { $sum: '$promptTokens' },
+                outputTokens: { $sum: '$outputTokens' },
+                totalTokens: { $sum: '$totalTokens' },
+                requests: { $sum: '$requests' }
+            }
+        },
+        { $sort: { totalTokens: -1 } },
+        { $limit: TOP_LIMIT },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        {
+            $project: {
+                _id: 0,
+                userId: '$_id',
+                username: { $arrayElemAt: ['$user.username', 0] },
+                promptTokens: 1,
+                outputTokens: 1,
+                totalTokens: 1,
+                requests: 1
+            }
+        }
+    ]);
+}
+
+// Share of model calls that failed, per day and over the period
+async function errorRates(sinceKey, dayKeys) {
+    const groups = await Usage.aggregate([
+        { $match: { day: { $gte: sinceKey } } },
+        { $group: { _id: '$day', requests: { $sum: '$requests' }, failed: { $sum: '$failedRequests' } } }
+    ]);
+    const rate = (failed, requests) => (failed + requests ? failed / (failed + requests) : 0);
+    const byDay = new Map(groups.map(group => [group._id, group]));
+    const perDay = dayKeys.map(day => {
+        const { requests = 0, failed = 0 } = byDay.get(day) || {};
+        return { day, requests, failed, errorRate: rate(failed, requests) };
+    });
+    const requests = perDay.reduce((sum, day) => sum + day.requests, 0);
+    const failed = perDay.reduce((sum, day) => sum + day.failed, 0);
+    return { requests, failed, errorRate: rate(failed, requests), perDay };
+}
+
+// Chats with the most messages written during the period
+function activeSessions(since) {
+    return ChatSession.aggregate([
+        { $match: { lastUpdated: { $gte: since } } },
+        {
+            $project: {
+                title: 1,
+                owner: 1,
+                lastUpdated: 1,
+                memberCount: { $size: { $ifNull: ['$members', []] } },
+                messageCount: {
+                    $size: { $filter: { input: '$messages', as: 'msg', cond: { $gte: ['$$msg.timestamp', since] } } }
+                }
+            }
+        },
+        { $match: { messageCount: { $gt: 0 } } },
+        { $sort: { messageCount: -1 } },
+        { $limit: TOP_LIMIT },
+        { $lookup: { from: 'users', localField: 'owner', foreignField: '_id', as: 'ownerUser' } },
+        {
+            $project: {
+                _id: 0,
+                sessionId: '$_id',
+                title: 1,
+                owner: { $arrayElemAt: ['$ownerUser.username', 0] },
+                memberCount: 1,
+                messageCount: 1,
+                lastUpdated: 1
+            }
+        }
+    ]);
+}
+
+async function getAdminStats(days, now = new Date()) {
+    const dayKeys = periodDays(days, now);
+    const since = new Date(`${dayKeys[0]}T00:00:00.000Z`);
+    const [users, newUsers, disabledUsers, activeUsers, messages, tokens, errors, sessions] = await Promise.all([
+        User.countDocuments(),
+        User.countDocuments({ createdAt: { $gte: since } }),
+        User.countDocuments({ disabledAt: { $exists: true, $ne: null } }),
+        Usage.distinct('user', { day: { $gte: dayKeys[0] } }).then(ids => ids.length),
+        messagesPerDay(since, dayKeys),
+        tokensPerUser(dayKeys[0]),
+        errorRates(dayKeys[0], dayKeys),
+        activeSessions(since)
+    ]);
+    return {
+        days,
+        since,
+        totals: { users, newUsers, disabledUsers, activeUsers },
+        messagesPerDay: messages,
+        tokensPerUser: tokens,
+        errorRates: errors,
+        activeSessions: sessions
+    };
+}
+
+// Delete an account and everything it owns: its chats (with their share links), uploads,
+// knowledge base, notes, prompt templates, usage and sign-in sessions. It is also removed from
+// chats others shared with it.
+async function deleteUserData(userId) {
+    await ShareLink.deleteMany({ owner: userId });
+    await ChatSession.deleteMany({ owner: userId });
+    await ChatSession.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+    await deleteUserAttachments(userId);
+    for (const document of await KnowledgeDocument.find({ owner: userId })) {
+        await deleteDocument(document);
+    }
+    await Promise.all([
+        Note.deleteMany({ owner: userId }),
+        PromptTemplate.deleteMany({ owner: userId }),
+        Usage.deleteMany({ user: userId }),
+        AuthSession.deleteMany({ user: userId })
+    ]);
+    await User.deleteOne({ _id: userId });
+}
+
+module.exports = { MAX_STATS_DAYS, getAdminStats, deleteUserData };
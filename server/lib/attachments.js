@@ -0,0 +1,127 @@
+// Files attached to chat messages. The bytes live in a GridFS bucket next to the chats, with
+// the uploading user in the file's metadata; messages keep { fileId, name, mimeType, size }.
+const mongoose = require('mongoose');
+
+// Types the models accept as inline data
+const ALLOWED_TYPES = {
+    'image/png': 'image',
+    'image/jpeg': 'image',
+    'image/webp': 'image',
+    'image/gif': 'image',
+    'application/pdf': 'document',
+    'text/plain': 'text',
+    'text/markdown': 'text',
+    'text/csv': 'text'
+};
+
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+// Leading bytes of each binary type, so a renamed file can't pass for an image or PDF
+const SIGNATURES = {
+    'image/png': [[0x89, 0x50, 0x4e, 0x47]],
+    'image/jpeg': [[0xff, 0xd8, 0xff]],
+    'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+    'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+    'application/pdf': [[0x25, 0x50, 0x44, 0x46]]
+};
+
+const startsWith = (buffer, bytes) => bytes.every((byte, i) => buffer[i] === byte);
+
+// Returns an error message when the upload can't be attached, otherwise null
+function validateUpload(buffer, mimeType) {
+    if (!ALLOWED_TYPES[mimeType]) return 'Only PNG, JPEG, WebP and GIF images, PDFs and text files can be attached';
+    if (!buffer || !buffer.length) return 'The file is empty';
+    if (buffer.length > MAX_ATTACHMENT_BYTES) return `Attachments must be at most ${Math.round(MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB`;
+
+    const signatures = SIGNATURES[mimeType];
+    if (signatures && !signatures.some(sig => startsWith(buffer, sig))) {
+        return `The file content doesn't look like ${mimeType}`;
+    }
+    if (ALLOWED_TYPES[mimeType] === 'text' && buffer.includes(0)) return 'Text attachments must not contain binary data';
+    return null;
+}
+
+let bucket;
+const getBucket = () => {
+    if (!bucket) bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'attachments' });
+    return bucket;
+};
+
+const toSummary = (file) => ({
+    fileId: file._id,
+    name: file.filename,
+    mimeType: file.metadata.mimeType,
+    size: file.length
+});
+
+// Store an upload and resolve to its summary
+function saveAttachment(owner, { name, mimeType, buffer }) {
+    return new Promise((resolve, reject) => {
+        const upload = getBucket().openUploadStream(name, { metadata: { owner, mimeType } });
+        upload.on('error', reject);
+        upload.on('finish', () => resolve({ fileId: upload.id, name, mimeType, size: buffer.length }));
+        upload.end(buffer);
+    });
+}
+
+// Summaries of the owner's files among `ids`; { error } when any is missing or not theirs
+async function findAttachments(owner, ids) {
+    if (!Array.isArray(ids) || !ids.length) return { attachments: [] };
+    if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) return { error: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message` };
+    if (!ids.every(id => mongoose.isValidObjectId(id))) return { error: 'Invalid attachment id' };
+
+    const files = await getBucket()
+        .find({ _id: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) }, 'metadata.owner': owner })
+        .toArray();
+    if (files.length !== new Set(ids.map(String)).size) return { error: 'Attachment not found' };
+    const byId = new Map(files.map(file => [String(file._id), file]));
+    return { attachments: ids.map(id => toSummary(byId.get(String(id)))) };
+}
+
+// The stored file if it belongs to `owner`, otherwise null
+const findOwnedFile = (owner, id) => findFile(id, { 'metadata.owner': owner });
+
+// The stored file whoever uploaded it, e.g. one another member attached to a shared chat
+async function findFile(id, filter = {}) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const [file] = await getBucket()
+        .find({ _id: new mongoose.Types.ObjectId(id), ...filter })
+        .toArray();
+    return file || null;
+}
+
+const openAttachment = (fileId) => getBucket().openDownloadStream(fileId);
+
+async function readAttachment(fileId) {
+    const chunks = [];
+    for await (const chunk of openAttachment(fileId)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+// Remove files, ignoring ones already gone (e.g. shared by an edited copy of a message)
+async function deleteAttachments(fileIds) {
+    for (const fileId of fileIds) {
+        await getBucket().delete(fileId).catch(() => {});
+    }
+}
+
+// Remove every file the user uploaded (when their account is deleted)
+async function deleteUserAttachments(owner) {
+    const files = await getBucket().find({ 'metadata.owner': String(owner) }).toArray();
+    await deleteAttachments(files.map(file => file._id));
+}
+
+module.exports = {
+    ALLOWED_TYPES,
+    MAX_ATTACHMENT_BYTES,
+    validateUpload,
+    saveAttachment,
+    findAttachments,
+    findOwnedFile,
+    findFile,
+    openAttachment,
+    readAttachment,
+    deleteAttachments,
+    deleteUserAttachments
+};
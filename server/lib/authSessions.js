@@ -0,0 +1,115 @@
+// Server-side sign-in sessions. Signing in creates an AuthSession ("device") and a random
+// refresh token that the browser keeps in an httpOnly cookie and the server only stores hashed.
+// /api/auth/refresh trades it for a short-lived access token (JWT) and a new refresh token;
+// presenting an already-replaced token again means it was copied, so that device is signed out.
+// Access tokens name their AuthSession and stop working as soon as it is deleted.
+const crypto = require('crypto');
+const AuthSession = require('../models/AuthSession');
+
+const REFRESH_COOKIE = 'refresh_token';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Two tabs refreshing at once both send the same token; the slower one is let through within
+// this window (it gets an access token, and the cookie already holds the rotated refresh token)
+const ROTATION_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+function parseCookies(header) {
+    const cookies = {};
+    for (const pair of (header || '').split(';')) {
+        const index = pair.indexOf('=');
+        if (index === -1) continue;
+        const name = pair.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (err) {
+            // Malformed value; ignore the cookie
+        }
+    }
+    return cookies;
+}
+
+const refreshTokenFrom = (req) => parseCookies(req.headers.cookie)[REFRESH_COOKIE] || null;
+
+// The cookie is only ever sent to the auth endpoints, and never cross-site
+const cookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth'
+});
+
+const setRefreshCookie = (res, token) =>
+    res.cookie(REFRESH_COOKIE, token, { ...cookieOptions(), maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000 });
+
+const clearRefreshCookie = (res) => res.clearCookie(REFRESH_COOKIE, cookieOptions());
+
+const deviceDetails = (req) => ({
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip
+});
+
+// Resolves to { session, refreshToken } for a new sign-in
+async function createSession(userId, req) {
+    const refreshToken = newRefreshToken();
+    const session = await AuthSession.create({
+        user: userId,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: refreshExpiry(),
+        ...deviceDetails(req)
+    });
+    return { session, refreshToken };
+}
+
+// Exchange a refresh token for a new one. Resolves to { session, refreshToken }, with
+// refreshToken null for the slower of two racing refreshes, or { error } when the token is
+// unknown, expired or was replayed (which also signs its device out).
+async function rotateSession(refreshToken, req) {
+    if (!refreshToken) return { error: 'Not signed in' };
+    const hash = hashToken(refreshToken);
+
+    const next = newRefreshToken();
+    const session = await AuthSession.findOneAndUpdate(
+        { tokenHash: hash, expiresAt: { $gt: new Date() } },
+        {
+            tokenHash: hashToken(next),
+            previousTokenHash: hash,
+            rotatedAt: new Date(),
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiry(),
+            ...deviceDetails(req)
+        },
+        { new: true }
+    );
+    if (session) return { session, refreshToken: next };
+
+    const replaced = await AuthSession.findOne({ previousTokenHash: hash });
+    if (replaced && Date.now() - replaced.rotatedAt.getTime() < ROTATION_GRACE_MS) {
+        return { session: replaced, refreshToken: null };
+    }
+    if (replaced) {
+        console.warn(`Replayed refresh token for user ${replaced.user}, signing out session ${replaced._id}`);
+        await AuthSession.deleteOne({ _id: replaced._id });
+    }
+    return { error: 'Your session has expired, please log in again' };
+}
+
+// Sign out the device holding `refreshToken`, resolving to its ended session (null if none)
+async function endSession(refreshToken) {
+    if (!refreshToken) return null;
+    return AuthSession.findOneAndDelete({ tokenHash: hashToken(refreshToken) });
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    refreshTokenFrom,
+    setRefreshCookie,
+    clearRefreshCookie,
+    createSession,
+    rotateSession,
+    endSession
+};
@@ -0,0 +1,137 @@
+// Conversation branching. ChatSession.messages stores every message ever written as a tree:
+// each message points at the one it follows through parentId (null for the first message),
+// editing a user message or regenerating a reply adds a sibling instead of overwriting, and
+// session.currentLeafId marks the end of the branch currently shown.
+const mongoose = require('mongoose');
+
+const ROOT = 'root';
+
+// Index the messages by id, parent and children. Messages stored before branching existed
+// have no parentId and form a simple chain, so their parent is the message stored before them.
+function buildTree(messages) {
+    const byId = new Map();
+    const parentOf = new Map();
+    const children = new Map();
+    messages.forEach((msg, i) => {
+        const id = String(msg._id);
+        let parent;
+        if (msg.parentId === undefined) {
+            parent = i > 0 ? String(messages[i - 1]._id) : null;
+        } else {
+            parent = msg.parentId ? String(msg.parentId) : null;
+        }
+        byId.set(id, msg);
+        parentOf.set(id, parent);
+        const key = parent || ROOT;
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(msg);
+    });
+    return { byId, parentOf, children };
+}
+
+// Messages from the first one down to `id`, in conversation order
+function pathTo(tree, id) {
+    const path = [];
+    let current = id ? String(id) : null;
+    while (current && tree.byId.has(current)) {
+        path.push(tree.byId.get(current));
+        current = tree.parentOf.get(current);
+    }
+    return path.reverse();
+}
+
+// Follow the most recent child at each step to the end of the newest branch below `id`
+function latestLeafUnder(tree, id) {
+    let current = String(id);
+    while ((tree.children.get(current) || []).length) {
+        const kids = tree.children.get(current);
+        current = String(kids[kids.length - 1]._id);
+    }
+    return current;
+}
+
+// Last message of the branch currently shown: the stored leaf, or the newest message
+function currentLeaf(session, tree) {
+    const stored = session.currentLeafId && String(session.currentLeafId);
+    if (stored && tree.byId.has(stored)) return stored;
+    const last = session.messages[session.messages.length - 1];
+    return last ? String(last._id) : null;
+}
+
+// Messages of the branch currently shown, in order
+function activeBranch(session) {
+    const tree = buildTree(session.messages);
+    return pathTo(tree, currentLeaf(session, tree));
+}
+
+// Session as the owner's client sees it: messages are the active branch, each with the ids of
+// its alternatives (siblingIds, including itself) for "< 2/3 >" navigation
+function sessionView(session) {
+    const tree = buildTree(session.messages);
+    const messages = pathTo(tree, currentLeaf(session, tree)).map(msg => {
+        const parent = tree.parentOf.get(String(msg._id));
+        return {
+            ...msg.toObject(),
+            siblingIds: (tree.children.get(parent || ROOT) || []).map(sibling => sibling._id)
+        };
+    });
+    return { ...session.toObject(), messages };
+}
+
+// Work out where a new turn goes from a message route body:
+//   { input }                      continue the current branch
+//   { input, editOf: messageId }   new version of an earlier user message (a sibling of it)
+//   { regenerate: messageId }      new version of an assistant reply to the same user message
+// `attachments` are the already validated files for the new user message, undefined when the
+// request named none (an edit then keeps the edited message's files). The body is never trusted
+// for attachments.
+// Returns { input, attachments, history, userMessage, replyParentId } where history is the
+// branch before the user message and userMessage is the message to store (null when
+// regenerating), or { error }.
+function planTurn(session, body, attachments) {
+    const tree = buildTree(session.messages);
+
+    if (body.regenerate) {
+        const reply = tree.byId.get(String(body.regenerate));
+        if (!reply || reply.role !== 'assistant') return { error: 'Reply to regenerate not found' };
+        const prompt = tree.byId.get(tree.parentOf.get(String(reply._id)));
+        if (!prompt || prompt.role !== 'user') return { error: 'This reply has no user message to answer' };
+        return {
+            input: prompt.content,
+            attachments: prompt.attachments || [],
+            history: pathTo(tree, tree.parentOf.get(String(prompt._id))),
+            userMessage: null,
+            replyParentId: prompt._id
+        };
+    }
+
+    if (!body.input) return { error: 'Missing input' };
+
+    let parentId;
+    if (body.editOf) {
+        const edited = tree.byId.get(String(body.editOf));
+        if (!edited || edited.role !== 'user') return { error: 'Message to edit not found' };
+        parentId = tree.parentOf.get(String(edited._id));
+        if (!attachments) attachments = edited.attachments || [];
+    } else {
+        parentId = currentLeaf(session, tree);
+    }
+    attachments = attachments || [];
+
+    const userMessage = {
+        _id: new mongoose.Types.ObjectId(),
+        role: 'user',
+        content: body.input,
+        ...(attachments.length ? { attachments } : {}),
+        parentId: parentId ? new mongoose.Types.ObjectId(parentId) : null
+    };
+    return {
+        input: body.input,
+        attachments,
+        history: pathTo(tree, parentId),
+        userMessage,
+        replyParentId: userMessage._id
+    };
+}
+
+module.exports = { buildTree, latestLeafUnder, activeBranch, sessionView, planTurn };
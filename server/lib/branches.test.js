@@ -0,0 +1,125 @@
+/**
+ * @jest-environment node
+ */
+const mongoose = require('mongoose');
+const { buildTree, latestLeafUnder, activeBranch, planTurn } = require('./branches');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A stored message; parentId undefined mimics messages saved before branching existed
+const message = (role, content, parentId, fields = {}) => ({ _id: id(), role, content, parentId, ...fields });
+
+// user -> reply, then the user message edited (a sibling) -> second reply
+function branchedSession() {
+    const question = message('user', 'first question', null);
+    const answer = message('assistant', 'first answer', question._id);
+    const edited = message('user', 'edited question', null);
+    const editedAnswer = message('assistant', 'answer to the edit', edited._id);
+    return {
+        session: { messages: [question, answer, edited, editedAnswer], currentLeafId: answer._id },
+        question,
+        answer,
+        edited,
+        editedAnswer
+    };
+}
+
+const ownFile = { fileId: 'own', name: 'notes.txt', mimeType: 'text/plain', size: 5 };
+
+describe('activeBranch', () => {
+    test('follows the stored leaf up to the first message', () => {
+        const { session, question, answer } = branchedSession();
+        expect(activeBranch(session).map(msg => msg._id)).toEqual([question._id, answer._id]);
+    });
+
+    test('falls back to the newest message when the stored leaf is gone', () => {
+        const { session, edited, editedAnswer } = branchedSession();
+        session.currentLeafId = id();
+        expect(activeBranch(session).map(msg => msg._id)).toEqual([edited._id, editedAnswer._id]);
+    });
+
+    test('chains legacy messages without parentId in stored order', () => {
+        const messages = [message('user', 'a'), message('assistant', 'b'), message('user', 'c')];
+        expect(activeBranch({ messages }).map(msg => msg.content)).toEqual(['a', 'b', 'c']);
+    });
+});
+
+test('latestLeafUnder picks the newest child at each step', () => {
+    const root = message('user', 'q', null);
+    const older = message('assistant', 'old reply', root._id);
+    const newer = message('assistant', 'new reply', root._id);
+    const followUp = message('user', 'follow-up', newer._id);
+    const tree = buildTree([root, older, newer, followUp]);
+    expect(latestLeafUnder(tree, root._id)).toBe(String(followUp._id));
+    expect(latestLeafUnder(tree, older._id)).toBe(String(older._id));
+});
+
+describe('planTurn', () => {
+    test('continues the current branch', () => {
+        const { session, question, answer } = branchedSession();
+        const turn = planTurn(session, { input: 'next' });
+        expect(turn.userMessage.parentId.equals(answer._id)).toBe(true);
+        expect(turn.history.map(msg => msg._id)).toEqual([question._id, answer._id]);
+        expect(turn.replyParentId).toBe(turn.userMessage._id);
+    });
+
+    test('starts a sibling branch when editing a user message', () => {
+        const { session, answer } = branchedSession();
+        const followUp = message('user', 'follow-up', answer._id);
+        session.messages.push(followUp);
+        const turn = planTurn(session, { input: 'follow-up, reworded', editOf: followUp._id });
+        expect(turn.userMessage.parentId.equals(answer._id)).toBe(true);
+        expect(turn.history).toHaveLength(2);
+    });
+
+    test('regenerates a reply from its user message without storing a new one', () => {
+        const { session, edited, editedAnswer } = branchedSession();
+        const turn = planTurn(session, { regenerate: editedAnswer._id });
+        expect(turn.userMessage).toBeNull();
+        expect(turn.input).toBe('edited question');
+        expect(turn.replyParentId).toBe(edited._id);
+        expect(turn.history).toEqual([]);
+    });
+
+    test('rejects unknown messages and missing input', () => {
+        const { session, question } = branchedSession();
+        expect(planTurn(session, {}).error).toBe('Missing input');
+        expect(planTurn(session, { regenerate: question._id }).error).toBe('Reply to regenerate not found');
+        expect(planTurn(session, { input: 'x', editOf: id() }).error).toBe('Message to edit not found');
+    });
+
+    describe('attachments', () => {
+        test('ignores attachments sent in the body', () => {
+            const { session } = branchedSession();
+            const forged = { fileId: 'someone-elses-file', name: 'secret.pdf', mimeType: 'application/pdf', size: 1 };
+            const turn = planTurn(session, { input: 'read this', attachments: [forged] });
+            expect(turn.attachments).toEqual([]);
+            expect(turn.userMessage.attachments).toBeUndefined();
+        });
+
+        test('stores the validated attachments on the new user message', () => {
+            const { session } = branchedSession();
+            const turn = planTurn(session, { input: 'read this' }, [ownFile]);
+            expect(turn.attachments).toEqual([ownFile]);
+            expect(turn.userMessage.attachments).toEqual([ownFile]);
+        });
+
+        test('an edit keeps the edited message files unless new ones are given', () => {
+            const { session, answer } = branchedSession();
+            const withFile = message('user', 'see file', answer._id, { attachments: [ownFile] });
+            session.messages.push(withFile);
+
+            expect(planTurn(session, { input: 'see file again', editOf: withFile._id }).attachments).toEqual([ownFile]);
+            expect(planTurn(session, { input: 'no file now', editOf: withFile._id }, []).attachments).toEqual([]);
+        });
+
+        test('regenerating sends the files of the answered message', () => {
+            const { session, answer } = branchedSession();
+            const withFile = message('user', 'see file', answer._id, { attachments: [ownFile] });
+            const reply = message('assistant', 'seen', withFile._id);
+            session.messages.push(withFile, reply);
+            const turn = planTurn(session, { regenerate: reply._id, attachments: [{ fileId: 'forged' }] });
+            expect(turn.attachments).toEqual([ownFile]);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+// Live updates for a user's open tabs and devices. Each client keeps a Server-Sent Events
+// stream open on GET /api/chat/events; routes that change a user's chats publish to all of that
+// user's streams except the one of the tab that made the change (identified by the X-Client-Id
+// header the client sends with every request). Streams live in this process, so running several
+// server instances would need a shared pub/sub in front of this.
+const HEARTBEAT_MS = 25 * 1000;
+
+// userId -> Set of { res, clientId, authSessionId }
+const streams = new Map();
+
+const write = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Register `res` as an event stream for the authenticated request. The stream is closed when
+// the access token it was opened with expires, so a signed-out device can't keep listening;
+// the client reconnects with a fresh token.
+function subscribe(req, res) {
+    const userId = String(req.userId);
+    const stream = { res, clientId: req.get('X-Client-Id') || null, authSessionId: String(req.authSessionId) };
+    if (!streams.has(userId)) streams.set(userId, new Set());
+    streams.get(userId).add(stream);
+
+    // Comments keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const expiry = setTimeout(() => res.end(), Math.max(0, req.tokenExpiresAt - Date.now()));
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        const userStreams = streams.get(userId);
+        userStreams?.delete(stream);
+        if (userStreams && !userStreams.size) streams.delete(userId);
+    });
+    write(res, 'ready', { clientId: stream.clientId });
+}
+
+// Send an event to the user's streams, skipping the client that caused it
+function publish(userId, event, data, exceptClientId = null) {
+    for (const stream of streams.get(String(userId)) || []) {
+        if (exceptClientId && stream.clientId === exceptClientId) continue;
+        write(stream.res, event, data);
+    }
+}
+
+// End the streams of signed-out devices: those of the sign-in session `only`, or all of the
+// user's except `keep`'s, or simply all of them
+function disconnect(userId, { only, keep } = {}) {
+    for (const stream of streams.get(String(userId)) || []) {
+        if (only && stream.authSessionId !== String(only)) continue;
+        if (keep && stream.authSessionId === String(keep)) continue;
+        stream.res.end();
+    }
+}
+
+module.exports = { subscribe, publish, disconnect };
@@ -0,0 +1,99 @@
+// Conversation export formats. The JSON format is also what /api/chat/import accepts back.
+// Only the branch currently shown is exported; other versions of edited messages are left out.
+const { activeBranch } = require('./branches');
+
+const EXPORT_FORMAT = 'ai-chatbot';
+const EXPORT_VERSION = 1;
+
+// Portable copy of a session: no ids, owner or share token, just what's needed to recreate it
+const toPortableSession = (session) => ({
+    title: session.title,
+    createdAt: session.createdAt,
+    lastUpdated: session.lastUpdated,
+    provider: session.provider,
+    model: session.model,
+    systemPrompt: session.systemPrompt,
+    generationConfig: session.generationConfig,
+    pinned: session.pinned,
+    folder: session.folder,
+    tags: session.tags,
+    messages: activeBranch(session).map(msg => ({
+        role: msg.role,
+        content: msg.content,
+        timestamp: msg.timestamp,
+        ...(msg.interrupted ? { interrupted: true } : {})
+    }))
+});
+
+const toJson = (sessions) => JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    sessions: sessions.map(toPortableSession)
+}, null, 2);
+
+// Messages in chats with several members name their author
+const roleLabel = (msg) => (msg.role === 'assistant' ? 'Assistant' : msg.authorName || 'You');
+
+// Attached files are not exported, only listed by name
+const attachmentNames = (msg) => msg.attachments.map(file => file.name).join(', ');
+
+function toMarkdown(session) {
+    const lines = [`# ${session.title}`, '', `_Created ${new Date(session.createdAt).toISOString()}_`, ''];
+    for (const msg of activeBranch(session)) {
+        lines.push(`## ${roleLabel(msg)} — ${new Date(msg.timestamp).toISOString()}`, '');
+        lines.push(msg.content, '');
+        if (msg.interrupted) lines.push('_(stopped before the reply finished)_', '');
+        if (msg.attachments?.length) lines.push(`_Attached: ${attachmentNames(msg)}_`, '');
+    }
+    return lines.join('\n');
+}
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Self-contained page; message text is escaped and shown as-is rather than rendered as Markdown
+function toHtml(session) {
+    const messages = activeBranch(session).map(msg => `
+    <div class="message ${msg.role}">
+      <div class="meta">${escapeHtml(roleLabel(msg))} · ${escapeHtml(new Date(msg.timestamp).toLocaleString('en-US'))}${msg.interrupted ? ' · stopped' : ''}${msg.attachments?.length ? ` · attached: ${escapeHtml(attachmentNames(msg))}` : ''}</div>
+      <div class="text">${escapeHtml(msg.content)}</div>
+    </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(session.title)}</title>
+  <style>
+    body { font-family: system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; max-width: 800px; margin: 24px auto; padding: 0 16px; color: #0b1320; }
+    .message { padding: 12px 14px; border-radius: 10px; margin-bottom: 12px; background: #f8fafc; }
+    .message.user { background: #e6f7ff; }
+    .meta { font-size: 0.8rem; color: #6b7280; margin-bottom: 6px; }
+    .text { white-space: pre-wrap; word-break: break-word; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(session.title)}</h1>${messages}
+</body>
+</html>
+`;
+}
+
+// Safe, readable file name for a session export
+function exportFileName(session, extension) {
+    const slug = session.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 50) || 'chat';
+    return `${slug}-${String(session._id).slice(-6)}.${extension}`;
+}
+
+const EXPORTERS = {
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8', render: toMarkdown },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8', render: session => toJson([session]) },
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8', render: toHtml }
+};
+
+module.exports = { EXPORT_FORMAT, EXPORTERS, toJson, toMarkdown, exportFileName };
@@ -0,0 +1,123 @@
+// Feedback on assistant replies. Members of a chat rate a reply up or down, a thumbs down
+// optionally with a category and a comment; the rating is stored on the message together with
+// the chat's settings at that moment. Operators (see lib/operators.js) list the low-rated replies
+// with the prompt they answered to find what the system prompt or settings get wrong.
+const ChatSession = require('../models/ChatSession');
+const User = require('../models/User');
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+const FEEDBACK_CATEGORIES = ['wrong', 'unsafe', 'unhelpful'];
+const MAX_COMMENT_LENGTH = 1000;
+const MAX_LIST_LIMIT = 200;
+
+// Validate a rating body { rating: 'up' | 'down' | null, category, comment }. Returns
+// { feedback } with the fields to store (null when the rating is cleared) or { error }.
+function parseFeedback(body) {
+    const { rating, category, comment } = body;
+    if (rating === null) return { feedback: null };
+    if (!FEEDBACK_RATINGS.includes(rating)) return { error: "rating must be 'up', 'down' or null" };
+
+    const feedback = { rating };
+    if (category !== undefined && category !== null && category !== '') {
+        if (rating !== 'down') return { error: 'Only a thumbs down can have a category' };
+        if (!FEEDBACK_CATEGORIES.includes(category)) {
+            return { error: `category must be one of ${FEEDBACK_CATEGORIES.join(', ')}` };
+        }
+        feedback.category = category;
+    }
+    if (comment !== undefined && comment !== null) {
+        if (typeof comment !== 'string') return { error: 'comment must be a string' };
+        if (comment.length > MAX_COMMENT_LENGTH) {
+            return { error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` };
+        }
+        if (comment.trim()) feedback.comment = comment.trim();
+    }
+    return { feedback };
+}
+
+// Rated replies, most recently rated first: { items, counts }. `rating` picks thumbs down
+// (default) or up, `category` narrows thumbs down further. Each item has the reply, the user
+// message it answered, the model that wrote it and the settings recorded with the rating.
+// counts has the number of ratings per rating and category over all chats. Filtering, sorting
+// and the limit run in MongoDB, so only the returned page is loaded.
+async function listFeedback({ rating = 'down', category, limit = 50 } = {}) {
+    const rows = await ChatSession.aggregate([
+        { $match: { 'messages.feedback.rating': rating } },
+        { $project: { title: 1, messages: 1 } },
+        { $unwind: { path: '$messages', includeArrayIndex: 'index' } },
+        {
+            $match: {
+                'messages.role': 'assistant',
+                'messages.feedback.rating': rating,
+                ...(category ? { 'messages.feedback.category': category } : {})
+            }
+        },
+        { $sort: { 'messages.feedback.ratedAt': -1 } },
+        { $limit: Math.min(Math.max(limit, 1), MAX_LIST_LIMIT) },
+        // The user message the reply answered: its parent, or for messages stored before
+        // branching (no parentId) the message stored before it
+        {
+            $lookup: {
+                from: ChatSession.collection.name,
+                let: { sessionId: '$_id', parentId: '$messages.parentId', index: '$index' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$_id', '$$sessionId'] } } },
+                    {
+                        $project: {
+                            _id: 0,
+                            prompt: {
+                                $cond: [
+                                    { $ne: [{ $ifNull: ['$$parentId', null] }, null] },
+                                    { $arrayElemAt: [{ $filter: { input: '$messages', cond: { $eq: ['$$this._id', '$$parentId'] } } }, 0] },
+                                    { $cond: [{ $gt: ['$$index', 0] }, { $arrayElemAt: ['$messages', { $subtract: ['$$index', 1] }] }, null] }
+                                ]
+                            }
+                        }
+                    }
+                ],
+                as: 'parent'
+            }
+        },
+        { $lookup: { from: User.collection.name, localField: 'messages.feedback.user', foreignField: '_id', as: 'rater' } }
+    ]);
+
+    const items = rows.map(({ _id, title, messages: msg, parent, rater }) => ({
+        sessionId: _id,
+        sessionTitle: title,
+        messageId: msg._id,
+        prompt: parent[0]?.prompt?.content ?? null,
+        reply: msg.content,
+        model: msg.model || null,
+        rating: msg.feedback.rating,
+        category: msg.feedback.category || null,
+        comment: msg.feedback.comment || null,
+        settings: msg.feedback.settings || null,
+        ratedBy: rater[0]?.username || null,
+        ratedAt: msg.feedback.ratedAt
+    }));
+    return { items, counts: await countFeedback() };
+}
+
+// { up, down, byCategory: { wrong, unsafe, unhelpful, none } } over every rated reply
+async function countFeedback() {
+    const groups = await ChatSession.aggregate([
+        { $match: { 'messages.feedback.rating': { $exists: true } } },
+        { $unwind: '$messages' },
+        { $match: { 'messages.feedback.rating': { $exists: true } } },
+        {
+            $group: {
+                _id: { rating: '$messages.feedback.rating', category: '$messages.feedback.category' },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+    const counts = { up: 0, down: 0, byCategory: { none: 0 } };
+    for (const name of FEEDBACK_CATEGORIES) counts.byCategory[name] = 0;
+    for (const { _id, count } of groups) {
+        counts[_id.rating] += count;
+        if (_id.rating === 'down') counts.byCategory[_id.category || 'none'] += count;
+    }
+    return counts;
+}
+
+module.exports = { FEEDBACK_RATINGS, FEEDBACK_CATEGORIES, parseFeedback, listFeedback };
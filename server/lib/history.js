@@ -0,0 +1,55 @@
+// Conversation history helpers shared by the message routes
+
+// Cheap token estimate (~4 characters per token) so we don't need an extra countTokens round trip
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Drop the oldest messages once the history no longer fits in `budget` estimated tokens.
+// Messages are { role: 'user' | 'assistant', content }; the last one (the new input) is always kept.
+function trimHistory(messages, budget) {
+    let used = 0;
+    let start = messages.length;
+    while (start > 0) {
+        const cost = estimateTokens(messages[start - 1].content);
+        if (start < messages.length && used + cost > budget) break;
+        used += cost;
+        start--;
+    }
+
+    // Models expect the conversation to open with a user turn
+    while (start < messages.length - 1 && messages[start].role !== 'user') start++;
+
+    if (start > 0) {
+        console.log(`Trimmed ${start} oldest message(s) to fit the ${budget} token history budget`);
+    }
+
+    return messages.slice(start);
+}
+
+// Choose which attachments are sent as file data. The newest message (the new input) always
+// keeps its files; older ones keep theirs, newest first, while the total size stays within
+// `maxBytes`. Files left out are mentioned as "[attached: name]" in the message text instead, so
+// the request doesn't grow with every file ever shared in the chat.
+function limitAttachments(messages, maxBytes) {
+    let used = 0;
+    const limited = [...messages];
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const msg = messages[i];
+        if (!msg.attachments?.length) continue;
+        const kept = [];
+        const dropped = [];
+        for (const file of msg.attachments) {
+            const size = file.size || 0;
+            if (i === messages.length - 1 || used + size <= maxBytes) {
+                kept.push(file);
+                used += size;
+            } else {
+                dropped.push(file);
+            }
+        }
+        const notes = dropped.map(file => `[attached: ${file.name}]`).join('\n');
+        limited[i] = { ...msg, content: notes ? `${msg.content}\n\n${notes}` : msg.content, attachments: kept };
+    }
+    return limited;
+}
+
+module.exports = { estimateTokens, trimHistory, limitAttachments };
@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+const { estimateTokens, trimHistory, limitAttachments } = require('./history');
+
+const MB = 1024 * 1024;
+
+// Text costing `tokens` estimated tokens
+const text = (tokens) => 'x'.repeat(tokens * 4);
+
+describe('trimHistory', () => {
+    beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+    afterEach(() => jest.restoreAllMocks());
+
+    test('estimates about four characters per token', () => {
+        expect(estimateTokens('')).toBe(0);
+        expect(estimateTokens(undefined)).toBe(0);
+        expect(estimateTokens('abcde')).toBe(2);
+    });
+
+    test('keeps everything that fits', () => {
+        const messages = [
+            { role: 'user', content: text(10) },
+            { role: 'assistant', content: text(10) },
+            { role: 'user', content: text(10) }
+        ];
+        expect(trimHistory(messages, 30)).toEqual(messages);
+    });
+
+    test('drops the oldest messages over the budget and opens with a user turn', () => {
+        const messages = [
+            { role: 'user', content: text(10) },
+            { role: 'assistant', content: text(10) },
+            { role: 'user', content: text(10) },
+            { role: 'assistant', content: text(10) },
+            { role: 'user', content: text(10) }
+        ];
+        // 35 tokens fit the last three messages, which already start with a user turn
+        expect(trimHistory(messages, 35)).toEqual(messages.slice(2));
+        // 25 tokens fit the last two, but an assistant turn can't come first
+        expect(trimHistory(messages, 25)).toEqual(messages.slice(4));
+    });
+
+    test('always keeps the new input, even over budget', () => {
+        const messages = [
+            { role: 'user', content: text(5) },
+            { role: 'assistant', content: text(5) },
+            { role: 'user', content: text(100) }
+        ];
+        expect(trimHistory(messages, 10)).toEqual([messages[2]]);
+    });
+});
+const file = (name, size) => ({ fileId: name, name, mimeType: 'application/pdf', size });
+
+describe('limitAttachments', () => {
+    test('keeps files of the newest messages within the byte budget', () => {
+        const messages = [
+            { role: 'user', content: 'old', attachments: [file('old.pdf', 6 * MB)] },
+            { role: 'assistant', content: 'read it' },
+            { role: 'user', content: 'recent', attachments: [file('recent.pdf', 3 * MB)] },
+            { role: 'assistant', content: 'read that too' },
+            { role: 'user', content: 'compare them' }
+        ];
+        const limited = limitAttachments(messages, 8 * MB);
+        expect(limited[2]).toEqual(messages[2]);
+        expect(limited[0].attachments).toEqual([]);
+        expect(limited[0].content).toBe('old\n\n[attached: old.pdf]');
+        expect(limited[1]).toBe(messages[1]);
+    });
+
+    test('always sends the files of the new message', () => {
+        const messages = [{ role: 'user', content: 'huge', attachments: [file('a.pdf', 9 * MB), file('b.pdf', 9 * MB)] }];
+        expect(limitAttachments(messages, 8 * MB)[0].attachments).toHaveLength(2);
+    });
+
+    test('new message files count against the budget for older ones', () => {
+        const messages = [
+            { role: 'user', content: 'first', attachments: [file('first.png', 2 * MB)] },
+            { role: 'assistant', content: 'ok' },
+            { role: 'user', content: 'second', attachments: [file('second.png', 7 * MB)] }
+        ];
+        const limited = limitAttachments(messages, 8 * MB);
+        expect(limited[0].attachments).toEqual([]);
+        expect(limited[0].content).toBe('first\n\n[attached: first.png]');
+    });
+});
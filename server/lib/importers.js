@@ -0,0 +1,109 @@
+// Parse uploaded conversation exports into plain session data for /api/chat/import.
+// Accepts our own JSON export (see exporters.js) and ChatGPT's conversations.json.
+const { EXPORT_FORMAT } = require('./exporters');
+
+const MAX_SESSIONS = 500;
+const MAX_MESSAGES_PER_SESSION = 5000;
+
+// Dates from imports may be missing or garbage; fall back instead of storing Invalid Date
+function toDate(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    const date = typeof value === 'number' ? new Date(value) : new Date(String(value));
+    return Number.isNaN(date.getTime()) ? fallback : date;
+}
+
+// ChatGPT timestamps are Unix seconds (possibly fractional)
+const fromSeconds = (seconds, fallback) => (typeof seconds === 'number' ? toDate(seconds * 1000, fallback) : fallback);
+
+function normalizeMessages(messages) {
+    return messages
+        .filter(msg => msg && (msg.role === 'user' || msg.role === 'assistant')
+            && typeof msg.content === 'string' && msg.content.trim())
+        .slice(0, MAX_MESSAGES_PER_SESSION);
+}
+
+function fromOurFormat(data) {
+    return data.sessions.map(session => {
+        const now = new Date();
+        const messages = normalizeMessages(Array.isArray(session?.messages) ? session.messages : [])
+            .map(msg => ({
+                role: msg.role,
+                content: msg.content,
+                timestamp: toDate(msg.timestamp, now),
+                interrupted: Boolean(msg.interrupted)
+            }));
+        const createdAt = toDate(session?.createdAt, messages[0]?.timestamp || now);
+        return {
+            title: session?.title,
+            createdAt,
+            lastUpdated: toDate(session?.lastUpdated, messages[messages.length - 1]?.timestamp || createdAt),
+            messages,
+            // Passed through the same validation as the session APIs by the import route
+            fields: session || {}
+        };
+    });
+}
+
+// ChatGPT stores each conversation as a tree of nodes; follow the active branch from
+// current_node back to the root to get the transcript the user last saw
+function fromChatGptConversation(conversation) {
+    const mapping = conversation.mapping || {};
+    const chain = [];
+    const seen = new Set();
+    let nodeId = conversation.current_node;
+    while (nodeId && mapping[nodeId] && !seen.has(nodeId)) {
+        seen.add(nodeId);
+        chain.push(mapping[nodeId]);
+        nodeId = mapping[nodeId].parent;
+    }
+    chain.reverse();
+
+    const messages = normalizeMessages(chain
+        .map(node => node.message)
+        .filter(message => message && !message.metadata?.is_visually_hidden_from_conversation)
+        .map(message => ({
+            role: message.author?.role,
+            content: (message.content?.parts || []).filter(part => typeof part === 'string').join('\n'),
+            create_time: message.create_time
+        })));
+
+    const createdAt = fromSeconds(conversation.create_time, new Date());
+    return {
+        title: conversation.title,
+        createdAt,
+        lastUpdated: fromSeconds(conversation.update_time, createdAt),
+        messages: messages.map(msg => ({
+            role: msg.role,
+            content: msg.content,
+            timestamp: fromSeconds(msg.create_time, createdAt)
+        })),
+        fields: {}
+    };
+}
+
+const isChatGptConversation = (item) => item && typeof item === 'object' && item.mapping && typeof item.mapping === 'object';
+
+// Returns { sessions } with { title, createdAt, lastUpdated, messages, fields } entries, or { error }
+function parseImport(data) {
+    let sessions;
+    if (data && data.format === EXPORT_FORMAT && Array.isArray(data.sessions)) {
+        sessions = fromOurFormat(data);
+    } else if (Array.isArray(data) && data.length && data.every(isChatGptConversation)) {
+        sessions = data.map(fromChatGptConversation).filter(session => session.messages.length);
+    } else if (isChatGptConversation(data)) {
+        sessions = [fromChatGptConversation(data)].filter(session => session.messages.length);
+    } else {
+        return { error: 'Unrecognized import format. Upload a JSON export from this app or a ChatGPT conversations.json file.' };
+    }
+
+    if (!sessions.length) return { error: 'The file does not contain any conversations' };
+    if (sessions.length > MAX_SESSIONS) return { error: `At most ${MAX_SESSIONS} conversations can be imported at once` };
+
+    for (const session of sessions) {
+        const title = typeof session.title === 'string' ? session.title.trim() : '';
+        session.title = (title || 'Imported chat').slice(0, 100);
+    }
+    return { sessions };
+}
+
+module.exports = { parseImport };
@@ -0,0 +1,96 @@
+/**
+ * @jest-environment node
+ */
+const { parseImport } = require('./importers');
+
+describe('our JSON export', () => {
+    test('keeps messages, dates and fields for validation by the route', () => {
+        const { sessions } = parseImport({
+            format: 'ai-chatbot',
+            version: 1,
+            sessions: [{
+                title: '  Trip plans  ',
+                createdAt: '2024-05-01T10:00:00.000Z',
+                lastUpdated: '2024-05-02T10:00:00.000Z',
+                pinned: true,
+                messages: [
+                    { role: 'user', content: 'Where to?', timestamp: '2024-05-01T10:00:00.000Z' },
+                    { role: 'assistant', content: 'Lisbon', timestamp: '2024-05-01T10:00:05.000Z', interrupted: true },
+                    { role: 'system', content: 'dropped' },
+                    { role: 'user', content: '   ' }
+                ]
+            }]
+        });
+        expect(sessions).toHaveLength(1);
+        const [session] = sessions;
+        expect(session.title).toBe('Trip plans');
+        expect(session.createdAt).toEqual(new Date('2024-05-01T10:00:00.000Z'));
+        expect(session.lastUpdated).toEqual(new Date('2024-05-02T10:00:00.000Z'));
+        expect(session.messages.map(msg => [msg.role, msg.content, msg.interrupted])).toEqual([
+            ['user', 'Where to?', false],
+            ['assistant', 'Lisbon', true]
+        ]);
+        expect(session.fields.pinned).toBe(true);
+    });
+
+    test('replaces missing or invalid dates and titles', () => {
+        const { sessions } = parseImport({
+            format: 'ai-chatbot',
+            sessions: [{ createdAt: 'not a date', messages: [{ role: 'user', content: 'hi', timestamp: 'garbage' }] }]
+        });
+        const [session] = sessions;
+        expect(session.title).toBe('Imported chat');
+        expect(Number.isNaN(session.createdAt.getTime())).toBe(false);
+        expect(session.createdAt).toEqual(session.messages[0].timestamp);
+    });
+});
+
+describe('ChatGPT conversations.json', () => {
+    // root -> question -> (old answer | new answer); current_node is the new answer
+    const conversation = {
+        title: 'Recipes',
+        create_time: 1700000000,
+        update_time: 1700000600.5,
+        current_node: 'new',
+        mapping: {
+            root: { parent: null, message: null },
+            hidden: {
+                parent: 'root',
+                message: { author: { role: 'system' }, content: { parts: ['system prompt'] }, metadata: { is_visually_hidden_from_conversation: true } }
+            },
+            question: { parent: 'hidden', message: { author: { role: 'user' }, content: { parts: ['Pancakes?'] }, create_time: 1700000100 } },
+            old: { parent: 'question', message: { author: { role: 'assistant' }, content: { parts: ['Old answer'] } } },
+            new: { parent: 'question', message: { author: { role: 'assistant' }, content: { parts: ['Flour, eggs', { image: true }, 'milk'] } } }
+        }
+    };
+
+    test('follows the branch ending at current_node', () => {
+        const { sessions } = parseImport([conversation]);
+        const [session] = sessions;
+        expect(session.title).toBe('Recipes');
+        expect(session.messages.map(msg => msg.content)).toEqual(['Pancakes?', 'Flour, eggs\nmilk']);
+        expect(session.messages[0].timestamp).toEqual(new Date(1700000100 * 1000));
+        // Messages without create_time get the conversation's
+        expect(session.messages[1].timestamp).toEqual(new Date(1700000000 * 1000));
+        expect(session.lastUpdated).toEqual(new Date(1700000600500));
+    });
+
+    test('accepts a single conversation and survives parent cycles', () => {
+        const looping = {
+            current_node: 'a',
+            mapping: {
+                a: { parent: 'b', message: { author: { role: 'user' }, content: { parts: ['a'] } } },
+                b: { parent: 'a', message: { author: { role: 'assistant' }, content: { parts: ['b'] } } }
+            }
+        };
+        const { sessions } = parseImport(looping);
+        expect(sessions[0].messages.map(msg => msg.content)).toEqual(['b', 'a']);
+    });
+});
+
+test('rejects unknown formats and empty files', () => {
+    expect(parseImport({ hello: 'world' }).error).toMatch(/Unrecognized import format/);
+    expect(parseImport([]).error).toMatch(/Unrecognized import format/);
+    expect(parseImport({ format: 'ai-chatbot', sessions: [] }).error).toBe('The file does not contain any conversations');
+    expect(parseImport([{ mapping: {} }]).error).toBe('The file does not contain any conversations');
+});
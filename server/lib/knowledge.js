@@ -0,0 +1,239 @@
+// Personal knowledge base: uploaded documents are split into overlapping chunks, embedded and
+// stored as KnowledgeChunks; sessions that opt in get the chunks closest to each message added
+// to the prompt as numbered sources. Embeddings come from the default provider's embedding API
+// when it has one, otherwise (or when that call fails) from a local hashed bag-of-words
+// embedding, so retrieval also works offline. Vectors are compared in process, which is fine
+// for personal-sized libraries.
+const crypto = require('crypto');
+const { PDFParse } = require('pdf-parse');
+const KnowledgeDocument = require('../models/KnowledgeDocument');
+const KnowledgeChunk = require('../models/KnowledgeChunk');
+const { getProvider, defaultProviderName } = require('../providers');
+
+const KNOWLEDGE_TYPES = ['text/plain', 'text/markdown', 'application/pdf'];
+
+// Chunk sizes in characters
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const MAX_CHUNKS_PER_DOCUMENT = 2000;
+
+const TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 4;
+// Chunks less similar than this to the message are never offered as sources. The local
+// embedding scores on a much lower scale than embedding APIs, so it has its own threshold.
+const MIN_SCORE = parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 0.3;
+const LOCAL_MIN_SCORE = 0.05;
+
+// Cited excerpts stored with a reply are cut to this length
+const EXCERPT_LENGTH = 300;
+
+// --- Embeddings ---
+
+const LOCAL_MODEL = 'local:hash-512';
+const LOCAL_DIMENSIONS = 512;
+
+function normalize(vector) {
+    const length = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return length ? vector.map(x => x / length) : vector;
+}
+
+// Too common to say anything about what a passage is about
+const STOPWORDS = new Set(('a an and are as at be but by can do does for from has have how i if in is it its '
+    + 'me my of on or our so that the their then there these this to was we were what when where which who '
+    + 'why will with you your').split(' '));
+
+// Words and word pairs hashed into a fixed-size signed vector ("feature hashing"), with
+// dampened counts so a word repeated throughout a long chunk doesn't drown out the rest
+function localEmbedding(text) {
+    const counts = new Map();
+    const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => !STOPWORDS.has(word));
+    words.forEach((word, i) => {
+        counts.set(word, (counts.get(word) || 0) + 1);
+        if (i > 0) counts.set(`${words[i - 1]} ${word}`, (counts.get(`${words[i - 1]} ${word}`) || 0) + 0.5);
+    });
+
+    const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+    for (const [feature, count] of counts) {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        vector[hash.readUInt32LE(0) % LOCAL_DIMENSIONS] += (hash[4] & 1 ? 1 : -1) * (1 + Math.log(1 + count));
+    }
+    return normalize(vector);
+}
+
+// Embed texts with `model` (as recorded on stored chunks); without one, with the default
+// provider's embedding API when available, else locally. Resolves to { model, vectors }, or
+// null when the requested model can't be used right now.
+async function embedTexts(texts, model) {
+    if (model === LOCAL_MODEL) return { model, vectors: texts.map(localEmbedding) };
+
+    const provider = getProvider(model ? model.split(':')[0] : defaultProviderName());
+    if (provider?.embed && provider.isConfigured()) {
+        try {
+            const result = await provider.embed(texts);
+            if (!model || result.model === model) return result;
+            console.warn(`Chunks embedded with ${model} can't be searched: the provider now embeds with ${result.model}`);
+        } catch (err) {
+            console.warn('Embedding API failed:', err.message);
+        }
+    }
+    return model ? null : { model: LOCAL_MODEL, vectors: texts.map(localEmbedding) };
+}
+
+function cosine(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// --- Documents ---
+
+// Text of an upload as [{ text, page }] sections; PDFs give one section per page
+async function extractSections(buffer, mimeType) {
+    if (mimeType !== 'application/pdf') return [{ text: buffer.toString('utf8') }];
+    const parser = new PDFParse({ data: buffer });
+    try {
+        const result = await parser.getText();
+        return result.pages.map(page => ({ text: page.text, page: page.num }));
+    } finally {
+        await parser.destroy();
+    }
+}
+
+// Split sections into overlapping chunks of about CHUNK_SIZE characters, preferring to break
+// at paragraph or sentence ends. Chunks never span PDF pages so each cites a single page.
+function chunkSections(sections) {
+    const chunks = [];
+    for (const { text, page } of sections) {
+        const clean = text.replace(/\r/g, '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+        let start = 0;
+        while (start < clean.length) {
+            let end = Math.min(clean.length, start + CHUNK_SIZE);
+            if (end < clean.length) {
+                const tail = clean.slice(start + CHUNK_SIZE / 2, end);
+                const breakAt = Math.max(tail.lastIndexOf('\n\n'), tail.lastIndexOf('. '));
+                if (breakAt !== -1) end = start + CHUNK_SIZE / 2 + breakAt + 1;
+            }
+            const piece = clean.slice(start, end).trim();
+            if (piece) chunks.push({ text: piece, page });
+            if (end >= clean.length) break;
+            start = Math.max(end - CHUNK_OVERLAP, start + 1);
+        }
+    }
+    return chunks;
+}
+
+// Extract, chunk and embed an upload into the owner's knowledge base.
+// Resolves to { document } or { error } when the file has no usable text.
+async function addDocument(owner, { name, mimeType, buffer }) {
+    let sections;
+    try {
+        sections = await extractSections(buffer, mimeType);
+    } catch (err) {
+        console.warn('Could not extract text from knowledge upload:', err.message);
+        return { error: 'Could not read any text from this file' };
+    }
+
+    const chunks = chunkSections(sections);
+    if (!chunks.length) return { error: 'No text found in this file (scanned PDFs are not supported)' };
+    if (chunks.length > MAX_CHUNKS_PER_DOCUMENT) return { error: 'This document is too long for the knowledge base' };
+
+    const { model, vectors } = await embedTexts(chunks.map(chunk => chunk.text));
+    const document = await KnowledgeDocument.create({
+        owner,
+        name,
+        mimeType,
+        size: buffer.length,
+        chunkCount: chunks.length,
+        embeddingModel: model
+    });
+    await KnowledgeChunk.insertMany(chunks.map((chunk, index) => ({
+        document: document._id,
+        owner,
+        index,
+        page: chunk.page,
+        text: chunk.text,
+        embedding: vectors[index],
+        embeddingModel: model
+    })));
+    return { document };
+}
+
+async function deleteDocument(document) {
+    await KnowledgeChunk.deleteMany({ document: document._id });
+    await KnowledgeDocument.deleteOne({ _id: document._id });
+}
+
+// --- Retrieval ---
+
+// The owner's chunks most similar to `query`, best first, as
+// [{ documentId, name, page, chunkIndex, text, score }]
+async function retrieve(owner, query, limit = TOP_K) {
+    const scored = [];
+    // Chunks are only comparable to a query embedded with the same model
+    for (const model of await KnowledgeChunk.distinct('embeddingModel', { owner })) {
+        const embedded = await embedTexts([query], model);
+        if (!embedded) continue;
+        const chunks = await KnowledgeChunk.find({ owner, embeddingModel: model })
+            .select('document index page text embedding')
+            .lean();
+        const minScore = model === LOCAL_MODEL ? LOCAL_MIN_SCORE : MIN_SCORE;
+        for (const chunk of chunks) {
+            const score = cosine(embedded.vectors[0], chunk.embedding);
+            if (score >= minScore) scored.push({ chunk, score });
+        }
+    }
+
+    const top = scored.sort((a, b) => b.score - a.score).slice(0, limit);
+    const documents = await KnowledgeDocument.find({ _id: { $in: top.map(s => s.chunk.document) } }).select('name');
+    const names = new Map(documents.map(doc => [String(doc._id), doc.name]));
+    return top.map(({ chunk, score }) => ({
+        documentId: chunk.document,
+        name: names.get(String(chunk.document)) || 'Deleted document',
+        page: chunk.page,
+        chunkIndex: chunk.index,
+        text: chunk.text,
+        score
+    }));
+}
+
+// System prompt addition offering the retrieved chunks as numbered sources
+function sourcesInstruction(sources) {
+    const excerpts = sources
+        .map((source, i) => `[${i + 1}] ${source.name}${source.page ? `, page ${source.page}` : ''}:\n${source.text}`)
+        .join('\n\n');
+    return 'Excerpts from the user\'s own documents that may help with their message follow. '
+        + 'Use the relevant ones and cite them inline by number, like [1] or [2]; ignore the rest. '
+        + 'If they don\'t contain the answer, say so instead of guessing what the documents say.\n\n'
+        + excerpts;
+}
+
+// The sources a reply actually cited with [n] markers, keeping their numbers, as stored on the
+// assistant message
+function citedSources(reply, sources) {
+    const cited = new Set([...reply.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+    return sources
+        .map((source, i) => ({
+            n: i + 1,
+            documentId: source.documentId,
+            name: source.name,
+            page: source.page,
+            excerpt: source.text.slice(0, EXCERPT_LENGTH)
+        }))
+        .filter(source => cited.has(source.n));
+}
+
+module.exports = {
+    KNOWLEDGE_TYPES,
+    localEmbedding,
+    chunkSections,
+    addDocument,
+    deleteDocument,
+    retrieve,
+    sourcesInstruction,
+    citedSources
+};
@@ -0,0 +1,16 @@
+// Operators look after the deployment, e.g. reviewing the feedback users give on replies (see
+// lib/feedback.js). They are the users named in OPERATOR_USERNAMES (comma-separated) plus every
+// admin; nobody can become one from the app except by an admin granting the admin role.
+const operatorUsernames = () => (process.env.OPERATOR_USERNAMES || '').split(',').map(name => name.trim()).filter(Boolean);
+
+const isOperator = (username, role) => role === 'admin' || (Boolean(username) && operatorUsernames().includes(username));
+
+// Middleware for operator-only routes, after authMiddleware
+function requireOperator(req, res, next) {
+    if (!isOperator(req.username, req.userRole)) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+}
+
+module.exports = { isOperator, requireOperator };
@@ -0,0 +1,68 @@
+// Fixed-window request limits. Counters live in memory, so each server process limits on its
+// own; that is enough for the single instance this app runs as.
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Parse a limit like "20/15m" (20 requests per 15 minutes) from an environment variable.
+// "off" or "0" disables the limit (null); unset or malformed values use `fallback`.
+function parseLimit(value, fallback) {
+    if (value === undefined || value === '') return parseLimit(fallback);
+    if (value === 'off' || value === '0') return null;
+    const match = /^(\d+)\s*\/\s*(\d*)\s*([smh])$/.exec(String(value).trim());
+    if (!match) {
+        console.warn(`Invalid rate limit "${value}", expected e.g. "20/15m"; using ${fallback}`);
+        return parseLimit(fallback);
+    }
+    const [, max, count, unit] = match;
+    return { max: Number(max), windowMs: (Number(count) || 1) * UNITS[unit] };
+}
+
+// Express middleware allowing `limit.max` requests per `limit.windowMs` for each key returned
+// by `keyFor(req)` (e.g. the client IP or user id; a falsy key skips the check). Over the
+// limit it answers 429 with Retry-After and { error, retryAfter } in seconds.
+function createRateLimiter({ name, limit, keyFor, message = 'Too many requests' }) {
+    if (!limit) return (req, res, next) => next();
+
+    const windows = new Map();
+    // Drop finished windows now and then so the map doesn't grow with every client seen
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows) {
+            if (entry.resetAt <= now) windows.delete(key);
+        }
+    }, limit.windowMs).unref();
+
+    return (req, res, next) => {
+        const key = keyFor(req);
+        if (!key) return next();
+
+        const now = Date.now();
+        let entry = windows.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + limit.windowMs };
+            windows.set(key, entry);
+        }
+        entry.count += 1;
+
+        const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+        res.set({
+            'RateLimit-Limit': String(limit.max),
+            'RateLimit-Remaining': String(Math.max(0, limit.max - entry.count)),
+            'RateLimit-Reset': String(retryAfter)
+        });
+        if (entry.count <= limit.max) return next();
+
+        console.warn(`Rate limit "${name}" exceeded for ${key}`);
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({ error: `${message}. Try again in ${formatWait(retryAfter)}.`, retryAfter });
+    };
+}
+
+// "45 seconds", "3 minutes", "2 hours"
+function formatWait(seconds) {
+    if (seconds < 90) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    if (seconds < 90 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+    return `${Math.ceil(seconds / 3600)} hours`;
+}
+
+module.exports = { parseLimit, createRateLimiter, formatWait };
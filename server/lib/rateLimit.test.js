@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+const { parseLimit, createRateLimiter, formatWait } = require('./rateLimit');
+
+describe('parseLimit', () => {
+    test('reads requests per window', () => {
+        expect(parseLimit('20/15m')).toEqual({ max: 20, windowMs: 15 * 60 * 1000 });
+        expect(parseLimit('5 / h')).toEqual({ max: 5, windowMs: 60 * 60 * 1000 });
+        expect(parseLimit('100/30s')).toEqual({ max: 100, windowMs: 30 * 1000 });
+    });
+
+    test('"off" and "0" disable the limit', () => {
+        expect(parseLimit('off', '20/15m')).toBeNull();
+        expect(parseLimit('0', '20/15m')).toBeNull();
+    });
+
+    test('unset or malformed values use the fallback', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(parseLimit(undefined, '10/1m')).toEqual({ max: 10, windowMs: 60 * 1000 });
+        expect(parseLimit('', '10/1m')).toEqual({ max: 10, windowMs: 60 * 1000 });
+        expect(parseLimit('lots', '10/1m')).toEqual({ max: 10, windowMs: 60 * 1000 });
+        jest.restoreAllMocks();
+    });
+});
+
+describe('createRateLimiter', () => {
+    // Minimal Express response recording what the limiter sends
+    const fakeResponse = () => {
+        const res = { headers: {}, statusCode: 200, body: null };
+        res.set = (headers, value) => Object.assign(res.headers, typeof headers === 'string' ? { [headers]: value } : headers);
+        res.status = (code) => { res.statusCode = code; return res; };
+        res.json = (body) => { res.body = body; return res; };
+        return res;
+    };
+
+    let now;
+    beforeEach(() => {
+        now = 1_000_000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    const limiter = () => createRateLimiter({
+        name: 'test',
+        limit: { max: 2, windowMs: 60 * 1000 },
+        keyFor: req => req.ip,
+        message: 'Slow down'
+    });
+
+    const call = (middleware, ip = '1.2.3.4') => {
+        const res = fakeResponse();
+        const next = jest.fn();
+        middleware({ ip }, res, next);
+        return { res, passed: next.mock.calls.length === 1 };
+    };
+
+    test('allows `max` requests per window and then answers 429', () => {
+        const middleware = limiter();
+        expect(call(middleware).passed).toBe(true);
+        const second = call(middleware);
+        expect(second.passed).toBe(true);
+        expect(second.res.headers['RateLimit-Remaining']).toBe('0');
+
+        now += 15 * 1000;
+        const third = call(middleware);
+        expect(third.passed).toBe(false);
+        expect(third.res.statusCode).toBe(429);
+        expect(third.res.headers['Retry-After']).toBe('45');
+        expect(third.res.body).toEqual({ error: 'Slow down. Try again in 45 seconds.', retryAfter: 45 });
+    });
+
+    test('starts a new window once the old one ends', () => {
+        const middleware = limiter();
+        call(middleware);
+        call(middleware);
+        now += 60 * 1000;
+        expect(call(middleware).passed).toBe(true);
+    });
+
+    test('counts each key separately and skips requests without one', () => {
+        const middleware = limiter();
+        call(middleware, 'a');
+        call(middleware, 'a');
+        expect(call(middleware, 'b').passed).toBe(true);
+        expect(call(middleware, undefined).passed).toBe(true);
+        expect(call(middleware, 'a').passed).toBe(false);
+    });
+
+    test('a disabled limit lets everything through', () => {
+        const middleware = createRateLimiter({ name: 'off', limit: null, keyFor: req => req.ip });
+        for (let i = 0; i < 5; i++) expect(call(middleware).passed).toBe(true);
+    });
+});
+
+test('formatWait rounds to a readable unit', () => {
+    expect(formatWait(1)).toBe('1 second');
+    expect(formatWait(45)).toBe('45 seconds');
+    expect(formatWait(600)).toBe('10 minutes');
+    expect(formatWait(2 * 3600)).toBe('2 hours');
+});
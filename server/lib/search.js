@@ -0,0 +1,74 @@
+// Snippet extraction for the conversation search endpoint
+const { activeBranch } = require('./branches');
+
+const SNIPPET_RADIUS = 60;
+const MAX_SNIPPETS_PER_SESSION = 3;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and "quoted phrases" of a search query, matching how MongoDB's $text splits it
+// (negated -terms are left out since they never appear in results)
+function queryTerms(query) {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        const negated = match[1] || match[3];
+        const term = (match[2] || match[4]).trim();
+        if (!negated && term) terms.push(term);
+    }
+    return terms;
+}
+
+// [start, end) ranges of every term occurrence in `text`, sorted and non-overlapping
+function findRanges(text, terms) {
+    if (!terms.length) return [];
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    const ranges = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (!match[0]) break;
+        ranges.push([match.index, match.index + match[0].length]);
+    }
+    return ranges;
+}
+
+// Cut a window of text around the first match, with highlight ranges relative to the window
+function snippetAround(text, ranges) {
+    const start = Math.max(0, ranges[0][0] - SNIPPET_RADIUS);
+    const end = Math.min(text.length, ranges[0][1] + SNIPPET_RADIUS);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return {
+        snippet: prefix + text.slice(start, end) + suffix,
+        highlights: ranges
+            .filter(([s, e]) => s >= start && e <= end)
+            .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length])
+    };
+}
+
+// Search result entry for a session returned by the $text query: highlighted title and
+// up to a few message snippets. Highlights are [start, end) offsets so the client can mark
+// them up itself instead of receiving HTML. Snippets only come from the branch currently shown,
+// since those are the messages the client can jump to.
+function buildSearchResult(session, query) {
+    const terms = queryTerms(query);
+    const matches = [];
+    for (const msg of activeBranch(session)) {
+        if (matches.length >= MAX_SNIPPETS_PER_SESSION) break;
+        const ranges = findRanges(msg.content, terms);
+        if (!ranges.length) continue;
+        matches.push({ messageId: msg._id, role: msg.role, timestamp: msg.timestamp, ...snippetAround(msg.content, ranges) });
+    }
+
+    return {
+        sessionId: session._id,
+        title: session.title,
+        titleHighlights: findRanges(session.title, terms),
+        lastUpdated: session.lastUpdated,
+        score: session.get('score'),
+        matches
+    };
+}
+
+module.exports = { buildSearchResult, queryTerms, escapeRegExp };
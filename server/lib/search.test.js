@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+const mongoose = require('mongoose');
+const { buildSearchResult, queryTerms, escapeRegExp } = require('./search');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A session as returned by the $text query; `get('score')` reads the text score
+function searchedSession(title, messages, currentLeafId) {
+    return { _id: id(), title, messages, currentLeafId, lastUpdated: new Date(0), get: () => 1.5 };
+}
+
+const message = (role, content, parentId) => ({ _id: id(), role, content, parentId, timestamp: new Date(0) });
+
+describe('queryTerms', () => {
+    test('splits words and keeps quoted phrases together', () => {
+        expect(queryTerms('deploy "blue green"  rollout')).toEqual(['deploy', 'blue green', 'rollout']);
+    });
+
+    test('leaves out negated words and phrases', () => {
+        expect(queryTerms('cache -redis -"write through" ttl')).toEqual(['cache', 'ttl']);
+    });
+});
+
+test('escapeRegExp makes special characters literal', () => {
+    expect(new RegExp(escapeRegExp('a.b*(c)')).test('a.b*(c)')).toBe(true);
+    expect(new RegExp(escapeRegExp('a.b')).test('axb')).toBe(false);
+});
+
+describe('buildSearchResult', () => {
+    test('highlights matches in the title and the message snippets', () => {
+        const question = message('user', 'How do I configure Nginx?', null);
+        const session = searchedSession('Nginx setup', [question], question._id);
+        const result = buildSearchResult(session, 'nginx');
+
+        expect(result).toMatchObject({ sessionId: session._id, title: 'Nginx setup', titleHighlights: [[0, 5]], score: 1.5 });
+        expect(result.matches).toEqual([{
+            messageId: question._id,
+            role: 'user',
+            timestamp: question.timestamp,
+            snippet: 'How do I configure Nginx?',
+            highlights: [[19, 24]]
+        }]);
+    });
+
+    test('cuts long messages to a window around the first match', () => {
+        const text = `${'a'.repeat(100)} needle ${'b'.repeat(100)}`;
+        const msg = message('assistant', text, null);
+        const [match] = buildSearchResult(searchedSession('t', [msg], msg._id), 'needle').matches;
+
+        expect(match.snippet.startsWith('…')).toBe(true);
+        expect(match.snippet.endsWith('…')).toBe(true);
+        const [[start, end]] = match.highlights;
+        expect(match.snippet.slice(start, end)).toBe('needle');
+    });
+
+    test('returns at most three snippets per session', () => {
+        const messages = [];
+        for (let i = 0; i < 5; i++) messages.push(message(i % 2 ? 'assistant' : 'user', `match ${i}`, messages[i - 1]?._id ?? null));
+        const result = buildSearchResult(searchedSession('t', messages, messages[4]._id), 'match');
+        expect(result.matches.map(m => m.snippet)).toEqual(['match 0', 'match 1', 'match 2']);
+    });
+
+    test('only takes snippets from the branch currently shown', () => {
+        const question = message('user', 'first question', null);
+        const oldAnswer = message('assistant', 'the hidden keyword', question._id);
+        const newAnswer = message('assistant', 'the shown keyword', question._id);
+        const session = searchedSession('t', [question, oldAnswer, newAnswer], newAnswer._id);
+
+        const result = buildSearchResult(session, 'keyword');
+        expect(result.matches.map(m => m.messageId)).toEqual([newAnswer._id]);
+    });
+});
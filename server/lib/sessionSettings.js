@@ -0,0 +1,104 @@
+// Per-session prompt and generation settings, with the defaults used when a session leaves them unset
+const { getProvider } = require('../providers');
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant. Use Markdown where it helps readability: headings, lists, tables, links, and fenced code blocks tagged with their language.';
+
+const DEFAULT_GENERATION_CONFIG = {
+    maxOutputTokens: 2048,
+    temperature: 0.7,
+    topP: 0.8,
+    topK: 40
+};
+
+// Accepted range for each generation parameter; `integer` ones reject fractional values
+const GENERATION_LIMITS = {
+    maxOutputTokens: { min: 1, max: 8192, integer: true },
+    temperature: { min: 0, max: 2 },
+    topP: { min: 0, max: 1 },
+    topK: { min: 1, max: 100, integer: true }
+};
+
+const MAX_SYSTEM_PROMPT_LENGTH = 4000;
+
+const isBlank = (value) => value === null || value === '';
+
+// Validate the settings fields of a session create/update body. Returns { settings } holding
+// only the fields present in the body, as dotted paths ready for `doc.set()`; a null or empty
+// value maps to undefined so the field falls back to its default. Returns { error } otherwise.
+function parseSessionSettings(body = {}) {
+    const settings = {};
+
+    if (body.provider !== undefined) {
+        if (!isBlank(body.provider) && !getProvider(body.provider)) {
+            return { error: `Unknown provider: ${body.provider}` };
+        }
+        settings.provider = isBlank(body.provider) ? undefined : body.provider;
+    }
+
+    if (body.systemPrompt !== undefined) {
+        if (!isBlank(body.systemPrompt) && typeof body.systemPrompt !== 'string') {
+            return { error: 'systemPrompt must be a string' };
+        }
+        if (body.systemPrompt && body.systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+            return { error: `systemPrompt must be at most ${MAX_SYSTEM_PROMPT_LENGTH} characters` };
+        }
+        settings.systemPrompt = body.systemPrompt && body.systemPrompt.trim() ? body.systemPrompt : undefined;
+    }
+
+    if (body.model !== undefined) {
+        if (!isBlank(body.model) && (typeof body.model !== 'string' || !/^[\w.:/-]{1,100}$/.test(body.model))) {
+            return { error: 'model must be a model name such as gemini-2.5-flash' };
+        }
+        settings.model = isBlank(body.model) ? undefined : body.model;
+    }
+
+    if (body.useKnowledgeBase !== undefined) {
+        if (typeof body.useKnowledgeBase !== 'boolean') return { error: 'useKnowledgeBase must be true or false' };
+        settings.useKnowledgeBase = body.useKnowledgeBase;
+    }
+
+    if (body.useTools !== undefined) {
+        if (typeof body.useTools !== 'boolean') return { error: 'useTools must be true or false' };
+        settings.useTools = body.useTools;
+    }
+
+    const generationConfig = body.generationConfig || {};
+    for (const [key, limits] of Object.entries(GENERATION_LIMITS)) {
+        const value = generationConfig[key];
+        if (value === undefined) continue;
+        if (isBlank(value)) {
+            settings[`generationConfig.${key}`] = undefined;
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < limits.min || number > limits.max
+            || (limits.integer && !Number.isInteger(number))) {
+            return { error: `${key} must be ${limits.integer ? 'an integer' : 'a number'} between ${limits.min} and ${limits.max}` };
+        }
+        settings[`generationConfig.${key}`] = number;
+    }
+
+    return { settings };
+}
+
+// Effective settings for a session: its own values layered over the defaults
+function resolveSettings(session) {
+    const generationConfig = { ...DEFAULT_GENERATION_CONFIG };
+    for (const key of Object.keys(DEFAULT_GENERATION_CONFIG)) {
+        const value = session.generationConfig?.[key];
+        if (value !== undefined && value !== null) generationConfig[key] = value;
+    }
+    return {
+        systemPrompt: session.systemPrompt || DEFAULT_SYSTEM_PROMPT,
+        model: session.model || undefined,
+        generationConfig
+    };
+}
+
+module.exports = {
+    DEFAULT_SYSTEM_PROMPT,
+    DEFAULT_GENERATION_CONFIG,
+    GENERATION_LIMITS,
+    parseSessionSettings,
+    resolveSettings
+};
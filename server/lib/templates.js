@@ -0,0 +1,46 @@
+// Prompt templates: named prompts with {{variable}} placeholders that users pick from the chat
+// input by typing /name. A user sees their own templates plus the ones others have shared.
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 20000;
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Names of the {{variables}} in a template, in order of first use
+function templateVariables(content) {
+    return [...new Set(Array.from(content.matchAll(VARIABLE_PATTERN), match => match[1]))];
+}
+
+// Validate a template body { name, description, content, shared }. With `partial` (PATCH) only
+// the fields present are checked. Returns { changes } with the fields to store, or { error }.
+function parseTemplate(body, { partial = false } = {}) {
+    const { name, description, content, shared } = body;
+    const changes = {};
+
+    if (name !== undefined || !partial) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name.trim().toLowerCase())) {
+            return { error: 'name must be 1-32 letters, digits, - or _ (used as the /command)' };
+        }
+        changes.name = name.trim().toLowerCase();
+    }
+    if (content !== undefined || !partial) {
+        if (typeof content !== 'string' || !content.trim()) return { error: 'content is required' };
+        if (content.length > MAX_CONTENT_LENGTH) {
+            return { error: `content must be at most ${MAX_CONTENT_LENGTH} characters` };
+        }
+        changes.content = content;
+    }
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') return { error: 'description must be a string' };
+        if (description.length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+        }
+        changes.description = description.trim();
+    }
+    if (shared !== undefined) {
+        if (typeof shared !== 'boolean') return { error: 'shared must be true or false' };
+        changes.shared = shared;
+    }
+    return { changes };
+}
+
+module.exports = { templateVariables, parseTemplate };
@@ -0,0 +1,97 @@
+// The function calling loop: while the model answers with tool calls instead of (or besides)
+// text, run them (see server/tools) and send the results back in a follow-up request, until it
+// replies in text or MAX_TOOL_ROUNDS is reached. Every call is reported as a step
+// { name, args, result } that is stored with the reply and shown in the transcript.
+const { runTool } = require('../tools');
+
+const MAX_TOOL_ROUNDS = parseInt(process.env.MAX_TOOL_ROUNDS, 10) || 5;
+
+const addUsage = (total, usage) => {
+    if (!usage) return total;
+    if (!total) return usage;
+    return {
+        promptTokens: total.promptTokens + usage.promptTokens,
+        outputTokens: total.outputTokens + usage.outputTokens,
+        totalTokens: total.totalTokens + usage.totalTokens
+    };
+};
+
+async function runToolCalls(toolCalls, context) {
+    const steps = [];
+    for (const call of toolCalls) {
+        steps.push({ id: call.id, name: call.name, args: call.args || {}, result: await runTool(call.name, call.args, context) });
+    }
+    return steps;
+}
+
+// The model's turn with its calls and the turn answering them, appended to the conversation
+const followUpMessages = (text, toolCalls, steps) => [
+    { role: 'assistant', content: text, toolCalls },
+    { role: 'tool', results: steps.map(({ id, name, result }) => ({ id, name, result })) }
+];
+
+// The last round may not call tools any more, so the model has to answer with what it has
+const roundRequest = (request, messages, round) => ({
+    ...request,
+    messages,
+    ...(round === MAX_TOOL_ROUNDS ? { toolChoice: 'none' } : {})
+});
+
+const publicStep = ({ name, args, result }) => ({ name, args, result });
+
+// Text the model wrote before calling tools ("Let me check...") stays in the reply, in its
+// own paragraph
+const joinText = (earlier, text) => (earlier && text ? `${earlier}\n\n${text}` : earlier + text);
+
+// Resolves like provider.generate, plus the steps taken; text and usage cover every round
+async function generateWithTools(provider, request, context, options) {
+    const messages = [...request.messages];
+    const toolSteps = [];
+    let text = '';
+    let usage;
+    for (let round = 0; ; round++) {
+        const result = await provider.generate(roundRequest(request, messages, round), options);
+        text = joinText(text, result.text || '');
+        usage = addUsage(usage, result.usage);
+        if (!result.toolCalls?.length || round === MAX_TOOL_ROUNDS) {
+            return { ...result, text, usage, toolSteps };
+        }
+        const steps = await runToolCalls(result.toolCalls, context);
+        toolSteps.push(...steps.map(publicStep));
+        messages.push(...followUpMessages(result.text || '', result.toolCalls, steps));
+    }
+}
+
+// Yields the parts of provider.stream across all rounds (usage as the running total), plus a
+// { toolStep } part for each call as soon as it has run
+async function* streamWithTools(provider, request, context, options) {
+    const messages = [...request.messages];
+    let earlierText = '';
+    let usage;
+    for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        let text = '';
+        let roundUsage;
+        const toolCalls = [];
+        for await (const part of provider.stream(roundRequest(request, messages, round), options)) {
+            if (part.toolCalls) toolCalls.push(...part.toolCalls);
+            roundUsage = part.usage || roundUsage;
+            const separator = earlierText && !text && part.text ? '\n\n' : '';
+            text += part.text || '';
+            yield {
+                text: separator + (part.text || ''),
+                blockReason: part.blockReason,
+                usage: part.usage && addUsage(usage, part.usage),
+                model: part.model
+            };
+        }
+        usage = addUsage(usage, roundUsage);
+        earlierText = joinText(earlierText, text);
+        if (!toolCalls.length) return;
+
+        const steps = await runToolCalls(toolCalls, context);
+        for (const step of steps) yield { text: '', toolStep: publicStep(step) };
+        messages.push(...followUpMessages(text, toolCalls, steps));
+    }
+}
+
+module.exports = { MAX_TOOL_ROUNDS, generateWithTools, streamWithTools };
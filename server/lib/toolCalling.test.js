@@ -0,0 +1,83 @@
+/**
+ * @jest-environment node
+ */
+const { MAX_TOOL_ROUNDS, generateWithTools, streamWithTools } = require('./toolCalling');
+
+const context = { userId: 'user', sessionId: 'session', personal: false };
+const usage = { promptTokens: 1, outputTokens: 1, totalTokens: 2 };
+const calculatorCall = { id: 'call-1', name: 'calculator', args: { expression: '1 + 1' } };
+
+// A model that asks for the calculator in every round it may call tools, and answers in text
+// once toolChoice is 'none'. The loop appends to one messages array, so each request is
+// recorded with a copy of it.
+function insistentProvider() {
+    const requests = [];
+    const reply = (request) => {
+        requests.push({ ...request, messages: [...request.messages] });
+        return request.toolChoice === 'none'
+            ? { text: 'final answer', usage }
+            : { text: '', toolCalls: [calculatorCall], usage };
+    };
+    return {
+        requests,
+        async generate(request) {
+            return reply(request);
+        },
+        async *stream(request) {
+            yield reply(request);
+        }
+    };
+}
+
+const request = { messages: [{ role: 'user', content: 'add forever' }], tools: [{ name: 'calculator' }] };
+
+describe('generateWithTools', () => {
+    test('stops calling tools after MAX_TOOL_ROUNDS', async () => {
+        const provider = insistentProvider();
+        const result = await generateWithTools(provider, request, context);
+
+        expect(provider.requests).toHaveLength(MAX_TOOL_ROUNDS + 1);
+        expect(provider.requests.slice(0, -1).every(r => r.toolChoice === undefined)).toBe(true);
+        expect(provider.requests[MAX_TOOL_ROUNDS].toolChoice).toBe('none');
+        expect(result.text).toBe('final answer');
+        expect(result.toolSteps).toHaveLength(MAX_TOOL_ROUNDS);
+        expect(result.toolSteps[0]).toEqual({ name: 'calculator', args: { expression: '1 + 1' }, result: { expression: '1 + 1', result: 2 } });
+        expect(result.usage.totalTokens).toBe(2 * (MAX_TOOL_ROUNDS + 1));
+    });
+
+    test('sends each tool result back to the model', async () => {
+        const provider = insistentProvider();
+        await generateWithTools(provider, request, context);
+        const followUp = provider.requests[1].messages;
+        expect(followUp).toHaveLength(3);
+        expect(followUp[1]).toMatchObject({ role: 'assistant', toolCalls: [calculatorCall] });
+        expect(followUp[2]).toEqual({ role: 'tool', results: [{ id: 'call-1', name: 'calculator', result: { expression: '1 + 1', result: 2 } }] });
+    });
+
+    test('keeps personal tools out of shared chats', async () => {
+        const provider = {
+            calls: 0,
+            async generate() {
+                this.calls += 1;
+                return this.calls === 1
+                    ? { text: '', toolCalls: [{ id: 'call-1', name: 'find_notes', args: { query: 'x' } }] }
+                    : { text: 'done' };
+            }
+        };
+        const result = await generateWithTools(provider, request, context);
+        expect(result.toolSteps[0].result).toEqual({ error: 'The find_notes tool is not available in shared chats' });
+    });
+});
+
+describe('streamWithTools', () => {
+    test('stops calling tools after MAX_TOOL_ROUNDS', async () => {
+        const provider = insistentProvider();
+        const parts = [];
+        for await (const part of streamWithTools(provider, request, context)) parts.push(part);
+
+        expect(provider.requests).toHaveLength(MAX_TOOL_ROUNDS + 1);
+        expect(provider.requests[MAX_TOOL_ROUNDS].toolChoice).toBe('none');
+        expect(parts.filter(part => part.toolStep)).toHaveLength(MAX_TOOL_ROUNDS);
+        expect(parts.map(part => part.text).join('')).toBe('final answer');
+    });
+});
@@ -0,0 +1,90 @@
+// Time-based one-time passwords (RFC 6238, as used by Google Authenticator, Authy, 1Password...)
+// and the recovery codes that stand in for them when the authenticator is lost
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes from one step either side of now are accepted, for clock drift and slow typing
+const DRIFT_STEPS = 1;
+
+const ISSUER = 'CYPHER';
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+// 160-bit secret, base32 encoded as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// HOTP (RFC 4226) value of `secret` for time step `step`
+function codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    // 64-bit big-endian step, written as its high and low 32-bit halves
+    counter.writeUInt32BE(Math.floor(step / 2 ** 32), 0);
+    counter.writeUInt32BE(step >>> 0, 4);
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(value).padStart(DIGITS, '0');
+}
+
+// The time step `code` is valid for, or null. Steps at or before `lastUsedStep` are refused so
+// an intercepted code can't be replayed.
+function verifyTotp(secret, code, lastUsedStep = -1) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+    const now = currentStep();
+    for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = codeAt(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+}
+
+const otpauthUri = (secret, username) =>
+    `otpauth://totp/${encodeURIComponent(`${ISSUER}:${username}`)}?secret=${secret}`
+    + `&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+// Recovery codes are random enough that a fast hash is safe to store them with
+const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+
+// Resolves to { codes, hashes }: codes to show the user once, hashes to store
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = base32Encode(crypto.randomBytes(7)).toLowerCase().slice(0, 10);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+    generateSecret,
+    codeAt,
+    currentStep,
+    verifyTotp,
+    otpauthUri,
+    hashRecoveryCode,
+    generateRecoveryCodes
+};
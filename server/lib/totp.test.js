@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+const { codeAt, verifyTotp, otpauthUri, hashRecoveryCode, generateRecoveryCodes } = require('./totp');
+
+// The RFC 6238 SHA-1 test secret, "12345678901234567890", in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const atTime = (seconds) => jest.spyOn(Date, 'now').mockReturnValue(seconds * 1000);
+
+afterEach(() => jest.restoreAllMocks());
+
+test('codeAt matches the RFC 6238 test vectors', () => {
+    // 8-digit vectors 94287082 and 07081804, truncated to 6 digits
+    expect(codeAt(SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(codeAt(SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+});
+
+describe('verifyTotp', () => {
+    const now = 1111111109;
+    const step = Math.floor(now / 30);
+
+    test('accepts the current code and returns its step', () => {
+        atTime(now);
+        expect(verifyTotp(SECRET, '081804')).toBe(step);
+        expect(verifyTotp(SECRET, '081 804')).toBe(step);
+    });
+
+    test('accepts one step of drift either way, but not two', () => {
+        atTime(now);
+        expect(verifyTotp(SECRET, codeAt(SECRET, step - 1))).toBe(step - 1);
+        expect(verifyTotp(SECRET, codeAt(SECRET, step + 1))).toBe(step + 1);
+        expect(verifyTotp(SECRET, codeAt(SECRET, step - 2))).toBeNull();
+        expect(verifyTotp(SECRET, codeAt(SECRET, step + 2))).toBeNull();
+    });
+
+    test('refuses a code from a step already used', () => {
+        atTime(now);
+        expect(verifyTotp(SECRET, '081804', step)).toBeNull();
+        expect(verifyTotp(SECRET, codeAt(SECRET, step + 1), step)).toBe(step + 1);
+    });
+
+    test('refuses malformed codes', () => {
+        atTime(now);
+        expect(verifyTotp(SECRET, '')).toBeNull();
+        expect(verifyTotp(SECRET, '12345')).toBeNull();
+        expect(verifyTotp(SECRET, 'abcdef')).toBeNull();
+    });
+});
+
+test('otpauthUri names the issuer and account', () => {
+    expect(otpauthUri(SECRET, 'ada')).toBe(
+        `otpauth://totp/CYPHER%3Aada?secret=${SECRET}&issuer=CYPHER&algorithm=SHA1&digits=6&period=30`
+    );
+});
+
+test('recovery codes hash the same however they are typed', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    expect(codes[0]).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/);
+    expect(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' '))).toBe(hashes[0]);
+});
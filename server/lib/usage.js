@@ -0,0 +1,55 @@
+// Per-user token quotas. Every model call records the tokens the provider reported into the
+// user's Usage row for the day; USAGE_DAILY_TOKEN_QUOTA and USAGE_MONTHLY_TOKEN_QUOTA cap the
+// totals (unset or 0 means unlimited). Days and months are UTC.
+const Usage = require('../models/Usage');
+
+const quotaFromEnv = (name) => parseInt(process.env[name], 10) || null;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Start of the next UTC day / month, when the corresponding quota resets
+const nextDay = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+const nextMonth = (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+// Add one call's usage ({ promptTokens, outputTokens, totalTokens }) to today's row
+async function recordUsage(userId, usage, now = new Date()) {
+    const promptTokens = usage?.promptTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+    const totalTokens = usage?.totalTokens || promptTokens + outputTokens;
+    await Usage.updateOne(
+        { user: userId, day: dayKey(now) },
+        { $inc: { promptTokens, outputTokens, totalTokens, requests: 1 } },
+        { upsert: true }
+    );
+}
+
+// Count a model call that failed, for the error rates in the admin analytics
+async function recordFailure(userId, now = new Date()) {
+    await Usage.updateOne(
+        { user: userId, day: dayKey(now) },
+        { $inc: { failedRequests: 1 } },
+        { upsert: true }
+    );
+}
+
+// Tokens used today and this month against the configured quotas:
+// { day: { used, limit, resetsAt }, month: { used, limit, resetsAt } } (limit null = unlimited)
+async function getUsageSummary(userId, now = new Date()) {
+    const today = dayKey(now);
+    const rows = await Usage.find({ user: userId, day: { $regex: `^${today.slice(0, 7)}` } });
+    const monthUsed = rows.reduce((sum, row) => sum + row.totalTokens, 0);
+    const todayUsed = rows.filter(row => row.day === today).reduce((sum, row) => sum + row.totalTokens, 0);
+    return {
+        day: { used: todayUsed, limit: quotaFromEnv('USAGE_DAILY_TOKEN_QUOTA'), resetsAt: nextDay(now) },
+        month: { used: monthUsed, limit: quotaFromEnv('USAGE_MONTHLY_TOKEN_QUOTA'), resetsAt: nextMonth(now) }
+    };
+}
+
+// The period ('day' or 'month') whose quota is used up, or null while the user may continue
+function exhaustedPeriod(summary) {
+    if (summary.month.limit && summary.month.used >= summary.month.limit) return 'month';
+    if (summary.day.limit && summary.day.used >= summary.day.limit) return 'day';
+    return null;
+}
+
+module.exports = { dayKey, recordUsage, recordFailure, getUsageSummary, exhaustedPeriod };
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A signed-in device: one per login, holding the hash of its current refresh token
+// (see server/lib/authSessions.js). Deleting it signs the device out.
+const authSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // The refresh token this one replaced, to tell a stolen token being replayed from two tabs
+    // racing to refresh
+    previousTokenHash: {
+        type: String,
+        index: true
+    },
+    rotatedAt: {
+        type: Date
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // MongoDB removes the session once its refresh token has expired
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: { expires: 0 }
+    }
+});
+
+authSessionSchema.index({ user: 1, lastUsedAt: -1 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
@@ -1,5 +1,92 @@
 const mongoose = require('mongoose');
 
+// File attached to a user message; the bytes are in the attachments GridFS bucket
+// (see server/lib/attachments.js)
+const attachmentSchema = new mongoose.Schema({
+    fileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number
+    }
+}, { _id: false });
+
+// Knowledge base excerpt a reply cited as [n] (see server/lib/knowledge.js)
+const sourceSchema = new mongoose.Schema({
+    n: Number,
+    documentId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    page: Number,
+    excerpt: String
+}, { _id: false });
+
+// Tool the model called while writing a reply, with what it was given and returned
+// (see server/lib/toolCalling.js)
+const toolStepSchema = new mongoose.Schema({
+    name: String,
+    args: mongoose.Schema.Types.Mixed,
+    result: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Rating of an assistant reply, reviewed by operators to tune the system prompt
+// (see server/lib/feedback.js)
+const feedbackSchema = new mongoose.Schema({
+    rating: {
+        type: String,
+        enum: ['up', 'down'],
+        required: true
+    },
+    // Only for thumbs down
+    category: {
+        type: String,
+        enum: ['wrong', 'unsafe', 'unhelpful']
+    },
+    comment: {
+        type: String
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // The chat's provider and settings when it was rated, normally the ones the reply was written with
+    settings: {
+        provider: String,
+        systemPrompt: String,
+        generationConfig: mongoose.Schema.Types.Mixed
+    },
+    ratedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Someone the owner invited into the chat (see server/lib/access.js for what each role may do)
+const memberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['viewer', 'editor'],
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
     role: {
         type: String,
@@ -13,6 +100,45 @@ const messageSchema = new mongoose.Schema({
     timestamp: {
         type: Date,
         default: Date.now
+    },
+    // Set when generation stopped before the model finished (client disconnected or stopped it)
+    interrupted: {
+        type: Boolean,
+        default: false
+    },
+    attachments: {
+        type: [attachmentSchema],
+        default: undefined
+    },
+    sources: {
+        type: [sourceSchema],
+        default: undefined
+    },
+    toolSteps: {
+        type: [toolStepSchema],
+        default: undefined
+    },
+    // Who wrote a user message; set on messages sent since chats could have several members
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    authorName: {
+        type: String
+    },
+    // Model that generated an assistant message (may be a fallback of the session's model)
+    model: {
+        type: String
+    },
+    feedback: {
+        type: feedbackSchema,
+        default: undefined
+    },
+    // Message this one follows (null for the first message); edits and regenerated replies
+    // become siblings. Unset on messages stored before branching, which follow the previous
+    // message in the array (see server/lib/branches.js)
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId
     }
 });
 
@@ -26,7 +152,61 @@ const chatSessionSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    members: {
+        type: [memberSchema],
+        default: []
+    },
     messages: [messageSchema],
+    // Last message of the branch currently shown; unset means the newest message
+    currentLeafId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Model provider for this chat (see server/providers); unset means the deployment default
+    provider: {
+        type: String
+    },
+    // Per-chat prompt and generation settings; unset fields fall back to the server defaults
+    // (see server/lib/sessionSettings.js)
+    systemPrompt: {
+        type: String
+    },
+    model: {
+        type: String
+    },
+    generationConfig: {
+        maxOutputTokens: Number,
+        temperature: Number,
+        topP: Number,
+        topK: Number
+    },
+    // Answer with excerpts retrieved from the owner's knowledge base
+    useKnowledgeBase: {
+        type: Boolean,
+        default: false
+    },
+    // Let the model call the server-side tools (see server/tools)
+    useTools: {
+        type: Boolean,
+        default: true
+    },
+    // Sidebar organization: pinned chats are listed first, then grouped by folder
+    pinned: {
+        type: Boolean,
+        default: false
+    },
+    folder: {
+        type: String
+    },
+    tags: {
+        type: [String],
+        default: []
+    },
+    // Set when the session was started from someone else's share link ("Continue in my account")
+    forkedFrom: {
+        shareToken: String,
+        forkedAt: Date
+    },
+    // Legacy single share link; moved to the ShareLink collection at startup
     shareToken: {
         type: String,
         unique: true,
@@ -42,4 +222,16 @@ const chatSessionSchema = new mongoose.Schema({
     }
 });
 
+// Chats shared with a user, listed in their sidebar
+chatSessionSchema.index({ 'members.user': 1 });
+
+// Rated replies, for the operator feedback review
+chatSessionSchema.index({ 'messages.feedback.rating': 1 }, { sparse: true });
+
+// Backs GET /api/chat/search; title matches rank above message matches
+chatSessionSchema.index(
+    { title: 'text', 'messages.content': 'text' },
+    { weights: { title: 5, 'messages.content': 1 }, name: 'session_text_search' }
+);
+
 module.exports = mongoose.model('ChatSession', chatSessionSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One retrievable passage of a KnowledgeDocument with its embedding vector
+const knowledgeChunkSchema = new mongoose.Schema({
+    document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'KnowledgeDocument',
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Position of the chunk within the document, and the PDF page it starts on
+    index: {
+        type: Number,
+        required: true
+    },
+    page: {
+        type: Number
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    embedding: {
+        type: [Number],
+        required: true
+    },
+    embeddingModel: {
+        type: String,
+        required: true
+    }
+});
+
+knowledgeChunkSchema.index({ owner: 1, embeddingModel: 1 });
+knowledgeChunkSchema.index({ document: 1, index: 1 });
+
+module.exports = mongoose.model('KnowledgeChunk', knowledgeChunkSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A file in a user's knowledge base. Its text is split into KnowledgeChunks that retrieval
+// searches (see lib/knowledge.js); the original file itself is not kept.
+const knowledgeDocumentSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number
+    },
+    chunkCount: {
+        type: Number,
+        default: 0
+    },
+    // Embedding model the chunks were embedded with, e.g. 'gemini:gemini-embedding-001' or 'local'
+    embeddingModel: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+knowledgeDocumentSchema.index({ owner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('KnowledgeDocument', knowledgeDocumentSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A short note the assistant saved for the user when asked to remember something, looked up
+// again by later chats through the notes tools (see server/tools/notes.js)
+const noteSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+noteSchema.index({ owner: 1, title: 1 }, { unique: true });
+noteSchema.index({ title: 'text', content: 'text' }, { weights: { title: 3, content: 1 }, name: 'note_text_search' });
+
+module.exports = mongoose.model('Note', noteSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A reusable prompt, inserted from the chat input with /name. {{variable}} placeholders in the
+// content are filled in before sending (see server/lib/templates.js)
+const promptTemplateSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    // Shared templates show up (read-only) in every user's slash command picker
+    shared: {
+        type: Boolean,
+        default: false
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+promptTemplateSchema.index({ owner: 1, name: 1 }, { unique: true });
+promptTemplateSchema.index({ shared: 1 });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
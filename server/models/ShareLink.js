@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Frozen copy of the shared messages, taken when a snapshot link is created
+const snapshotMessageSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ['user', 'assistant'],
+        required: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    timestamp: {
+        type: Date
+    },
+    interrupted: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const shareLinkSchema = new mongoose.Schema({
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChatSession',
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // 'snapshot' shows the chat as it was when shared; 'live' follows later messages
+    mode: {
+        type: String,
+        enum: ['snapshot', 'live'],
+        default: 'snapshot'
+    },
+    snapshot: {
+        title: String,
+        messages: [snapshotMessageSchema]
+    },
+    expiresAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    },
+    viewCount: {
+        type: Number,
+        default: 0
+    },
+    lastViewedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+shareLinkSchema.index({ owner: 1, createdAt: -1 });
+
+// A link stops resolving once revoked or past its expiry
+shareLinkSchema.methods.isActive = function (now = new Date()) {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Model tokens spent by one user on one UTC day, as reported by the provider (see lib/usage.js)
+const usageSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // UTC date as 'YYYY-MM-DD', so a month is every day starting with 'YYYY-MM'
+    day: {
+        type: String,
+        required: true
+    },
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    outputTokens: {
+        type: Number,
+        default: 0
+    },
+    totalTokens: {
+        type: Number,
+        default: 0
+    },
+    requests: {
+        type: Number,
+        default: 0
+    },
+    // Model calls that failed (upstream errors after retries and fallbacks, or other errors)
+    failedRequests: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Usage over a period across all users, for the admin analytics
+usageSchema.index({ day: 1 });
+
+usageSchema.index({ user: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('Usage', usageSchema);
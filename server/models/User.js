@@ -3,6 +3,24 @@ const mongoose = require('mongoose');
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   passwordHash: { type: String, required: true },
+  // Admins manage users and see usage analytics (see the /api/admin routes)
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  // Set when an admin disabled the account; it can't sign in until re-enabled
+  disabledAt: { type: Date },
+  // Incremented to invalidate all previously issued JWTs (see authMiddleware)
+  tokenVersion: { type: Number, default: 0 },
+  // Optional TOTP second factor (see server/lib/totp.js). pendingSecret holds a secret being
+  // enrolled until a first code confirms it; recovery codes are stored as SHA-256 hashes and
+  // removed once used.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String },
+    pendingSecret: { type: String },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: { type: Number },
+    recoveryCodeHashes: { type: [String], default: undefined },
+    enabledAt: { type: Date }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
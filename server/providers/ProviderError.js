@@ -0,0 +1,36 @@
+// Error thrown by providers when the upstream model API fails. Routes turn it into a response
+// (502 unless `statusCode` says otherwise) with the same { error, upstreamStatus, upstreamBody,
+// hint } shape the frontend displays. `retryAfterMs` carries the upstream's retry hint, if any.
+class ProviderError extends Error {
+    constructor(message, { upstreamStatus, upstreamBody, hint, retryAfterMs, statusCode = 502 } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.upstreamStatus = upstreamStatus;
+        this.upstreamBody = upstreamBody;
+        this.hint = hint;
+        this.retryAfterMs = retryAfterMs;
+        this.statusCode = statusCode;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            upstreamStatus: this.upstreamStatus,
+            upstreamBody: this.upstreamBody,
+            hint: this.hint,
+            ...(this.retryAfterMs ? { retryAfter: Math.ceil(this.retryAfterMs / 1000) } : {})
+        };
+    }
+}
+
+// Milliseconds to wait according to a Retry-After header (delay in seconds or an HTTP date)
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+module.exports = ProviderError;
+module.exports.parseRetryAfter = parseRetryAfter;
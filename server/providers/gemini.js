@@ -0,0 +1,205 @@
+const fetch = require('node-fetch');
+const ProviderError = require('./ProviderError');
+const { parseRetryAfter } = require('./ProviderError');
+const { readSseStream } = require('./sse');
+
+// FIX: Use the stable 'v1beta' API version and the standard generativelanguage domain.
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Use the model name from .env or default to the modern, fast model
+const defaultModel = () => process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+const embeddingModel = () => process.env.GEMINI_EMBEDDING_MODEL || 'gemini-embedding-001';
+const EMBEDDING_DIMENSIONS = 768;
+
+// Extra guidance for the most common upstream failures, shown to the user next to the error
+function errorHint(status, errorBody, modelName) {
+    if (status === 404) {
+        // If 404 persists, the API key might not be provisioned for this model/version
+        return `404 Not Found. Check the Model Name (${modelName}) and API version (v1beta). Try regenerating your API key.`;
+    } else if (status === 403) {
+        return '403 Forbidden. Your API key may be invalid, or billing/quota limits may be reached.';
+    } else if (status === 400 && errorBody.includes("API_KEY_INVALID")) {
+        return '400 Bad Request / API_KEY_INVALID. The API key is likely incorrect or expired.';
+    }
+    return undefined;
+}
+
+// Gemini puts its retry hint for 429s in the error body as a google.rpc.RetryInfo detail
+// ({ "retryDelay": "38s" }); prefer that, then a Retry-After header
+function retryDelay(response, errorBody) {
+    try {
+        const details = JSON.parse(errorBody)?.error?.details || [];
+        const info = details.find(d => String(d['@type']).endsWith('google.rpc.RetryInfo'));
+        const seconds = parseFloat(info?.retryDelay);
+        if (Number.isFinite(seconds)) return seconds * 1000;
+    } catch (err) {
+        // Not JSON; fall through to the header
+    }
+    return parseRetryAfter(response.headers.get('retry-after'));
+}
+
+// One provider-neutral message as Gemini content. Tool results go back as a user turn of
+// functionResponse parts; a model turn that called tools repeats its functionCall parts,
+// including the thought signatures Gemini needs to continue its reasoning.
+function toGeminiContent(msg) {
+    if (msg.role === 'tool') {
+        return {
+            role: 'user',
+            parts: msg.results.map(({ id, name, result }) => ({ functionResponse: { id, name, response: result } }))
+        };
+    }
+    if (msg.toolCalls) {
+        return {
+            role: 'model',
+            parts: [
+                ...(msg.content ? [{ text: msg.content }] : []),
+                ...msg.toolCalls.map(call => ({
+                    functionCall: { id: call.id, name: call.name, args: call.args },
+                    ...(call.signature ? { thoughtSignature: call.signature } : {})
+                }))
+            ]
+        };
+    }
+    return {
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [
+            // Attached images, PDFs and text files go before the text that refers to them
+            ...(msg.attachments || []).map(file => ({ inlineData: { mimeType: file.mimeType, data: file.data } })),
+            { text: msg.content }
+        ]
+    };
+}
+
+// Translate a provider-neutral chat request into Gemini's request body
+function toGeminiBody(request) {
+    const { systemInstruction, messages, tools, toolChoice, generationConfig = {} } = request;
+    return {
+        systemInstruction: systemInstruction ? { parts: [{ text: systemInstruction }] } : undefined,
+        contents: messages.map(toGeminiContent),
+        tools: tools?.length ? [{ functionDeclarations: tools }] : undefined,
+        toolConfig: tools?.length && toolChoice === 'none' ? { functionCallingConfig: { mode: 'NONE' } } : undefined,
+        generationConfig: {
+            maxOutputTokens: generationConfig.maxOutputTokens,
+            temperature: generationConfig.temperature,
+            topP: generationConfig.topP,
+            topK: generationConfig.topK
+        }
+    };
+}
+
+// Join the text parts of the first candidate of a (possibly partial) Gemini response
+const extractText = (data) =>
+    (data?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+
+// functionCall parts of the first candidate as [{ id, name, args, signature }]; the id is
+// often absent, in which case results are matched to calls by name and order
+const extractToolCalls = (data) =>
+    (data?.candidates?.[0]?.content?.parts || [])
+        .filter(part => part.functionCall)
+        .map(part => ({
+            id: part.functionCall.id,
+            name: part.functionCall.name,
+            args: part.functionCall.args || {},
+            signature: part.thoughtSignature
+        }));
+
+const toUsage = (usageMetadata) => usageMetadata && {
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    outputTokens: usageMetadata.candidatesTokenCount || 0,
+    totalTokens: usageMetadata.totalTokenCount || 0
+};
+
+// POST to a model method, throwing a ProviderError with a hint when Gemini rejects the call
+async function callGemini(model, method, body, signal) {
+    const response = await fetch(`${API_BASE}/models/${model}:${method}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            // FIX: Pass the API key using the correct header
+            'x-goog-api-key': process.env.GEMINI_API_KEY
+        },
+        body: JSON.stringify(body),
+        signal,
+    });
+
+    if (!response.ok) {
+        const errorBody = await response.text();
+        throw new ProviderError('Upstream API error', {
+            upstreamStatus: response.status,
+            upstreamBody: errorBody,
+            hint: errorHint(response.status, errorBody, model),
+            retryAfterMs: retryDelay(response, errorBody),
+        });
+    }
+    return response;
+}
+
+module.exports = {
+    name: 'gemini',
+    label: 'Google Gemini',
+
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+
+    defaultModel,
+
+    async generate(request, { signal } = {}) {
+        const model = request.model || defaultModel();
+        const response = await callGemini(model, 'generateContent', toGeminiBody(request), signal);
+        const data = await response.json();
+        const text = extractText(data);
+        const toolCalls = extractToolCalls(data);
+        if (!text && !toolCalls.length && !data?.promptFeedback?.blockReason) {
+            console.warn('Unexpected Gemini response structure or no text generated:', data);
+        }
+        return {
+            text,
+            toolCalls: toolCalls.length ? toolCalls : undefined,
+            blockReason: data?.promptFeedback?.blockReason,
+            usage: toUsage(data?.usageMetadata),
+            model
+        };
+    },
+
+    async *stream(request, { signal } = {}) {
+        const model = request.model || defaultModel();
+        const response = await callGemini(model, 'streamGenerateContent?alt=sse', toGeminiBody(request), signal);
+        for await (const data of readSseStream(response.body)) {
+            const toolCalls = extractToolCalls(data);
+            yield {
+                text: extractText(data),
+                toolCalls: toolCalls.length ? toolCalls : undefined,
+                blockReason: data?.promptFeedback?.blockReason,
+                usage: toUsage(data?.usageMetadata)
+            };
+        }
+    },
+
+    // Embeddings for knowledge base chunks and queries, batched as the API allows
+    async embed(texts, { signal } = {}) {
+        const model = embeddingModel();
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += 100) {
+            const response = await callGemini(model, 'batchEmbedContents', {
+                requests: texts.slice(i, i + 100).map(text => ({
+                    model: `models/${model}`,
+                    content: { parts: [{ text }] },
+                    outputDimensionality: EMBEDDING_DIMENSIONS
+                }))
+            }, signal);
+            const data = await response.json();
+            vectors.push(...(data.embeddings || []).map(e => e.values));
+        }
+        return { model: `gemini:${model}`, vectors };
+    },
+
+    async countTokens(request, { signal } = {}) {
+        const model = request.model || defaultModel();
+        const { systemInstruction, contents } = toGeminiBody(request);
+        const response = await callGemini(model, 'countTokens', {
+            generateContentRequest: { model: `models/${model}`, systemInstruction, contents }
+        }, signal);
+        const data = await response.json();
+        return data.totalTokens || 0;
+    }
+};
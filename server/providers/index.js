@@ -0,0 +1,47 @@
+// Registry of LLM providers. Every provider exposes the same interface:
+//   name, label, isConfigured(), defaultModel()
+//   generate(request, { signal })  -> { text, toolCalls, blockReason, usage, model }
+//   stream(request, { signal })    -> async iterable of { text, toolCalls, blockReason, usage, model }
+//                                     (model, the one that answered, on the first part)
+//   countTokens(request)           -> number
+//   embed(texts, { signal })       -> { model, vectors } (optional; see lib/knowledge.js)
+// where request is { systemInstruction, messages, tools, toolChoice,
+// generationConfig: { maxOutputTokens, temperature, topP, topK }, model }. Messages are
+//   { role: 'user' | 'assistant', content, attachments }  with optional attachments
+//                                                           [{ name, mimeType, data }] (base64 data)
+//   { role: 'assistant', content, toolCalls }             a turn in which the model called tools
+//   { role: 'tool', results: [{ id, name, result }] }     the results of those calls
+// tools are [{ name, description, parameters }] declarations (see server/tools), toolChoice
+// 'none' forbids calling them, and toolCalls are [{ id, name, args }] (see lib/toolCalling.js).
+// Upstream failures are thrown as ProviderError. Remote providers are wrapped with retries,
+// fallback models and a circuit breaker (see resilient.js).
+const gemini = require('./gemini');
+const openai = require('./openai');
+const mock = require('./mock');
+const ProviderError = require('./ProviderError');
+const { withFallback } = require('./resilient');
+
+const providers = {
+    gemini: withFallback(gemini, 'GEMINI_FALLBACK_MODELS'),
+    openai: withFallback(openai, 'OPENAI_FALLBACK_MODELS'),
+    mock
+};
+
+const getProvider = (name) => providers[name] || null;
+
+// Deployment default: LLM_PROVIDER when set, otherwise Gemini if it has a key, else the mock
+function defaultProviderName() {
+    const configured = process.env.LLM_PROVIDER;
+    if (configured && providers[configured]) return configured;
+    if (configured) console.warn(`Unknown LLM_PROVIDER "${configured}", falling back to the default provider`);
+    return gemini.isConfigured() ? 'gemini' : 'mock';
+}
+
+const listProviders = () => Object.values(providers).map(p => ({
+    name: p.name,
+    label: p.label,
+    configured: p.isConfigured(),
+    defaultModel: p.defaultModel()
+}));
+
+module.exports = { getProvider, defaultProviderName, listProviders, ProviderError };
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+const { getProvider, defaultProviderName, listProviders } = require('./index');
+
+const ENV_KEYS = ['LLM_PROVIDER', 'GEMINI_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_API_KEY', 'OPENAI_MODEL', 'MOCK_STREAM_DELAY_MS'];
+let savedEnv;
+
+beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+});
+
+afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+    jest.restoreAllMocks();
+});
+
+describe('defaultProviderName', () => {
+    test('uses the mock without any configuration', () => {
+        expect(defaultProviderName()).toBe('mock');
+    });
+
+    test('uses Gemini once it has a key', () => {
+        process.env.GEMINI_API_KEY = 'key';
+        expect(defaultProviderName()).toBe('gemini');
+    });
+
+    test('LLM_PROVIDER wins over the key check', () => {
+        process.env.GEMINI_API_KEY = 'key';
+        process.env.LLM_PROVIDER = 'openai';
+        expect(defaultProviderName()).toBe('openai');
+    });
+
+    test('an unknown LLM_PROVIDER falls back with a warning', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        process.env.LLM_PROVIDER = 'nope';
+        expect(defaultProviderName()).toBe('mock');
+        expect(warn).toHaveBeenCalled();
+    });
+});
+
+test('getProvider finds registered providers only', () => {
+    expect(getProvider('mock').name).toBe('mock');
+    expect(getProvider('gemini').name).toBe('gemini');
+    expect(getProvider('nope')).toBeNull();
+    expect(getProvider(undefined)).toBeNull();
+});
+
+test('listProviders reports configuration and default models', () => {
+    process.env.OPENAI_BASE_URL = 'http://localhost:11434/v1';
+    process.env.OPENAI_MODEL = 'llama3';
+    const byName = Object.fromEntries(listProviders().map(p => [p.name, p]));
+    expect(byName.gemini.configured).toBe(false);
+    expect(byName.openai).toMatchObject({ configured: true, defaultModel: 'llama3' });
+    expect(byName.mock).toMatchObject({ configured: true, defaultModel: 'mock-1' });
+});
+
+describe('mock provider', () => {
+    const mock = getProvider('mock');
+    const request = (content, extra = {}) => ({ messages: [{ role: 'user', content }], ...extra });
+
+    test('echoes the input with usage estimates', async () => {
+        const result = await mock.generate(request('hello'));
+        expect(result.text).toMatch(/^Echo \(mock\): hello/);
+        expect(result.model).toBe('mock-1');
+        expect(result.usage.promptTokens).toBe(2);
+    });
+
+    test('calls the calculator when offered, and reports its result', async () => {
+        const tools = [{ name: 'calculator' }];
+        const call = await mock.generate(request('calculate 2+2', { tools }));
+        expect(call.toolCalls).toEqual([{ id: 'mock-call-1', name: 'calculator', args: { expression: '2+2' } }]);
+
+        const noTools = await mock.generate(request('calculate 2+2', { tools, toolChoice: 'none' }));
+        expect(noTools.toolCalls).toBeUndefined();
+
+        const answer = await mock.generate({
+            messages: [{ role: 'tool', results: [{ id: 'mock-call-1', name: 'calculator', result: { result: 4 } }] }]
+        });
+        expect(answer.text).toBe('calculator returned {"result":4}.');
+    });
+
+    test('streams the same reply word by word and stops on abort', async () => {
+        process.env.MOCK_STREAM_DELAY_MS = '1';
+        const parts = [];
+        for await (const part of mock.stream(request('hi there'))) parts.push(part);
+        const { text } = await mock.generate(request('hi there'));
+        expect(parts.map(part => part.text).join('')).toBe(text);
+        expect(parts[parts.length - 1].usage).toBeDefined();
+
+        const controller = new AbortController();
+        controller.abort();
+        await expect(mock.stream(request('hi'), { signal: controller.signal }).next()).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const { estimateTokens } = require('../lib/history');
+const { wait } = require('./wait');
+
+// Deterministic offline provider for tests and demos. Replies come from an optional script
+// (MOCK_PROVIDER_SCRIPT, a JSON array of { "match": "<regex>", "reply": "<text>" } rules, first
+// match wins) and otherwise echo the input, so the same conversation always gets the same answer.
+// When the calculator tool is offered, "calculate <expression>" calls it and the reply reports
+// its result, which exercises the function calling loop.
+let script;
+function loadScript() {
+    if (script) return script;
+    script = [];
+    const scriptPath = process.env.MOCK_PROVIDER_SCRIPT;
+    if (scriptPath) {
+        try {
+            script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'))
+                .map(rule => ({ pattern: new RegExp(rule.match, 'i'), reply: rule.reply }));
+        } catch (err) {
+            console.error('Could not load MOCK_PROVIDER_SCRIPT, falling back to echo replies:', err.message);
+        }
+    }
+    return script;
+}
+
+function toolCallsFor(request) {
+    const last = request.messages[request.messages.length - 1];
+    const offered = request.toolChoice !== 'none' && request.tools?.some(tool => tool.name === 'calculator');
+    const match = last?.role === 'user' && offered && /^calculate\s+(.+)$/i.exec(last.content.trim());
+    return match ? [{ id: 'mock-call-1', name: 'calculator', args: { expression: match[1] } }] : undefined;
+}
+
+function replyFor(request) {
+    const last = request.messages[request.messages.length - 1];
+    if (last?.role === 'tool') {
+        return last.results.map(({ name, result }) => `${name} returned ${JSON.stringify(result)}.`).join(' ');
+    }
+    const input = last?.content || '';
+    const rule = loadScript().find(r => r.pattern.test(input));
+    if (rule) return rule.reply;
+    return `Echo (mock): ${input} — set LLM_PROVIDER or GEMINI_API_KEY to use a real model.`;
+}
+
+const usageFor = (request, text) => {
+    const promptTokens = request.messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+    const outputTokens = estimateTokens(text);
+    return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+};
+
+// Delay between streamed words so the UI behaves like a real model
+const streamDelay = () => parseInt(process.env.MOCK_STREAM_DELAY_MS, 10) || 30;
+
+module.exports = {
+    name: 'mock',
+    label: 'Mock (offline)',
+
+    isConfigured: () => true,
+
+    defaultModel: () => 'mock-1',
+
+    async generate(request) {
+        const toolCalls = toolCallsFor(request);
+        const text = toolCalls ? '' : replyFor(request);
+        return { text, toolCalls, usage: usageFor(request, text), model: request.model || 'mock-1' };
+    },
+
+    async *stream(request, { signal } = {}) {
+        const toolCalls = toolCallsFor(request);
+        if (toolCalls) {
+            yield { text: '', toolCalls, usage: usageFor(request, '') };
+            return;
+        }
+        const text = replyFor(request);
+        const words = text.split(/(?<=\s)/);
+        for (const word of words) {
+            await wait(streamDelay(), signal);
+            yield { text: word };
+        }
+        yield { text: '', usage: usageFor(request, text) };
+    },
+
+    async countTokens(request) {
+        const texts = [request.systemInstruction, ...request.messages.map(msg => msg.content)];
+        return texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+    }
+};
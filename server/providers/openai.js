@@ -0,0 +1,184 @@
+const fetch = require('node-fetch');
+const ProviderError = require('./ProviderError');
+const { parseRetryAfter } = require('./ProviderError');
+const { readSseStream } = require('./sse');
+const { estimateTokens } = require('../lib/history');
+
+// Any OpenAI-compatible /chat/completions server: OpenAI itself, or a local llama.cpp / Ollama
+// instance (e.g. OPENAI_BASE_URL=http://localhost:11434/v1, no API key needed)
+const baseUrl = () => (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+
+const defaultModel = () => process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+const embeddingModel = () => process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+function errorHint(status, modelName) {
+    if (status === 401) {
+        return '401 Unauthorized. Check OPENAI_API_KEY for this server.';
+    } else if (status === 404) {
+        return `404 Not Found. Check OPENAI_BASE_URL (${baseUrl()}) and that the model (${modelName}) is available there.`;
+    }
+    return undefined;
+}
+
+// Message content in the chat completions format: plain text, or content parts when files are
+// attached (images as data URLs, PDFs as file parts, text files inlined)
+function toOpenAiContent(msg) {
+    if (!msg.attachments?.length) return msg.content;
+    const parts = msg.attachments.map(file => {
+        const dataUrl = `data:${file.mimeType};base64,${file.data}`;
+        if (file.mimeType.startsWith('image/')) return { type: 'image_url', image_url: { url: dataUrl } };
+        if (file.mimeType === 'application/pdf') return { type: 'file', file: { filename: file.name, file_data: dataUrl } };
+        return { type: 'text', text: `Attached file ${file.name}:\n${Buffer.from(file.data, 'base64').toString('utf8')}` };
+    });
+    return [...parts, { type: 'text', text: msg.content }];
+}
+
+// One provider-neutral message as chat completions messages: a turn that called tools carries
+// tool_calls, and each tool result is a separate "tool" message
+function toOpenAiMessages(msg) {
+    if (msg.role === 'tool') {
+        return msg.results.map(({ id, result }) => ({ role: 'tool', tool_call_id: id, content: JSON.stringify(result) }));
+    }
+    if (msg.toolCalls) {
+        return [{
+            role: 'assistant',
+            content: msg.content || null,
+            tool_calls: msg.toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.args) }
+            }))
+        }];
+    }
+    return [{ role: msg.role, content: toOpenAiContent(msg) }];
+}
+
+// Arguments arrive as a JSON string, which small local models don't always get right
+function parseArguments(json) {
+    try {
+        return JSON.parse(json || '{}');
+    } catch (err) {
+        return {};
+    }
+}
+
+const toToolCalls = (calls) => calls.map(call => ({
+    id: call.id,
+    name: call.function.name,
+    args: parseArguments(call.function.arguments)
+}));
+
+// Translate a provider-neutral chat request into a chat completions body
+function toOpenAiBody(request, model, stream) {
+    const { systemInstruction, messages, tools, toolChoice, generationConfig = {} } = request;
+    return {
+        model,
+        messages: [
+            ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+            ...messages.flatMap(toOpenAiMessages)
+        ],
+        ...(tools?.length ? {
+            tools: tools.map(tool => ({ type: 'function', function: tool })),
+            tool_choice: toolChoice === 'none' ? 'none' : 'auto'
+        } : {}),
+        max_tokens: generationConfig.maxOutputTokens,
+        temperature: generationConfig.temperature,
+        top_p: generationConfig.topP,
+        stream,
+        // Ask for a final usage chunk when streaming (ignored by servers that don't support it)
+        ...(stream ? { stream_options: { include_usage: true } } : {})
+    };
+}
+
+const toUsage = (usage) => usage && {
+    promptTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+};
+
+async function callApi(endpoint, body, signal) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+
+    const response = await fetch(`${baseUrl()}/${endpoint}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal,
+    });
+
+    if (!response.ok) {
+        const errorBody = await response.text();
+        throw new ProviderError('Upstream API error', {
+            upstreamStatus: response.status,
+            upstreamBody: errorBody,
+            hint: errorHint(response.status, body.model),
+            retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        });
+    }
+    return response;
+}
+
+module.exports = {
+    name: 'openai',
+    label: 'OpenAI-compatible',
+
+    isConfigured: () => Boolean(process.env.OPENAI_BASE_URL || process.env.OPENAI_API_KEY),
+
+    defaultModel,
+
+    async generate(request, { signal } = {}) {
+        const model = request.model || defaultModel();
+        const response = await callApi('chat/completions', toOpenAiBody(request, model, false), signal);
+        const data = await response.json();
+        const choice = data?.choices?.[0];
+        return {
+            text: choice?.message?.content || '',
+            toolCalls: choice?.message?.tool_calls?.length ? toToolCalls(choice.message.tool_calls) : undefined,
+            blockReason: choice?.finish_reason === 'content_filter' ? 'CONTENT_FILTER' : undefined,
+            usage: toUsage(data?.usage),
+            model
+        };
+    },
+
+    async *stream(request, { signal } = {}) {
+        const model = request.model || defaultModel();
+        const response = await callApi('chat/completions', toOpenAiBody(request, model, true), signal);
+        // Tool calls stream in as fragments (name first, then pieces of the arguments) keyed by
+        // index, so they are assembled and yielded once the stream ends
+        const calls = [];
+        for await (const data of readSseStream(response.body)) {
+            const choice = data?.choices?.[0];
+            for (const fragment of choice?.delta?.tool_calls || []) {
+                const call = calls[fragment.index] || (calls[fragment.index] = { id: '', function: { name: '', arguments: '' } });
+                if (fragment.id) call.id = fragment.id;
+                if (fragment.function?.name) call.function.name += fragment.function.name;
+                if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+            }
+            yield {
+                text: choice?.delta?.content || '',
+                blockReason: choice?.finish_reason === 'content_filter' ? 'CONTENT_FILTER' : undefined,
+                usage: toUsage(data?.usage)
+            };
+        }
+        if (calls.length) yield { text: '', toolCalls: toToolCalls(calls.filter(Boolean)) };
+    },
+
+    async embed(texts, { signal } = {}) {
+        const model = embeddingModel();
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += 100) {
+            const response = await callApi('embeddings', { model, input: texts.slice(i, i + 100) }, signal);
+            const data = await response.json();
+            vectors.push(...(data.data || []).sort((a, b) => a.index - b.index).map(item => item.embedding));
+        }
+        return { model: `openai:${model}`, vectors };
+    },
+
+    // There is no standard token counting endpoint, so fall back to the local estimate
+    async countTokens(request) {
+        const texts = [request.systemInstruction, ...request.messages.map(msg => msg.content)];
+        return texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+    }
+};
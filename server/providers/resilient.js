@@ -0,0 +1,155 @@
+// Wraps a provider so overloaded or failing upstreams degrade gracefully:
+//   - 429 / 5xx responses and network errors are retried with exponential backoff and jitter,
+//     waiting as long as the upstream's retry hint asks when it gives one
+//   - when a model keeps failing, the next model in the provider's fallback list
+//     (e.g. GEMINI_FALLBACK_MODELS) is tried
+//   - a per-model circuit breaker skips models that failed repeatedly until a cooldown passes,
+//     so requests fail fast while the upstream is down
+// Results report the model that actually answered (`model` on generate results and on the
+// first streamed part).
+const ProviderError = require('./ProviderError');
+const { wait } = require('./wait');
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+const settings = () => ({
+    maxRetries: envInt('PROVIDER_MAX_RETRIES', 2),
+    baseDelayMs: envInt('PROVIDER_RETRY_BASE_MS', 500),
+    // Longer upstream hints than this move on to the next model instead of waiting
+    maxDelayMs: envInt('PROVIDER_RETRY_MAX_DELAY_MS', 8000),
+    breakerThreshold: envInt('CIRCUIT_BREAKER_THRESHOLD', 5),
+    breakerCooldownMs: envInt('CIRCUIT_BREAKER_COOLDOWN_MS', 30000)
+});
+
+// Overload and outage errors are worth another try; bad requests, auth failures and aborts aren't
+function isRetryable(err) {
+    if (err.name === 'AbortError') return false;
+    if (err instanceof ProviderError) return RETRYABLE_STATUSES.includes(err.upstreamStatus);
+    // node-fetch network failures (connection refused, reset, DNS...)
+    return err.name === 'FetchError';
+}
+
+// --- Circuit breaker, one per provider/model ---
+
+const breakers = new Map();
+
+const breakerFor = (key) => {
+    if (!breakers.has(key)) breakers.set(key, { failures: 0, openUntil: 0 });
+    return breakers.get(key);
+};
+
+// Milliseconds until the breaker lets calls through again (0 when closed or cooling down is over)
+const openFor = (key) => Math.max(0, breakerFor(key).openUntil - Date.now());
+
+function recordSuccess(key) {
+    const breaker = breakerFor(key);
+    breaker.failures = 0;
+    breaker.openUntil = 0;
+}
+
+// Once the threshold is reached every further failure (including the trial call after a
+// cooldown) re-opens the breaker; a success closes it
+function recordFailure(key, { breakerThreshold, breakerCooldownMs }) {
+    const breaker = breakerFor(key);
+    breaker.failures += 1;
+    if (breaker.failures >= breakerThreshold) {
+        if (!openFor(key)) console.warn(`Circuit breaker opened for ${key} after ${breaker.failures} failures`);
+        breaker.openUntil = Date.now() + breakerCooldownMs;
+    }
+}
+
+// Exponential backoff with jitter: between half and all of base * 2^attempt
+const backoff = (attempt, { baseDelayMs }) => {
+    const delay = baseDelayMs * 2 ** attempt;
+    return delay / 2 + Math.random() * (delay / 2);
+};
+
+// Run `call(model)` over the model chain with retries, backoff and circuit breaking.
+// Resolves to { model, value } for the first model that succeeds.
+async function withRetries(provider, models, signal, call) {
+    const config = settings();
+    let lastError;
+    let retryAfterMs;
+
+    for (const model of models) {
+        const key = `${provider.name}:${model}`;
+        const blockedFor = openFor(key);
+        if (blockedFor) {
+            retryAfterMs = Math.min(retryAfterMs || Infinity, blockedFor);
+            continue;
+        }
+
+        for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+            try {
+                const value = await call(model);
+                recordSuccess(key);
+                return { model, value };
+            } catch (err) {
+                if (!isRetryable(err)) throw err;
+                lastError = err;
+                recordFailure(key, config);
+                console.warn(`${key} failed (attempt ${attempt + 1}):`, err.upstreamStatus || err.message);
+
+                const delay = err.retryAfterMs ?? backoff(attempt, config);
+                if (delay > config.maxDelayMs || attempt === config.maxRetries || openFor(key)) {
+                    if (err.retryAfterMs) retryAfterMs = Math.min(retryAfterMs || Infinity, err.retryAfterMs);
+                    break;
+                }
+                await wait(delay, signal);
+            }
+        }
+    }
+
+    throw new ProviderError('The model is overloaded or unavailable right now. Please try again shortly.', {
+        upstreamStatus: lastError?.upstreamStatus,
+        upstreamBody: lastError?.upstreamBody,
+        hint: lastError ? `Tried ${models.join(', ')}.` : `Paused after repeated failures of ${models.join(', ')}.`,
+        retryAfterMs,
+        statusCode: 503
+    });
+}
+
+// `fallbackEnv` names the environment variable holding the comma-separated fallback models
+function withFallback(provider, fallbackEnv) {
+    const modelChain = (request) => {
+        const primary = request.model || provider.defaultModel();
+        const fallbacks = (process.env[fallbackEnv] || '').split(',').map(m => m.trim()).filter(Boolean);
+        return [primary, ...fallbacks.filter(m => m !== primary)];
+    };
+
+    return {
+        ...provider,
+
+        async generate(request, options = {}) {
+            const { model, value } = await withRetries(provider, modelChain(request), options.signal,
+                (candidate) => provider.generate({ ...request, model: candidate }, options));
+            return { ...value, model };
+        },
+
+        // Only the start of a stream can be retried: once the first part arrives the reply is
+        // committed to that model, and later errors surface to the caller as usual
+        async *stream(request, options = {}) {
+            const { model, value } = await withRetries(provider, modelChain(request), options.signal, async (candidate) => {
+                const iterator = provider.stream({ ...request, model: candidate }, options)[Symbol.asyncIterator]();
+                return { iterator, first: await iterator.next() };
+            });
+            const { iterator, first } = value;
+            try {
+                yield first.done ? { text: '', model } : { ...first.value, model };
+                if (first.done) return;
+                for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+                    yield next.value;
+                }
+            } finally {
+                await iterator.return?.();
+            }
+        }
+    };
+}
+
+module.exports = { withFallback };
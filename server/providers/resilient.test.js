@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+const ProviderError = require('./ProviderError');
+const { withFallback } = require('./resilient');
+
+const ENV_KEYS = [
+    'PROVIDER_MAX_RETRIES', 'PROVIDER_RETRY_BASE_MS', 'PROVIDER_RETRY_MAX_DELAY_MS',
+    'CIRCUIT_BREAKER_THRESHOLD', 'CIRCUIT_BREAKER_COOLDOWN_MS', 'TEST_FALLBACK_MODELS'
+];
+let savedEnv;
+let providerCount = 0;
+
+beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    process.env.PROVIDER_RETRY_BASE_MS = '1';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    }
+    jest.restoreAllMocks();
+});
+
+const overloaded = (fields = {}) => new ProviderError('Overloaded', { upstreamStatus: 503, ...fields });
+
+// A provider whose calls answer from `outcomes(model, call)`: an Error is thrown, anything else
+// is the reply text. Breakers are kept per provider name, so every test gets a fresh name.
+function fakeProvider(outcomes) {
+    const calls = [];
+    const answer = (request) => {
+        calls.push(request.model);
+        const outcome = outcomes(request.model, calls.length);
+        if (outcome instanceof Error) throw outcome;
+        return outcome;
+    };
+    const provider = {
+        name: `fake-${++providerCount}`,
+        defaultModel: () => 'primary',
+        async generate(request) {
+            return { text: answer(request) };
+        },
+        async *stream(request) {
+            const text = answer(request);
+            yield { text };
+            yield { text: ' done' };
+        }
+    };
+    return { provider: withFallback(provider, 'TEST_FALLBACK_MODELS'), calls };
+}
+
+describe('retries', () => {
+    test('retries overloaded responses until one succeeds', async () => {
+        const { provider, calls } = fakeProvider((model, call) => (call < 3 ? overloaded() : 'hello'));
+        await expect(provider.generate({ messages: [] })).resolves.toEqual({ text: 'hello', model: 'primary' });
+        expect(calls).toEqual(['primary', 'primary', 'primary']);
+    });
+
+    test('does not retry errors that would fail again', async () => {
+        const badRequest = new ProviderError('Bad request', { upstreamStatus: 400 });
+        const { provider, calls } = fakeProvider(() => badRequest);
+        await expect(provider.generate({ messages: [] })).rejects.toBe(badRequest);
+        expect(calls).toHaveLength(1);
+    });
+
+    test('gives up after PROVIDER_MAX_RETRIES with a 503', async () => {
+        process.env.PROVIDER_MAX_RETRIES = '1';
+        const { provider, calls } = fakeProvider(() => overloaded());
+        const error = await provider.generate({ messages: [] }).catch(err => err);
+        expect(error).toBeInstanceOf(ProviderError);
+        expect(error.statusCode).toBe(503);
+        expect(error.upstreamStatus).toBe(503);
+        expect(calls).toHaveLength(2);
+    });
+});
+
+describe('fallback models', () => {
+    test('moves on to the next model once the first keeps failing', async () => {
+        process.env.TEST_FALLBACK_MODELS = 'primary, backup';
+        const { provider, calls } = fakeProvider(model => (model === 'primary' ? overloaded() : 'from backup'));
+        await expect(provider.generate({ messages: [] })).resolves.toEqual({ text: 'from backup', model: 'backup' });
+        expect(calls).toEqual(['primary', 'primary', 'primary', 'backup']);
+    });
+
+    test('skips ahead instead of waiting out a long retry hint', async () => {
+        process.env.TEST_FALLBACK_MODELS = 'backup';
+        const { provider, calls } = fakeProvider(model =>
+            (model === 'primary' ? overloaded({ upstreamStatus: 429, retryAfterMs: 60000 }) : 'from backup'));
+        await expect(provider.generate({ messages: [] })).resolves.toMatchObject({ model: 'backup' });
+        expect(calls).toEqual(['primary', 'backup']);
+    });
+
+    test('reports the model that answered on the first streamed part', async () => {
+        process.env.TEST_FALLBACK_MODELS = 'backup';
+        const { provider } = fakeProvider(model => (model === 'primary' ? overloaded() : 'streamed'));
+        const parts = [];
+        for await (const part of provider.stream({ messages: [] })) parts.push(part);
+        expect(parts).toEqual([{ text: 'streamed', model: 'backup' }, { text: ' done' }]);
+    });
+});
+
+describe('circuit breaker', () => {
+    test('skips a model after repeated failures until the cooldown passes', async () => {
+        process.env.PROVIDER_MAX_RETRIES = '0';
+        process.env.CIRCUIT_BREAKER_THRESHOLD = '2';
+        process.env.CIRCUIT_BREAKER_COOLDOWN_MS = '60000';
+        let failing = true;
+        const { provider, calls } = fakeProvider(() => (failing ? overloaded() : 'recovered'));
+
+        await expect(provider.generate({ messages: [] })).rejects.toThrow(ProviderError);
+        await expect(provider.generate({ messages: [] })).rejects.toThrow(ProviderError);
+        expect(calls).toHaveLength(2);
+
+        // Open: fails fast without calling the upstream and says when to try again
+        failing = false;
+        const error = await provider.generate({ messages: [] }).catch(err => err);
+        expect(calls).toHaveLength(2);
+        expect(error.hint).toMatch(/^Paused/);
+        expect(error.retryAfterMs).toBeGreaterThan(0);
+
+        // After the cooldown a trial call goes through and closes the breaker
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 60001);
+        await expect(provider.generate({ messages: [] })).resolves.toMatchObject({ text: 'recovered' });
+        expect(calls).toHaveLength(3);
+    });
+});
@@ -0,0 +1,35 @@
+// Split buffered SSE text into complete events. Returns the parsed JSON `data` payloads
+// and the trailing, not yet terminated, text to prepend to the next chunk.
+function parseSseEvents(buffer) {
+    const events = buffer.split(/\r?\n\r?\n/);
+    const rest = events.pop();
+    const payloads = [];
+    for (const event of events) {
+        const data = event.split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+        // OpenAI-compatible servers close the stream with a literal [DONE]
+        if (!data || data === '[DONE]') continue;
+        try {
+            payloads.push(JSON.parse(data));
+        } catch (err) {
+            console.warn('Skipping malformed SSE payload:', data);
+        }
+    }
+    return { payloads, rest };
+}
+
+// Yield the JSON payloads of an SSE response body (a node-fetch stream) as they arrive. The
+// decoder keeps multibyte characters split across chunks intact.
+async function* readSseStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        const parsed = parseSseEvents(buffer + decoder.decode(chunk, { stream: true }));
+        buffer = parsed.rest;
+        yield* parsed.payloads;
+    }
+}
+
+module.exports = { parseSseEvents, readSseStream };
@@ -0,0 +1,13 @@
+// Resolve after `ms`, or reject with an AbortError (like fetch does) as soon as `signal` aborts
+const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(abortError());
+    }, { once: true });
+});
+
+module.exports = { wait };
@@ -0,0 +1,106 @@
+// Arithmetic without eval: a small recursive-descent parser over numbers, + - * / % ^,
+// parentheses, a few functions and the constants pi and e
+const FUNCTIONS = {
+    sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil,
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, ln: Math.log, log: Math.log10, exp: Math.exp
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+function tokenize(expression) {
+    const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[a-z]+|[-+*/%^(),]|\S/gi) || [];
+    return tokens.map(token => token.toLowerCase());
+}
+
+function evaluate(expression) {
+    const tokens = tokenize(expression);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const take = (expected) => {
+        const token = tokens[pos++];
+        if (expected && token !== expected) throw new Error(`Expected "${expected}" but found ${token ? `"${token}"` : 'the end'}`);
+        return token;
+    };
+
+    // sum := product (('+' | '-') product)*
+    const sum = () => {
+        let value = product();
+        while (peek() === '+' || peek() === '-') value = take() === '+' ? value + product() : value - product();
+        return value;
+    };
+    // product := power (('*' | '/' | '%') power)*
+    const product = () => {
+        let value = power();
+        while (['*', '/', '%'].includes(peek())) {
+            const op = take();
+            const right = power();
+            value = op === '*' ? value * right : op === '/' ? value / right : value % right;
+        }
+        return value;
+    };
+    // power := unary ('^' power)?   (right associative)
+    const power = () => {
+        const base = unary();
+        if (peek() !== '^') return base;
+        take();
+        return base ** power();
+    };
+    const unary = () => {
+        if (peek() === '-') {
+            take();
+            return -unary();
+        }
+        if (peek() === '+') {
+            take();
+            return unary();
+        }
+        return primary();
+    };
+    const primary = () => {
+        const token = take();
+        if (token === undefined) throw new Error('Unexpected end of expression');
+        if (token === '(') {
+            const value = sum();
+            take(')');
+            return value;
+        }
+        if (/^[\d.]/.test(token)) return Number(token);
+        if (FUNCTIONS[token]) {
+            take('(');
+            const value = sum();
+            take(')');
+            return FUNCTIONS[token](value);
+        }
+        if (token in CONSTANTS) return CONSTANTS[token];
+        throw new Error(`Unknown symbol "${token}"`);
+    };
+
+    const value = sum();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+    return value;
+}
+
+module.exports = {
+    name: 'calculator',
+    description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, '
+        + 'sqrt, abs, round, floor, ceil, sin, cos, tan (radians), ln, log (base 10), exp, pi and e.',
+    parameters: {
+        type: 'object',
+        properties: {
+            expression: { type: 'string', description: 'The expression, e.g. "(17.5 * 3) ^ 2 / 7"' }
+        },
+        required: ['expression']
+    },
+
+    async execute({ expression }) {
+        if (typeof expression !== 'string' || !expression.trim()) return { error: 'expression is required' };
+        if (expression.length > 500) return { error: 'expression is too long' };
+        let result;
+        try {
+            result = evaluate(expression);
+        } catch (err) {
+            return { error: err.message };
+        }
+        if (!Number.isFinite(result)) return { error: 'The result is not a finite number' };
+        return { expression, result };
+    }
+};
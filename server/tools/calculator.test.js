@@ -0,0 +1,50 @@
+/**
+ * @jest-environment node
+ */
+const calculator = require('./calculator');
+
+const calculate = async (expression) => (await calculator.execute({ expression })).result;
+const errorFor = async (expression) => (await calculator.execute({ expression })).error;
+
+describe('calculator', () => {
+    test('follows operator precedence and parentheses', async () => {
+        expect(await calculate('2 + 3 * 4')).toBe(14);
+        expect(await calculate('(2 + 3) * 4')).toBe(20);
+        expect(await calculate('10 - 4 - 3')).toBe(3);
+        expect(await calculate('17 % 5 + 8 / 4')).toBe(4);
+    });
+
+    test('powers are right associative and bind tighter than unary minus on the left', async () => {
+        expect(await calculate('2 ^ 3 ^ 2')).toBe(512);
+        expect(await calculate('2 ^ -1')).toBe(0.5);
+        expect(await calculate('-2 + +3')).toBe(1);
+        expect(await calculate('--4')).toBe(4);
+    });
+
+    test('reads decimals and exponents', async () => {
+        expect(await calculate('.5 + 1.25')).toBe(1.75);
+        expect(await calculate('1.5e3 / 3')).toBe(500);
+    });
+
+    test('knows its functions and constants, in any case', async () => {
+        expect(await calculate('sqrt(16) + abs(-2)')).toBe(6);
+        expect(await calculate('log(1000) + ln(e)')).toBe(4);
+        expect(await calculate('round(PI * 100)')).toBe(314);
+        expect(await calculate('cos(0)')).toBe(1);
+    });
+
+    test('reports malformed expressions as errors', async () => {
+        expect(await errorFor('')).toBe('expression is required');
+        expect(await errorFor('2 +')).toBe('Unexpected end of expression');
+        expect(await errorFor('(1 + 2')).toBe('Expected ")" but found the end');
+        expect(await errorFor('1 2')).toBe('Unexpected "2"');
+        expect(await errorFor('foo(1)')).toBe('Unknown symbol "foo"');
+        expect(await errorFor('process.exit()')).toBe('Unknown symbol "process"');
+        expect(await errorFor('1 / 0')).toBe('The result is not a finite number');
+        expect(await errorFor('1+'.repeat(300))).toBe('expression is too long');
+    });
+
+    test('echoes the expression with its result', async () => {
+        expect(await calculator.execute({ expression: '6 * 7' })).toEqual({ expression: '6 * 7', result: 42 });
+    });
+});
@@ -0,0 +1,44 @@
+const ChatSession = require('../models/ChatSession');
+const { activeBranch } = require('../lib/branches');
+
+// Messages of the found chat handed to the model, newest last, each cut to MESSAGE_LENGTH
+const MAX_MESSAGES = 12;
+const MESSAGE_LENGTH = 1000;
+
+module.exports = {
+    name: 'read_chat',
+    personal: true,
+    description: 'Read another of the user\'s chats. Finds the chat whose title or messages best match the '
+        + 'query and returns its latest messages, along with the titles of other matches. Use it when the '
+        + 'user refers to something discussed in a different conversation.',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: { type: 'string', description: 'Words from the chat\'s title or content' }
+        },
+        required: ['query']
+    },
+
+    async execute({ query }, { userId, sessionId }) {
+        if (typeof query !== 'string' || !query.trim()) return { error: 'query is required' };
+
+        const matches = await ChatSession.find(
+            { owner: userId, _id: { $ne: sessionId }, $text: { $search: query } },
+            { score: { $meta: 'textScore' } }
+        )
+            .sort({ score: { $meta: 'textScore' } })
+            .limit(5);
+        if (!matches.length) return { error: `No other chat matches "${query}"` };
+
+        const [chat, ...others] = matches;
+        return {
+            title: chat.title,
+            lastUpdated: chat.lastUpdated,
+            messages: activeBranch(chat).slice(-MAX_MESSAGES).map(msg => ({
+                role: msg.role,
+                content: msg.content.length > MESSAGE_LENGTH ? `${msg.content.slice(0, MESSAGE_LENGTH)}…` : msg.content
+            })),
+            otherMatches: others.map(other => other.title)
+        };
+    }
+};
@@ -0,0 +1,22 @@
+module.exports = {
+    name: 'get_current_datetime',
+    description: 'Get the current date and time, optionally in a given IANA time zone such as "Europe/Paris". '
+        + 'Use it for anything that depends on today\'s date or the time.',
+    parameters: {
+        type: 'object',
+        properties: {
+            timeZone: { type: 'string', description: 'IANA time zone name; defaults to UTC' }
+        }
+    },
+
+    async execute({ timeZone = 'UTC' }) {
+        const now = new Date();
+        let local;
+        try {
+            local = new Intl.DateTimeFormat('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' }).format(now);
+        } catch (err) {
+            return { error: `Unknown time zone "${timeZone}"` };
+        }
+        return { iso: now.toISOString(), timeZone, local };
+    }
+};
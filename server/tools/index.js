@@ -0,0 +1,39 @@
+// Registry of server-side tools the model can call (function calling). Every tool exposes
+//   name, description, parameters  (JSON schema of its arguments, declared to the model)
+//   execute(args, context)         -> JSON-serializable result, { error } when it can't be done
+// where context is { userId, sessionId, personal } of the chat the call came from; tools only
+// ever see that user's data. Tools marked `personal` (the user's other chats and notes) are only
+// offered when context.personal is set, i.e. in a chat the user owns and shares with nobody,
+// since their results are stored in the transcript every member can read.
+const calculator = require('./calculator');
+const datetime = require('./datetime');
+const readChat = require('./chats');
+const notes = require('./notes');
+
+const tools = [calculator, datetime, readChat, ...notes];
+const registry = new Map(tools.map(tool => [tool.name, tool]));
+
+// Results larger than this are cut before going back to the model
+const MAX_RESULT_LENGTH = 16000;
+
+const available = (context) => tools.filter(tool => !tool.personal || context.personal);
+
+const toolDeclarations = (context) => available(context).map(({ name, description, parameters }) => ({ name, description, parameters }));
+
+// Run one call from the model. Unknown tools, bad arguments and failures become { error }
+// results so the model can recover instead of the whole reply failing.
+async function runTool(name, args, context) {
+    const tool = registry.get(name);
+    if (!tool) return { error: `Unknown tool "${name}"` };
+    if (tool.personal && !context.personal) return { error: `The ${name} tool is not available in shared chats` };
+    try {
+        const result = await tool.execute(args && typeof args === 'object' ? args : {}, context);
+        const json = JSON.stringify(result);
+        return json.length > MAX_RESULT_LENGTH ? { truncated: json.slice(0, MAX_RESULT_LENGTH) } : result;
+    } catch (err) {
+        console.error(`Tool ${name} failed:`, err);
+        return { error: err.message || 'The tool failed' };
+    }
+}
+
+module.exports = { toolDeclarations, runTool };
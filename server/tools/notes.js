@@ -0,0 +1,64 @@
+const Note = require('../models/Note');
+
+const MAX_NOTE_LENGTH = 4000;
+const MAX_NOTES_PER_USER = 500;
+const MAX_RESULTS = 5;
+
+const toResult = (note) => ({ title: note.title, content: note.content, updatedAt: note.updatedAt });
+
+const saveNote = {
+    name: 'save_note',
+    personal: true,
+    description: 'Save a note for the user, or replace the note with the same title. Use it when the user '
+        + 'asks you to remember something for later chats.',
+    parameters: {
+        type: 'object',
+        properties: {
+            title: { type: 'string', description: 'Short title the note can be found by, e.g. "Favourite restaurants"' },
+            content: { type: 'string', description: 'The text to remember' }
+        },
+        required: ['title', 'content']
+    },
+
+    async execute({ title, content }, { userId }) {
+        if (typeof title !== 'string' || !title.trim()) return { error: 'title is required' };
+        if (typeof content !== 'string' || !content.trim()) return { error: 'content is required' };
+        if (title.length > 200 || content.length > MAX_NOTE_LENGTH) {
+            return { error: `Notes are limited to 200 characters of title and ${MAX_NOTE_LENGTH} of content` };
+        }
+
+        const existing = await Note.findOne({ owner: userId, title: title.trim() });
+        if (!existing && await Note.countDocuments({ owner: userId }) >= MAX_NOTES_PER_USER) {
+            return { error: `The user already has ${MAX_NOTES_PER_USER} notes` };
+        }
+        const note = existing || new Note({ owner: userId, title: title.trim() });
+        note.content = content;
+        note.updatedAt = Date.now();
+        await note.save();
+        return { saved: toResult(note), replaced: Boolean(existing) };
+    }
+};
+
+const findNotes = {
+    name: 'find_notes',
+    personal: true,
+    description: 'Look up notes saved for the user earlier, by words from their title or content. '
+        + 'Without a query, lists the most recent notes.',
+    parameters: {
+        type: 'object',
+        properties: {
+            query: { type: 'string', description: 'Words to search for' }
+        }
+    },
+
+    async execute({ query }, { userId }) {
+        const notes = query && query.trim()
+            ? await Note.find({ owner: userId, $text: { $search: query } }, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' } })
+                .limit(MAX_RESULTS)
+            : await Note.find({ owner: userId }).sort({ updatedAt: -1 }).limit(MAX_RESULTS);
+        return { notes: notes.map(toResult) };
+    }
+};
+
+module.exports = [saveNote, findNotes];
@@ -0,0 +1,340 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { apiFetch } from './auth';
+
+const headers = { 'Content-Type': 'application/json' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+const formatPercent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+// Search users and disable, re-enable, promote, reset or delete them
+function UsersTab({ currentUsername }) {
+  const [query, setQuery] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadUsers = useCallback(async () => {
+    setError(null);
+    try {
+      const params = new URLSearchParams({ page: String(page) });
+      if (search) params.set('q', search);
+      const response = await apiFetch(`/api/admin/users?${params}`, { headers });
+      const body = await response.json();
+      if (response.ok) {
+        setData(body);
+      } else {
+        setError(body.error || 'Failed to load users');
+      }
+    } catch (err) {
+      setError('Network error');
+    }
+  }, [page, search]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const submitSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(query.trim());
+  };
+
+  // Run an admin action on one user, then reload the list
+  const act = async (user, path, options, errorMessage) => {
+    setBusyId(user.id);
+    try {
+      const response = await apiFetch(`/api/admin/users/${user.id}${path}`, { headers, ...options });
+      const body = await response.json();
+      if (!response.ok) {
+        alert(body.error || errorMessage);
+        return null;
+      }
+      await loadUsers();
+      return body;
+    } catch (err) {
+      console.error(`${errorMessage}:`, err);
+      alert(errorMessage);
+      return null;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const update = (user, changes) =>
+    act(user, '', { method: 'PATCH', body: JSON.stringify(changes) }, 'Failed to update user');
+
+  const toggleDisabled = (user) => {
+    if (!user.disabledAt && !window.confirm(`Disable ${user.username}? They will be signed out everywhere.`)) return;
+    update(user, { disabled: !user.disabledAt });
+  };
+
+  const toggleAdmin = (user) => {
+    const role = user.role === 'admin' ? 'user' : 'admin';
+    const question = role === 'admin' ? `Make ${user.username} an admin?` : `Remove admin rights from ${user.username}?`;
+    if (window.confirm(question)) update(user, { role });
+  };
+
+  const resetPassword = async (user) => {
+    if (!window.confirm(`Reset the password of ${user.username}? They will be signed out everywhere.`)) return;
+    const body = await act(user, '/reset-password', { method: 'POST' }, 'Failed to reset password');
+    if (body) {
+      window.prompt(`Temporary password for ${user.username} (shown only once):`, body.temporaryPassword);
+    }
+  };
+
+  const deleteUser = (user) => {
+    if (!window.confirm(`Delete ${user.username} and all their chats, files and notes? This cannot be undone.`)) return;
+    act(user, '', { method: 'DELETE' }, 'Failed to delete user');
+  };
+
+  const pages = data ? Math.max(Math.ceil(data.total / data.pageSize), 1) : 1;
+
+  return (
+    <>
+      <form className="admin-search" onSubmit={submitSearch}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search usernames"
+          aria-label="Search usernames"
+          maxLength={100}
+        />
+        <button type="submit">Search</button>
+      </form>
+
+      {error && <div className="auth-error">{error}</div>}
+      {!data && !error && <div className="empty-state">Loading...</div>}
+      {data && data.users.length === 0 && <div className="empty-state">No users found</div>}
+      {data && data.users.length > 0 && (
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Role</th>
+              <th>Joined</th>
+              <th>Last active</th>
+              <th>Status</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {data.users.map(user => {
+              const self = user.username === currentUsername;
+              const busy = busyId === user.id;
+              return (
+                <tr key={user.id} className={user.disabledAt ? 'admin-user-disabled' : ''}>
+                  <td>
+                    {user.username}
+                    {user.twoFactorEnabled && <span className="share-link-meta" title="Two-factor authentication on"> 🔒</span>}
+                  </td>
+                  <td>{user.role === 'admin' ? 'Admin' : 'User'}</td>
+                  <td>{formatDate(user.createdAt)}</td>
+                  <td>{formatDate(user.lastActiveAt)}</td>
+                  <td>{user.disabledAt ? `Disabled ${formatDate(user.disabledAt)}` : 'Active'}</td>
+                  <td className="admin-actions">
+                    {self ? (
+                      <span className="share-link-meta">You</span>
+                    ) : (
+                      <>
+                        <button onClick={() => toggleDisabled(user)} disabled={busy}>
+                          {user.disabledAt ? 'Enable' : 'Disable'}
+                        </button>
+                        <button onClick={() => toggleAdmin(user)} disabled={busy}>
+                          {user.role === 'admin' ? 'Remove admin' : 'Make admin'}
+                        </button>
+                        <button onClick={() => resetPassword(user)} disabled={busy}>Reset password</button>
+                        <button className="danger" onClick={() => deleteUser(user)} disabled={busy}>Delete</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {data && pages > 1 && (
+        <div className="admin-pager">
+          <button onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</button>
+          <span>Page {page} of {pages} · {data.total} users</span>
+          <button onClick={() => setPage(page + 1)} disabled={page >= pages}>Next</button>
+        </div>
+      )}
+    </>
+  );
+}
+
+// A row of horizontal bars, each scaled against the largest value
+function BarChart({ rows, label, value, title }) {
+  const max = Math.max(...rows.map(value), 1);
+  return (
+    <div className="admin-bars">
+      {rows.map(row => (
+        <div key={label(row)} className="admin-bar-row" title={title ? title(row) : undefined}>
+          <span className="admin-bar-label">{label(row)}</span>
+          <span className="admin-bar-track">
+            <span className="admin-bar-fill" style={{ width: `${(value(row) / max) * 100}%` }} />
+          </span>
+          <span className="admin-bar-value">{value(row).toLocaleString()}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Usage analytics over the chosen period
+function StatsTab() {
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadStats = async () => {
+      setError(null);
+      try {
+        const response = await apiFetch(`/api/admin/stats?days=${days}`, { headers });
+        const body = await response.json();
+        if (response.ok) {
+          setStats(body);
+        } else {
+          setError(body.error || 'Failed to load stats');
+        }
+      } catch (err) {
+        setError('Network error');
+      }
+    };
+    loadStats();
+  }, [days]);
+
+  return (
+    <>
+      <div className="feedback-filters">
+        <label>
+          Period
+          <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+            <option value={7}>Last 7 days</option>
+            <option value={30}>Last 30 days</option>
+            <option value={90}>Last 90 days</option>
+            <option value={365}>Last year</option>
+          </select>
+        </label>
+      </div>
+
+      {error && <div className="auth-error">{error}</div>}
+      {!stats && !error && <div className="empty-state">Loading...</div>}
+      {stats && (
+        <>
+          <div className="feedback-counts">
+            <span>Users: {stats.totals.users}</span>
+            <span>New: {stats.totals.newUsers}</span>
+            <span>Active: {stats.totals.activeUsers}</span>
+            <span>Disabled: {stats.totals.disabledUsers}</span>
+            <span>Model calls: {stats.errorRates.requests + stats.errorRates.failed}</span>
+            <span>Error rate: {formatPercent(stats.errorRates.errorRate)}</span>
+          </div>
+
+          <h3>Messages per day</h3>
+          <BarChart
+            rows={stats.messagesPerDay}
+            label={(row) => row.day}
+            value={(row) => row.user + row.assistant}
+            title={(row) => `${row.user} from users, ${row.assistant} replies`}
+          />
+
+          <h3>Model call errors per day</h3>
+          <BarChart
+            rows={stats.errorRates.perDay}
+            label={(row) => row.day}
+            value={(row) => row.failed}
+            title={(row) => `${row.failed} of ${row.requests + row.failed} calls failed (${formatPercent(row.errorRate)})`}
+          />
+
+          <h3>Tokens per user</h3>
+          {stats.tokensPerUser.length === 0 ? (
+            <div className="empty-state">No usage in this period</div>
+          ) : (
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Username</th>
+                  <th>Requests</th>
+                  <th>Prompt tokens</th>
+                  <th>Output tokens</th>
+                  <th>Total tokens</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.tokensPerUser.map(row => (
+                  <tr key={row.userId}>
+                    <td>{row.username || '(deleted user)'}</td>
+                    <td>{row.requests.toLocaleString()}</td>
+                    <td>{row.promptTokens.toLocaleString()}</td>
+                    <td>{row.outputTokens.toLocaleString()}</td>
+                    <td>{row.totalTokens.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h3>Most active chats</h3>
+          {stats.activeSessions.length === 0 ? (
+            <div className="empty-state">No messages in this period</div>
+          ) : (
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Chat</th>
+                  <th>Owner</th>
+                  <th>Members</th>
+                  <th>Messages</th>
+                  <th>Last updated</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.activeSessions.map(row => (
+                  <tr key={row.sessionId}>
+                    <td>{row.title}</td>
+                    <td>{row.owner || '(deleted user)'}</td>
+                    <td>{row.memberCount}</td>
+                    <td>{row.messageCount}</td>
+                    <td>{formatDate(row.lastUpdated)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </>
+  );
+}
+
+// Admin page (/admin): user management and usage analytics
+export default function AdminDashboard({ username }) {
+  const [tab, setTab] = useState('users');
+
+  return (
+    <div className="operator-page">
+      <div className="operator-header">
+        <h2>Admin</h2>
+        <Link to="/">Back to chat</Link>
+      </div>
+      <div className="admin-tabs" role="tablist">
+        <button role="tab" aria-selected={tab === 'users'} className={tab === 'users' ? 'active' : ''} onClick={() => setTab('users')}>
+          Users
+        </button>
+        <button role="tab" aria-selected={tab === 'stats'} className={tab === 'stats' ? 'active' : ''} onClick={() => setTab('stats')}>
+          Usage
+        </button>
+      </div>
+      {tab === 'users' ? <UsersTab currentUsername={username} /> : <StatsTab />}
+    </div>
+  );
+}
@@ -1,36 +1,63 @@
 import './App.css';
 import Chat from './Chat';
 import Login from './Login';
+import FeedbackDashboard from './FeedbackDashboard';
+import AdminDashboard from './AdminDashboard';
 import { useState, useEffect } from 'react';
-import { BrowserRouter as Router, Routes, Route, useParams } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useParams } from 'react-router-dom';
+import { refreshSession, onSessionExpired, setAccessToken, logout } from './auth';
 
-function SharedChat() {
+function SharedChat({ token }) {
   const { token: shareToken } = useParams(); // Rename to avoid conflict
-  return <Chat sharedToken={shareToken} />;
+  // The viewer's own token (if logged in) only decides how "Continue in my account" is offered
+  return <Chat token={token} sharedToken={shareToken} />;
 }
 
 function App() {
   const [token, setToken] = useState(null);
   const [username, setUsername] = useState(null);
+  // Operators (OPERATOR_USERNAMES on the server) also get the feedback review page
+  const [operator, setOperator] = useState(false);
+  // Admins also get user management and usage analytics (/admin)
+  const [admin, setAdmin] = useState(false);
+  // True until the refresh cookie has been tried, so Login doesn't flash for signed-in users
+  const [restoring, setRestoring] = useState(true);
 
-  useEffect(() => {
-    const t = localStorage.getItem('token');
-    if (t) setToken(t);
-    const u = localStorage.getItem('username');
-    if (u) setUsername(u);
-  }, []);
-
-  const handleAuth = (t) => {
-    setToken(t);
-    const u = localStorage.getItem('username');
-    if (u) setUsername(u);
+  const handleAuth = (data) => {
+    setAccessToken(data.token);
+    setToken(data.token);
+    setUsername(data.user?.username || null);
+    setOperator(Boolean(data.user?.operator));
+    setAdmin(data.user?.role === 'admin');
   };
 
-  const handleLogout = () => {
+  useEffect(() => {
+    // Signed out elsewhere or expired: back to the login screen
+    onSessionExpired(() => {
+      setToken(null);
+      setUsername(null);
+      setOperator(false);
+      setAdmin(false);
+    });
+
+    // Tokens used to be kept in localStorage; the sign-in now lives in the refresh cookie
     localStorage.removeItem('token');
     localStorage.removeItem('username');
+
+    refreshSession()
+      .then((data) => {
+        if (data) handleAuth(data);
+      })
+      .catch((err) => console.error('Error restoring sign-in:', err))
+      .finally(() => setRestoring(false));
+  }, []);
+
+  const handleLogout = async () => {
+    await logout();
     setToken(null);
     setUsername(null);
+    setOperator(false);
+    setAdmin(false);
   };
 
   return (
@@ -40,19 +67,31 @@ function App() {
           <h1>CYPHER</h1>
         </header>
         <main>
-          <Routes>
-            <Route path="/share/:token" element={<SharedChat />} />
-            <Route
-              path="/"
-              element={
-                !token ? (
-                  <Login onAuth={handleAuth} />
-                ) : (
-                  <Chat token={token} username={username} onLogout={handleLogout} />
-                )
-              }
-            />
-          </Routes>
+          {restoring ? (
+            <div className="empty-state">Loading...</div>
+          ) : (
+            <Routes>
+              <Route path="/share/:token" element={<SharedChat token={token} />} />
+              <Route
+                path="/"
+                element={
+                  !token ? (
+                    <Login onAuth={handleAuth} />
+                  ) : (
+                    <Chat token={token} username={username} operator={operator} admin={admin} onLogout={handleLogout} />
+                  )
+                }
+              />
+              <Route
+                path="/operator/feedback"
+                element={token && operator ? <FeedbackDashboard token={token} /> : <Navigate to="/" replace />}
+              />
+              <Route
+                path="/admin"
+                element={token && admin ? <AdminDashboard username={username} /> : <Navigate to="/" replace />}
+              />
+            </Routes>
+          )}
         </main>
       </div>
     </Router>
@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+
+// Types the server accepts (see server/lib/attachments.js)
+export const ACCEPTED_TYPES = 'image/png,image/jpeg,image/webp,image/gif,application/pdf,text/plain,text/markdown,text/csv,.md,.csv,.txt';
+
+// Browsers often leave the type of .md files empty
+const typeOf = (file) => file.type || (/\.md$/i.test(file.name) ? 'text/markdown' : 'text/plain');
+
+export const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Upload one file; resolves to { fileId, name, mimeType, size } or throws with the server's error
+export async function uploadAttachment(file) {
+  const headers = { 'Content-Type': typeOf(file) };
+  const res = await apiFetch(`/api/chat/attachments?name=${encodeURIComponent(file.name)}`, {
+    method: 'POST',
+    headers,
+    body: file
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `Upload failed (HTTP ${res.status})`);
+  return data;
+}
+
+// The download needs the auth header, so a plain <img src> or link to the API can't be used;
+// attachments are fetched as blobs and shown through object URLs instead
+async function fetchAttachment(fileId) {
+  const res = await apiFetch(`/api/chat/attachments/${fileId}`);
+  if (!res.ok) throw new Error(`Failed to load attachment (HTTP ${res.status})`);
+  return res.blob();
+}
+
+function useAttachmentUrl(fileId) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    fetchAttachment(fileId)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch((err) => console.error('Error loading attachment:', err));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [fileId]);
+
+  return url;
+}
+
+function ImageAttachment({ attachment }) {
+  const url = useAttachmentUrl(attachment.fileId);
+  return (
+    <a className="attachment-thumb" href={url || undefined} target="_blank" rel="noopener noreferrer" title={attachment.name}>
+      {url ? <img src={url} alt={attachment.name} /> : <span className="attachment-placeholder">Loading...</span>}
+    </a>
+  );
+}
+
+// Attachment in a message bubble: a thumbnail for images, a file chip for documents, which
+// are only downloaded when opened. Either opens the full file in a new tab.
+export function AttachmentPreview({ attachment }) {
+  if (attachment.mimeType.startsWith('image/')) return <ImageAttachment attachment={attachment} />;
+
+  const open = async () => {
+    try {
+      const url = URL.createObjectURL(await fetchAttachment(attachment.fileId));
+      window.open(url, '_blank', 'noopener');
+      // Give the new tab time to load the file before releasing it
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error('Error opening attachment:', err);
+      alert('Could not open the attachment');
+    }
+  };
+
+  return (
+    <button type="button" className="attachment-chip" onClick={open} title={`Open ${attachment.name}`}>
+      📄 {attachment.name} <span className="attachment-size">{formatSize(attachment.size || 0)}</span>
+    </button>
+  );
+}
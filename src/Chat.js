@@ -1,6 +1,52 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import SessionSettings from './SessionSettings';
+import Markdown from './Markdown';
+import SessionList, { sessionRole } from './SessionList';
+import SessionSearch from './SessionSearch';
+import ShareDialog from './ShareDialog';
+import ShareLinksPanel from './ShareLinksPanel';
+import UsageMeter from './UsageMeter';
+import KnowledgeBase from './KnowledgeBase';
+import Devices from './Devices';
+import TwoFactorSettings from './TwoFactorSettings';
+import Members from './Members';
+import { FeedbackButtons } from './Feedback';
+import PromptTemplates, { SlashCommandMenu, TemplateVariablesDialog, matchingTemplates } from './PromptTemplates';
+import { ACCEPTED_TYPES, AttachmentPreview, formatSize, uploadAttachment } from './Attachments';
+import { apiFetch, setAccessToken } from './auth';
+import { readSseEvents } from './sse';
+import useSessionEvents from './useSessionEvents';
 
-export default function Chat({ token, username, onLogout, sharedToken }) {
+// How the server-side tools (server/tools) are named in "tool used" steps
+const TOOL_LABELS = {
+  calculator: 'Calculator',
+  get_current_datetime: 'Date and time',
+  read_chat: 'Read another chat',
+  save_note: 'Save a note',
+  find_notes: 'Look up notes'
+};
+
+// Convert a stored ChatSession message into the shape the transcript renders
+const toChatMessage = (msg) => ({
+  id: msg._id,
+  role: msg.role === 'assistant' ? 'bot' : 'user',
+  text: msg.content,
+  ts: new Date(msg.timestamp).getTime(),
+  interrupted: Boolean(msg.interrupted),
+  model: msg.model,
+  attachments: msg.attachments || [],
+  sources: msg.sources || [],
+  toolSteps: msg.toolSteps || [],
+  siblingIds: msg.siblingIds || [],
+  authorName: msg.authorName,
+  feedback: msg.feedback || null
+});
+
+// Keep pinned chats on top, like the server's ordering
+const pinnedFirst = (list) => [...list.filter(s => s.pinned), ...list.filter(s => !s.pinned)];
+
+export default function Chat({ token, username, operator, admin, onLogout, sharedToken }) {
   const [sessions, setSessions] = useState([]);
   const [currentSession, setCurrentSession] = useState(null);
   const [messages, setMessages] = useState([]);
@@ -16,12 +62,36 @@ export default function Chat({ token, username, onLogout, sharedToken }) {
   const [cpSuccess, setCpSuccess] = useState(null);
   const [menuOpen, setMenuOpen] = useState(null); // Track which session menu is open
   const [sharedError, setSharedError] = useState(null);
+  const [settingsSession, setSettingsSession] = useState(null); // Session whose settings panel is open
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null); // Message opened from search
+  const [shareDialogSession, setShareDialogSession] = useState(null);
+  const [showShareLinks, setShowShareLinks] = useState(false);
+  const [showKnowledgeBase, setShowKnowledgeBase] = useState(false);
+  const [showDevices, setShowDevices] = useState(false);
+  const [showTwoFactor, setShowTwoFactor] = useState(false);
+  const [membersSession, setMembersSession] = useState(null); // Session whose members dialog is open
+  const [showTemplates, setShowTemplates] = useState(false);
+  // Prompt templates for the "/" picker, the highlighted entry and the template being filled in
+  const [templates, setTemplates] = useState([]);
+  const [slashIndex, setSlashIndex] = useState(0);
+  const [fillingTemplate, setFillingTemplate] = useState(null);
+  // Files attached to the message being written: { key, name, mimeType, size, previewUrl, fileId, uploading }
+  const [pendingAttachments, setPendingAttachments] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
 
   // Ref to scroll to the latest message
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
   const avatarRef = useRef(null);
   const menuRef = useRef(null);
+  // Aborts the in-flight message request when the user presses Stop
+  const abortControllerRef = useRef(null);
+  const importInputRef = useRef(null);
+  const attachInputRef = useRef(null);
+  // Share token already forked, so StrictMode's double effect run doesn't fork twice
+  const forkedShareRef = useRef(null);
+  const location = useLocation();
+  const navigate = useNavigate();
 
   // Effect to scroll to the bottom whenever messages change
   const scrollToBottom = () => {
@@ -34,22 +104,23 @@ export default function Chat({ token, username, onLogout, sharedToken }) {
       // Load shared session
       const loadSharedSession = async () => {
         try {
-          const response = await fetch(`/api/chat/share/${sharedToken}`)
+          const response = await apiFetch(`/api/chat/share/${sharedToken}`)
 
           if (response.ok) {
             const session = await response.json();
             setCurrentSession(session);
-            const formattedMessages = session.messages.map(msg => ({
-              role: msg.role === 'assistant' ? 'bot' : 'user',
-              text: msg.content,
-              ts: new Date(msg.timestamp).getTime()
-            }));
-            setMessages(formattedMessages);
+            setMessages(session.messages.map(toChatMessage));
             setSharedError(null);
           } else {
             const errorText = await response.text();
             console.error('Failed to load shared session', response.status, errorText);
-            setSharedError(`Failed to load shared chat: ${response.status} ${response.statusText}`);
+            let message = `Failed to load shared chat: ${response.status} ${response.statusText}`;
+            try {
+              message = JSON.parse(errorText).error || message;
+            } catch (parseErr) {
+              // Not JSON, keep the status text
+            }
+            setSharedError(message);
           }
         } catch (error) {
           console.error('Error loading shared session:', error);
@@ -62,11 +133,14 @@ export default function Chat({ token, username, onLogout, sharedToken }) {
       const loadSessions = async () => {
         try {
           const headers = { 'Content-Type': 'application/json' };
-          if (token) headers.Authorization = `Bearer ${token}`;
-          const response = await fetch('/api/chat/sessions', { headers });
+          const response = await apiFetch('/api/chat/sessions', { headers });
           if (response.ok) {
             const loadedSessions = await response.json();
-            setSessions(loadedSessions);
+            // Keep sessions created locally while the list was loading (e.g. a fork)
+            setSessions(prev => [
+              ...prev.filter(s => !loadedSessions.some(l => l._id === s._id)),
+              ...loadedSessions
+            ]);
           } else {
             console.error('Failed to load sessions', response.status);
           }
@@ -78,12 +152,90 @@ export default function Chat({ token, username, onLogout, sharedToken }) {
     }
   }, [token, sharedToken]);
 
+  // "Continue in my account" on a shared chat navigates here with the share token to fork;
+  // copy it into the user's account (after login if needed) and open the new session
+  useEffect(() => {
+    const forkShareToken = location.state?.forkShareToken;
+    if (sharedToken || !token || !forkShareToken || forkedShareRef.current === forkShareToken) return;
+    forkedShareRef.current = forkShareToken;
+    navigate(location.pathname, { replace: true, state: null });
+
+    const forkSharedChat = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch(`/api/chat/share/${forkShareToken}/fork`, { method: 'POST', headers });
+        const data = await response.json();
+        if (response.ok) {
+          setSessions(prev => [data, ...prev.filter(s => s._id !== data._id)]);
+          setCurrentSession(data);
+          setMessages(data.messages.map(toChatMessage));
+        } else {
+          alert(data.error || 'Failed to continue the shared chat');
+        }
+      } catch (error) {
+        console.error('Error forking shared chat:', error);
+        alert('Error continuing the shared chat');
+      }
+    };
+    forkSharedChat();
+  }, [location, navigate, token, sharedToken]);
+
+  // Load the prompt templates offered when typing "/" in the input
+  useEffect(() => {
+    if (!token || sharedToken) return;
+    const loadTemplates = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch('/api/chat/templates', { headers });
+        if (response.ok) {
+          setTemplates(await response.json());
+        } else {
+          console.error('Failed to load prompt templates', response.status);
+        }
+      } catch (error) {
+        console.error('Error loading prompt templates:', error);
+      }
+    };
+    loadTemplates();
+  }, [token, sharedToken]);
+
+  // Changes made in the user's other tabs and devices
+  useSessionEvents(Boolean(token) && !sharedToken, {
+    'session.created': ({ session }) => {
+      setSessions(prev => (prev.some(s => s._id === session._id) ? prev : pinnedFirst([session, ...prev])));
+    },
+    'session.updated': ({ session }) => {
+      setSessions(prev => pinnedFirst(prev.map(s => (s._id === session._id ? session : s))));
+      if (currentSession?._id !== session._id) return;
+      setCurrentSession(session);
+      // A branch switch elsewhere changes which messages are shown
+      if (!loading) setMessages(session.messages.map(toChatMessage));
+    },
+    'session.deleted': ({ sessionId }) => dropSession(sessionId),
+    'message.appended': ({ session }) => {
+      // Most recently active first, as the server lists them
+      setSessions(prev => pinnedFirst([session, ...prev.filter(s => s._id !== session._id)]));
+      if (currentSession?._id !== session._id) return;
+      setCurrentSession(session);
+      // Don't replace a reply this tab is still waiting for
+      if (!loading) setMessages(session.messages.map(toChatMessage));
+    },
+    reconnected: async () => {
+      try {
+        const response = await apiFetch('/api/chat/sessions');
+        if (response.ok) setSessions(await response.json());
+      } catch (error) {
+        console.error('Error reloading chat sessions:', error);
+      }
+      if (currentSession && !loading) loadSession(currentSession._id);
+    }
+  });
+
   // Create new chat session
   const createNewSession = async () => {
     try {
       const headers = { 'Content-Type': 'application/json' };
-      if (token) headers.Authorization = `Bearer ${token}`;
-      const response = await fetch('/api/chat/sessions', {
+      const response = await apiFetch('/api/chat/sessions', {
         method: 'POST',
         headers,
         body: JSON.stringify({ title: 'New Chat' })
@@ -102,21 +254,16 @@ export default function Chat({ token, username, onLogout, sharedToken }) {
     return null;
   };
 
-  // Load specific session
-  const loadSession = async (sessionId) => {
+  // Load specific session, optionally jumping to one of its messages (from search results)
+  const loadSession = async (sessionId, messageId = null) => {
     try {
       const headers = { 'Content-Type': 'application/json' };
-      if (token) headers.Authorization = `Bearer ${token}`;
-      const response = await fetch(`/api/chat/sessions/${sessionId}`, { headers });
+      const response = await apiFetch(`/api/chat/sessions/${sessionId}`, { headers });
       if (response.ok) {
         const session = await response.json();
         setCurrentSession(session);
-        const formattedMessages = session.messages.map(msg => ({
-          role: msg.role === 'assistant' ? 'bot' : 'user',
-          text: msg.content,
-          ts: new Date(msg.timestamp).getTime()
-        }));
-        setMessages(formattedMessages);
+        setMessages(session.messages.map(toChatMessage));
+        setHighlightedMessageId(messageId);
       }
     } catch (error) {
       console.error('Error loading session:', error);
@@ -124,8 +271,17 @@ export default function Chat({ token, username, onLogout, sharedToken }) {
   };
 
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    if (!highlightedMessageId) scrollToBottom();
+  }, [messages, highlightedMessageId]);
+
+  // Bring the message opened from search into view, and drop the highlight after a moment
+  useEffect(() => {
+    if (!highlightedMessageId) return undefined;
+    document.getElementById(`message-${highlightedMessageId}`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => setHighlightedMessageId(null), 4000);
+    return () => clearTimeout(timer);
+  }, [highlightedMessageId]);
 
   // Close profile menu when clicking outside
   useEffect(() => {
@@ -148,66 +304,249 @@ export default function Chat({ token, username, onLogout, sharedToken }) {
   }, [showProfileMenu, menuOpen]);
 
   // helper to append a message with timestamp
-  const pushMessage = (role, text) => {
-    const msg = { role, text, ts: Date.now() };
+  const pushMessage = (role, text, attachments = []) => {
+    const msg = { role, text, ts: Date.now(), attachments };
     setMessages((m) => [...m, msg]);
   };
 
-  async function sendMessage(e) {
+  // Grow the reply that is currently streaming in, starting a new bot bubble on the first chunk
+  const appendToReply = (text) => {
+    setMessages((m) => {
+      const last = m[m.length - 1];
+      if (last && last.role === 'bot' && last.streaming) {
+        return [...m.slice(0, -1), { ...last, text: last.text + text }];
+      }
+      return [...m, { role: 'bot', text, ts: Date.now(), streaming: true }];
+    });
+  };
+
+  // Record a tool the model called on the reply that is streaming in (it may not have any text yet)
+  const addToolStep = (step) => {
+    setMessages((m) => {
+      const last = m[m.length - 1];
+      if (last && last.role === 'bot' && last.streaming) {
+        return [...m.slice(0, -1), { ...last, toolSteps: [...(last.toolSteps || []), step] }];
+      }
+      return [...m, { role: 'bot', text: '', ts: Date.now(), streaming: true, toolSteps: [step] }];
+    });
+  };
+
+  // Mark the streaming reply as complete, replacing its text with the server's final copy if given
+  const finishReply = (finalText, interrupted = false) => {
+    setMessages((m) => m.map((msg) => (
+      msg.streaming ? { ...msg, text: finalText ?? msg.text, streaming: false, interrupted } : msg
+    )));
+  };
+
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  const formatError = (errorData) => (
+    `${errorData.error}${errorData.hint ? ' — ' + errorData.hint : ''}`
+  );
+
+  // Upload dropped, pasted or picked files right away so they are ready when the message is sent
+  const addAttachments = (files) => {
+    Array.from(files).forEach(async (file) => {
+      const key = `${Date.now()}-${Math.random()}`;
+      const previewUrl = file.type.startsWith('image/') ? URL.createObjectURL(file) : null;
+      setPendingAttachments((list) => [...list, { key, name: file.name, mimeType: file.type, size: file.size, previewUrl, uploading: true }]);
+      try {
+        const uploaded = await uploadAttachment(file);
+        setPendingAttachments((list) => list.map(a => (a.key === key ? { ...a, ...uploaded, uploading: false } : a)));
+      } catch (err) {
+        console.error('Error uploading attachment:', err);
+        removeAttachment(key);
+        alert(`${file.name}: ${err.message}`);
+      }
+    });
+  };
+
+  const removeAttachment = (key) => {
+    setPendingAttachments((list) => {
+      const removed = list.find(a => a.key === key);
+      if (removed?.previewUrl) URL.revokeObjectURL(removed.previewUrl);
+      return list.filter(a => a.key !== key);
+    });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (e.dataTransfer.files.length) addAttachments(e.dataTransfer.files);
+  };
+
+  const handlePaste = (e) => {
+    if (e.clipboardData.files.length) {
+      e.preventDefault();
+      addAttachments(e.clipboardData.files);
+    }
+  };
+
+  const uploadingAttachments = pendingAttachments.some(a => a.uploading);
+
+  const slashMatches = matchingTemplates(templates, input);
+
+  // Pick a template from the "/" menu: it is sent from its dialog once the variables are filled in
+  const pickTemplate = (template) => {
+    setInput('');
+    setSlashIndex(0);
+    setFillingTemplate(template);
+  };
+
+  // Arrow keys, Enter / Tab and Escape drive the "/" menu while it is open
+  const handleInputKeyDown = (e) => {
+    if (slashMatches.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSlashIndex(i => (i + step + slashMatches.length) % slashMatches.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      pickTemplate(slashMatches[Math.min(slashIndex, slashMatches.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setInput('');
+    }
+  };
+
+  // `text` overrides the input, e.g. for a filled-in prompt template
+  async function sendMessage(e, text = input) {
     if (e) e.preventDefault();
-    const messageToSend = input.trim();
-    if (!messageToSend || loading) return;
+    const messageToSend = text.trim();
+    if (!messageToSend || loading || uploadingAttachments) return;
 
     setLoading(true);
     let session = currentSession;
 
-    try {
-      // If no current session, create one first
+    // If no current session, create one first
+    if (!session) {
+      session = await createNewSession();
       if (!session) {
-        session = await createNewSession();
-        if (!session) {
-          throw new Error('Failed to create new session');
-        }
+        console.error('Error in sendMessage: Failed to create new session');
+        pushMessage('bot', 'Error: Failed to send message. Please try again.');
+        setLoading(false);
+        return;
       }
+    }
 
-      // append user message and clear input
-      pushMessage('user', messageToSend);
-      setInput('');
+    const attachments = pendingAttachments.map(({ fileId, name, mimeType, size }) => ({ fileId, name, mimeType, size }));
+    pendingAttachments.forEach(a => a.previewUrl && URL.revokeObjectURL(a.previewUrl));
+    setPendingAttachments([]);
+    setInput('');
+    await streamTurn(
+      session,
+      { input: messageToSend, ...(attachments.length ? { attachmentIds: attachments.map(a => a.fileId) } : {}) },
+      session === currentSession ? messages.length : 0,
+      messageToSend,
+      attachments
+    );
+  }
+
+  // Send an edited version of an earlier user message; the server keeps the original as a sibling
+  const editMessage = (index) => {
+    const msg = messages[index];
+    const text = window.prompt('Edit message', msg.text);
+    if (text === null || !text.trim() || text.trim() === msg.text) return;
+    streamTurn(currentSession, { input: text.trim(), editOf: msg.id }, index, text.trim(), msg.attachments);
+  };
+
+  // Ask for another reply to the same user message
+  const regenerateReply = (index) => {
+    streamTurn(currentSession, { regenerate: messages[index].id }, index, null);
+  };
+
+  // Show the previous (-1) or next (+1) version of a message and the conversation below it
+  const switchBranch = async (msg, offset) => {
+    const position = msg.siblingIds.indexOf(msg.id);
+    const target = msg.siblingIds[position + offset];
+    if (!target || loading) return;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const res = await apiFetch(`/api/chat/sessions/${currentSession._id}/branch`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ messageId: target })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        setMessages(data.messages.map(toChatMessage));
+      } else {
+        alert(data.error || 'Failed to switch version');
+      }
+    } catch (err) {
+      console.error('Error switching branch:', err);
+      alert('Network error');
+    }
+  };
 
+  // Stream one turn into the transcript. Messages after the first `keep` are dropped from view
+  // (an edit or regeneration starts a new branch there), `userText` and its attachments are shown
+  // as the new user message unless regenerating, and the `done` event swaps in the branch as the
+  // server saved it.
+  async function streamTurn(session, body, keep, userText, userAttachments = []) {
+    setLoading(true);
+    setMessages((m) => m.slice(0, keep));
+    if (userText) pushMessage('user', userText, userAttachments);
+
+    try {
       const headers = { 'Content-Type': 'application/json' };
-      if (token) headers.Authorization = `Bearer ${token}`;
-      const res = await fetch(`/api/chat/sessions/${session._id}/messages`, {
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+      const res = await apiFetch(`/api/chat/sessions/${session._id}/messages/stream`, {
         method: 'POST',
         headers,
-        body: JSON.stringify({ input: messageToSend }),
+        body: JSON.stringify(body),
+        signal: controller.signal,
       });
 
-      const rawBody = await res.text();
-      let finalReply;
-
-      if (!res.ok) {
+      if (!res.ok || !res.body) {
+        const rawBody = await res.text();
+        let finalReply;
         try {
           const errorData = JSON.parse(rawBody);
           finalReply = errorData.error
-            ? `${errorData.error}${errorData.hint ? ' — ' + errorData.hint : ''}`
+            ? formatError(errorData)
             : `Server Error ${res.status}: ${rawBody}`;
         } catch (parseErr) {
           finalReply = `Server returned HTTP ${res.status}: ${rawBody || 'No response body'}`;
         }
-      } else {
-        try {
-          const data = JSON.parse(rawBody);
-          finalReply = data.reply || 'No text reply found in the response.';
-        } catch (parseErr) {
-          finalReply = `Successful but unparseable response: ${rawBody}`;
-        }
+        pushMessage('bot', finalReply);
+        return;
       }
 
-      pushMessage('bot', finalReply);
+      // Read the Server-Sent Events stream and grow the bot bubble as chunks arrive
+      let finished = false;
+      await readSseEvents(res, (event, data) => {
+        if (event === 'chunk') {
+          appendToReply(data.text);
+        } else if (event === 'tool') {
+          addToolStep(data);
+        } else if (event === 'done') {
+          if (data.messages) setMessages(data.messages.map(toChatMessage));
+          else finishReply(data.reply);
+          finished = true;
+        } else if (event === 'error') {
+          finishReply(null);
+          pushMessage('bot', formatError(data));
+          finished = true;
+        }
+      });
+      if (!finished) {
+        finishReply(null);
+        pushMessage('bot', 'Error: The response stream ended unexpectedly.');
+      }
     } catch (error) {
-      console.error('Error in sendMessage:', error);
-      pushMessage('bot', 'Error: Failed to send message. Please try again.');
+      if (error.name === 'AbortError') {
+        // Stopped by the user: keep whatever arrived. The server saves it flagged as interrupted
+        // and sends this tab the saved branch (with message ids) as message.appended
+        finishReply(null, true);
+      } else {
+        console.error('Error in streamTurn:', error);
+        pushMessage('bot', 'Error: Failed to send message. Please try again.');
+      }
     } finally {
+      abortControllerRef.current = null;
       setLoading(false);
       inputRef.current?.focus();
     }
@@ -218,45 +557,106 @@ export default function Chat({ token, username, onLogout, sharedToken }) {
     return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
-const shareSession = async (session) => {
-  try {
-    const headers = { 'Content-Type': 'application/json' };
-    if (token) headers.Authorization = `Bearer ${token}`;
-    const response = await fetch(`/api/chat/sessions/${session._id}/share`, {
-      method: 'POST',
-      headers,
-    });
-    if (response.ok) {
+  const shareSession = (session) => {
+    setShareDialogSession(session);
+    setMenuOpen(null);
+  };
+
+  // Rename, pin, move or tag a session
+  const updateSession = async (session, changes) => {
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(`/api/chat/sessions/${session._id}`, {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify(changes),
+      });
       const data = await response.json();
-      const shareUrl = data.shareUrl;
-      await navigator.clipboard.writeText(shareUrl);
-      alert('Share link copied to clipboard!');
-    } else {
-      console.error('Failed to generate share link', response.status);
-      alert('Failed to generate share link');
+      if (response.ok) {
+        setSessions(prev => pinnedFirst(prev.map(s => (s._id === data._id ? data : s))));
+        if (currentSession?._id === data._id) setCurrentSession(data);
+      } else {
+        console.error('Failed to update session', response.status);
+        alert(data.error || 'Failed to update session');
+      }
+    } catch (error) {
+      console.error('Error updating session:', error);
+      alert('Error updating session');
     }
-  } catch (err) {
-    console.error('Failed to share session:', err);
-    alert('Failed to share session');
-  }
-  setMenuOpen(null);
-};
+  };
+
+  // Download an authenticated export, using the file name the server suggests
+  const downloadFile = async (url, fallbackName) => {
+    try {
+      const response = await apiFetch(url);
+      if (!response.ok) {
+        console.error('Export failed', response.status);
+        alert('Failed to export');
+        return;
+      }
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const fileName = disposition.match(/filename="?([^";]+)"?/)?.[1] || fallbackName;
+      const objectUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+      console.error('Error exporting:', error);
+      alert('Error exporting');
+    }
+  };
+
+  const exportSession = (session, format) => {
+    setMenuOpen(null);
+    downloadFile(`/api/chat/sessions/${session._id}/export?format=${format}`, `chat.${format}`);
+  };
+
+  // Import chats from one of our JSON exports or a ChatGPT conversations.json
+  const importChats = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch('/api/chat/import', {
+        method: 'POST',
+        headers,
+        body: await file.text(),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSessions(prev => [...data.sessions, ...prev]);
+        alert(`Imported ${data.imported} chat${data.imported === 1 ? '' : 's'}`);
+      } else {
+        alert(data.error || 'Failed to import chats');
+      }
+    } catch (error) {
+      console.error('Error importing chats:', error);
+      alert('Error importing chats. Make sure the file is valid JSON.');
+    }
+  };
+
+  // Take a deleted or left session out of the sidebar (and the transcript, if it is open)
+  const dropSession = (sessionId) => {
+    setSessions(prev => prev.filter(s => s._id !== sessionId));
+    if (currentSession?._id === sessionId) {
+      setCurrentSession(null);
+      setMessages([]);
+    }
+  };
 
   // Delete session
   const deleteSession = async (sessionId) => {
     try {
       const headers = { 'Content-Type': 'application/json' };
-      if (token) headers.Authorization = `Bearer ${token}`;
-      const response = await fetch(`/api/chat/sessions/${sessionId}`, {
+      const response = await apiFetch(`/api/chat/sessions/${sessionId}`, {
         method: 'DELETE',
         headers,
       });
       if (response.ok) {
-        setSessions(prev => prev.filter(s => s._id !== sessionId));
-        if (currentSession?._id === sessionId) {
-          setCurrentSession(null);
-          setMessages([]);
-        }
+        dropSession(sessionId);
       } else {
         console.error('Failed to delete session', response.status);
         alert('Failed to delete session');
@@ -268,6 +668,12 @@ const shareSession = async (session) => {
     setMenuOpen(null);
   };
 
+  // Viewers of a chat someone shared with them can read it but not write in it
+  const canWrite = sessionRole(currentSession) !== 'viewer';
+
+  // User messages show who wrote them, which matters in chats with several members
+  const authorLabel = (msg) => (!msg.authorName || msg.authorName === username ? 'You' : msg.authorName);
+
   return (
     <div className="chat-container" role="region" aria-label="AI chat">
       {!sharedToken && (
@@ -280,37 +686,42 @@ const shareSession = async (session) => {
             >
               New Chat
             </button>
-            <div className="sessions-list">
-              {sessions.map(session => (
-                <div key={session._id} className="session-item-container">
-                  <button
-                    className={`session-item ${currentSession?._id === session._id ? 'active' : ''}`}
-                    onClick={() => loadSession(session._id)}
-                  >
-                    {session.title}
-                  </button>
-                  <button
-                    className="session-menu-button"
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setMenuOpen(menuOpen === session._id ? null : session._id);
-                    }}
-                    aria-label="Session options"
-                  >
-                    ⋮
-                  </button>
-                  {menuOpen === session._id && (
-                    <div className="session-menu">
-                      <button onClick={() => shareSession(session)}>Share</button>
-                      <button onClick={() => deleteSession(session._id)}>Delete</button>
+            <SessionSearch token={token} onOpen={loadSession}>
+              <SessionList
+                sessions={sessions}
+                activeId={currentSession?._id}
+                menuOpen={menuOpen}
+                setMenuOpen={setMenuOpen}
+                onSelect={loadSession}
+                onUpdate={updateSession}
+                menuItems={(session) => (
+                  <>
+                    {sessionRole(session) !== 'viewer' && (
+                      <button onClick={() => { setSettingsSession(session); setMenuOpen(null); }}>Settings</button>
+                    )}
+                    {sessionRole(session) === 'owner' && <button onClick={() => shareSession(session)}>Share</button>}
+                    <button onClick={() => { setMembersSession(session); setMenuOpen(null); }}>Members</button>
+                    <div className="session-menu-row">
+                      <span>Export</span>
+                      <button onClick={() => exportSession(session, 'md')}>MD</button>
+                      <button onClick={() => exportSession(session, 'json')}>JSON</button>
+                      <button onClick={() => exportSession(session, 'html')}>HTML</button>
                     </div>
-                  )}
-                </div>
-              ))}
-            </div>
+                    {sessionRole(session) === 'owner' && <button onClick={() => deleteSession(session._id)}>Delete</button>}
+                  </>
+                )}
+              />
+            </SessionSearch>
           </div>
 
           <div className="sidebar-footer">
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={importChats}
+              style={{ display: 'none' }}
+            />
             {username && (
               <div style={{ position: 'relative' }}>
                 <button
@@ -326,7 +737,21 @@ const shareSession = async (session) => {
 
                 {showProfileMenu && (
                   <div ref={menuRef} className="profile-menu" role="menu" aria-label="Profile menu">
+                    <UsageMeter token={token} />
                     <button className="profile-menu-item" onClick={() => { setShowChangePassword(true); setShowProfileMenu(false); }}>Change password</button>
+                    <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); setShowShareLinks(true); }}>Manage shared links</button>
+                    <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); setShowKnowledgeBase(true); }}>Knowledge base</button>
+                    <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); setShowTemplates(true); }}>Prompt templates</button>
+                    <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); setShowTwoFactor(true); }}>Two-factor authentication</button>
+                    <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); setShowDevices(true); }}>Devices</button>
+                    {operator && (
+                      <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); navigate('/operator/feedback'); }}>Feedback review</button>
+                    )}
+                    {admin && (
+                      <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); navigate('/admin'); }}>Admin</button>
+                    )}
+                    <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); downloadFile('/api/chat/export', 'chats.zip'); }}>Export all chats</button>
+                    <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); importInputRef.current?.click(); }}>Import chats</button>
                     <button className="profile-menu-item" onClick={() => { setShowProfileMenu(false); onLogout && onLogout(); }}>Log out</button>
                   </div>
                 )}
@@ -339,7 +764,17 @@ const shareSession = async (session) => {
         {sharedToken && currentSession && (
           <div className="shared-chat-header">
             <h2>{currentSession.title}</h2>
-            <p>Shared Chat</p>
+            <p>
+              {currentSession.mode === 'live'
+                ? 'Shared Chat (live)'
+                : `Shared Chat · snapshot from ${new Date(currentSession.sharedAt).toLocaleString()}`}
+            </p>
+            <button
+              className="continue-chat-button"
+              onClick={() => navigate('/', { state: { forkShareToken: sharedToken } })}
+            >
+              {token ? 'Continue in my account' : 'Log in to continue this chat'}
+            </button>
           </div>
         )}
         <div className="messages-area" aria-live="polite">
@@ -352,21 +787,89 @@ const shareSession = async (session) => {
           ) : null}
 
           {messages.map((msg, i) => (
-            <div key={i} className={`message-row ${msg.role}`}>
-              <div className="avatar" aria-hidden>
-                {msg.role === 'user' ? 'You' : 'AI'}
+            <div
+              key={msg.id || i}
+              id={msg.id ? `message-${msg.id}` : undefined}
+              className={`message-row ${msg.role} ${msg.id && msg.id === highlightedMessageId ? 'highlighted' : ''}`}
+            >
+              <div className="avatar" aria-hidden title={msg.role === 'user' ? authorLabel(msg) : undefined}>
+                {msg.role === 'user' ? authorLabel(msg).slice(0, 3) : 'AI'}
               </div>
               <div className="message-bubble">
-                <div className="message-text">{msg.text}</div>
+                {msg.attachments?.length > 0 && (
+                  <div className="message-attachments">
+                    {msg.attachments.map(attachment => (
+                      <AttachmentPreview key={attachment.fileId} attachment={attachment} />
+                    ))}
+                  </div>
+                )}
+                {msg.toolSteps?.length > 0 && (
+                  <div className="tool-steps">
+                    {msg.toolSteps.map((step, j) => (
+                      <details key={j} className="tool-step">
+                        <summary>
+                          Tool used: {TOOL_LABELS[step.name] || step.name}
+                          {step.result?.error ? ' (failed)' : ''}
+                        </summary>
+                        <pre>{JSON.stringify({ input: step.args, output: step.result }, null, 2)}</pre>
+                      </details>
+                    ))}
+                  </div>
+                )}
+                {msg.role === 'bot'
+                  ? <Markdown text={msg.text} />
+                  : <div className="message-text">{msg.text}</div>}
+                {msg.sources?.length > 0 && (
+                  <ol className="message-sources" aria-label="Sources">
+                    {msg.sources.map(source => (
+                      <li key={source.n} value={source.n} title={source.excerpt}>
+                        {source.name}{source.page ? `, p. ${source.page}` : ''}
+                      </li>
+                    ))}
+                  </ol>
+                )}
                 <div className="message-meta">
-                  <span className="role-label">{msg.role === 'user' ? 'You' : 'Bot'}</span>
+                  <span className="role-label">{msg.role === 'user' ? authorLabel(msg) : 'Bot'}</span>
+                  {msg.model && <span className="model-label" title="Model that wrote this reply">{msg.model}</span>}
+                  {msg.interrupted && <span className="interrupted-label">Stopped</span>}
                   <time className="ts">{formatTime(msg.ts)}</time>
+                  {msg.siblingIds?.length > 1 && (
+                    <span className="branch-nav">
+                      <button
+                        onClick={() => switchBranch(msg, -1)}
+                        disabled={loading || !canWrite || msg.siblingIds.indexOf(msg.id) === 0}
+                        aria-label="Previous version"
+                      >
+                        ‹
+                      </button>
+                      {msg.siblingIds.indexOf(msg.id) + 1}/{msg.siblingIds.length}
+                      <button
+                        onClick={() => switchBranch(msg, 1)}
+                        disabled={loading || !canWrite || msg.siblingIds.indexOf(msg.id) === msg.siblingIds.length - 1}
+                        aria-label="Next version"
+                      >
+                        ›
+                      </button>
+                    </span>
+                  )}
+                  {msg.id && !sharedToken && !loading && canWrite && (
+                    msg.role === 'user'
+                      ? <button className="message-action" onClick={() => editMessage(i)}>Edit</button>
+                      : <button className="message-action" onClick={() => regenerateReply(i)}>Regenerate</button>
+                  )}
+                  {msg.id && msg.role === 'bot' && !sharedToken && canWrite && (
+                    <FeedbackButtons
+                      sessionId={currentSession._id}
+                      message={msg}
+                      onRated={(feedback) => setMessages(prev => prev.map(m => (m.id === msg.id ? { ...m, feedback } : m)))}
+                    />
+                  )}
                 </div>
               </div>
             </div>
           ))}
 
-          {loading && (
+          {loading && !messages[messages.length - 1]?.streaming && (
             <div className="message-row bot loading">
               <div className="avatar" aria-hidden>AI</div>
               <div className="message-bubble">
@@ -380,22 +883,133 @@ const shareSession = async (session) => {
           <div ref={messagesEndRef} />
         </div>
 
-        {sharedToken ? null : (
-          <form onSubmit={sendMessage} className="input-row" aria-label="Send message">
+        {sharedToken ? null : !canWrite ? (
+          <div className="view-only-note">You can view this chat but not send messages in it.</div>
+        ) : (
+          <form
+            onSubmit={sendMessage}
+            className={`input-row ${dragActive ? 'drag-active' : ''}`}
+            aria-label="Send message"
+            onDragOver={(e) => { e.preventDefault(); setDragActive(true); }}
+            onDragLeave={() => setDragActive(false)}
+            onDrop={handleDrop}
+          >
+            {pendingAttachments.length > 0 && (
+              <div className="pending-attachments">
+                {pendingAttachments.map(a => (
+                  <div key={a.key} className={`pending-attachment ${a.uploading ? 'uploading' : ''}`}>
+                    {a.previewUrl ? <img src={a.previewUrl} alt="" /> : <span aria-hidden>📄</span>}
+                    <span className="pending-attachment-name" title={a.name}>{a.name}</span>
+                    <span className="attachment-size">{a.uploading ? 'Uploading...' : formatSize(a.size)}</span>
+                    <button type="button" onClick={() => removeAttachment(a.key)} aria-label={`Remove ${a.name}`}>×</button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <input
+              ref={attachInputRef}
+              type="file"
+              accept={ACCEPTED_TYPES}
+              multiple
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                addAttachments(e.target.files);
+                e.target.value = '';
+              }}
+            />
+            {slashMatches.length > 0 && !loading && (
+              <SlashCommandMenu
+                templates={slashMatches}
+                activeIndex={Math.min(slashIndex, slashMatches.length - 1)}
+                onPick={pickTemplate}
+              />
+            )}
+            <button
+              type="button"
+              className="attach-button"
+              onClick={() => attachInputRef.current?.click()}
+              disabled={loading}
+              aria-label="Attach files"
+              title="Attach images, PDFs or text files (or drop / paste them here)"
+            >
+              📎
+            </button>
             <input
               ref={inputRef}
               value={input}
-              onChange={(e) => setInput(e.target.value)}
-              placeholder={loading ? 'Waiting for response...' : 'Type a message and press Enter'}
+              onChange={(e) => { setInput(e.target.value); setSlashIndex(0); }}
+              onKeyDown={handleInputKeyDown}
+              onPaste={handlePaste}
+              placeholder={loading ? 'Waiting for response...' : 'Type a message, or / for a prompt template'}
               disabled={loading}
               aria-label="Chat input"
               autoFocus
             />
-            <button type="submit" disabled={loading || !input.trim()} aria-label="Send">
-              {loading ? 'Sending...' : 'Send'}
-            </button>
+            {loading ? (
+              <button type="button" className="stop-button" onClick={stopGeneration} aria-label="Stop generating">
+                Stop
+              </button>
+            ) : (
+              <button type="submit" disabled={!input.trim() || uploadingAttachments} aria-label="Send">
+                Send
+              </button>
+            )}
           </form>
         )}
+        {settingsSession && (
+          <SessionSettings
+            session={settingsSession}
+            token={token}
+            onClose={() => setSettingsSession(null)}
+            onSaved={(updated) => {
+              setSessions(prev => prev.map(s => (s._id === updated._id ? updated : s)));
+              if (currentSession?._id === updated._id) setCurrentSession(updated);
+            }}
+          />
+        )}
+        {shareDialogSession && (
+          <ShareDialog session={shareDialogSession} token={token} onClose={() => setShareDialogSession(null)} />
+        )}
+        {showShareLinks && (
+          <ShareLinksPanel token={token} onClose={() => setShowShareLinks(false)} />
+        )}
+        {showTwoFactor && (
+          <TwoFactorSettings token={token} onClose={() => setShowTwoFactor(false)} />
+        )}
+        {membersSession && (
+          <Members
+            session={membersSession}
+            token={token}
+            username={username}
+            onClose={() => setMembersSession(null)}
+            onLeft={(sessionId) => {
+              setMembersSession(null);
+              dropSession(sessionId);
+            }}
+          />
+        )}
+        {showDevices && (
+          <Devices token={token} onClose={() => setShowDevices(false)} onSignedOut={() => onLogout && onLogout()} />
+        )}
+        {showKnowledgeBase && (
+          <KnowledgeBase token={token} onClose={() => setShowKnowledgeBase(false)} />
+        )}
+        {showTemplates && (
+          <PromptTemplates token={token} onClose={() => setShowTemplates(false)} onChanged={setTemplates} />
+        )}
+        {fillingTemplate && (
+          <TemplateVariablesDialog
+            template={fillingTemplate}
+            onClose={() => {
+              setFillingTemplate(null);
+              inputRef.current?.focus();
+            }}
+            onSend={(text) => {
+              setFillingTemplate(null);
+              sendMessage(null, text);
+            }}
+          />
+        )}
         {showChangePassword && (
           <div className="modal-overlay" role="dialog" aria-modal="true">
             <div className="change-password-modal">
@@ -417,8 +1031,7 @@ const shareSession = async (session) => {
                 setCpLoading(true);
                 try {
                   const headers = { 'Content-Type': 'application/json' };
-                  if (token) headers.Authorization = `Bearer ${token}`;
-                  const res = await fetch('/api/auth/change-password', {
+                  const res = await apiFetch('/api/auth/change-password', {
                     method: 'POST', headers, body: JSON.stringify({ oldPassword, newPassword })
                   });
                   const data = await res.json();
@@ -426,6 +1039,8 @@ const shareSession = async (session) => {
                     setCpError(data.error || 'Failed to change password');
                   } else {
                     setCpSuccess('Password changed successfully');
+                    // Older tokens are revoked by the change, switch to the one issued with it
+                    if (data.token) setAccessToken(data.token);
                     setOldPassword(''); setNewPassword(''); setConfirmPassword('');
                     // auto-close after short delay
                     setTimeout(() => setShowChangePassword(false), 900);
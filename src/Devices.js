@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+
+// "Chrome on Windows"-style label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+// "Devices": where the user is signed in, with sign-out per device or everywhere
+export default function Devices({ token, onClose, onSignedOut }) {
+  const [devices, setDevices] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadDevices = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch('/api/auth/sessions', { headers });
+        const data = await response.json();
+        if (response.ok) {
+          setDevices(data);
+        } else {
+          setError(data.error || 'Failed to load devices');
+        }
+      } catch (err) {
+        setError('Network error');
+      }
+    };
+    loadDevices();
+  }, [token]);
+
+  const signOut = async (device) => {
+    if (!device.current && !window.confirm(`Sign out ${describeDevice(device.userAgent)}?`)) return;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(`/api/auth/sessions/${device.id}`, { method: 'DELETE', headers });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to sign out device');
+      } else if (device.current) {
+        onSignedOut();
+      } else {
+        setDevices(prev => prev.filter(d => d.id !== device.id));
+      }
+    } catch (err) {
+      console.error('Error signing out device:', err);
+      alert('Error signing out device');
+    }
+  };
+
+  const signOutEverywhere = async () => {
+    if (!window.confirm('Sign out of all devices, including this one?')) return;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch('/api/auth/logout-all', { method: 'POST', headers });
+      const data = await response.json();
+      if (response.ok) {
+        onSignedOut();
+      } else {
+        alert(data.error || 'Failed to sign out of all devices');
+      }
+    } catch (err) {
+      console.error('Error signing out of all devices:', err);
+      alert('Error signing out of all devices');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="settings-modal share-links-panel">
+        <h3>Devices</h3>
+        {error && <div className="auth-error">{error}</div>}
+        {!devices && !error && <div className="empty-state">Loading...</div>}
+        {devices && (
+          <ul className="share-link-list">
+            {devices.map(device => (
+              <li key={device.id}>
+                <div className="share-link-title">
+                  {describeDevice(device.userAgent)}
+                  {device.current && <span className="current-device">This device</span>}
+                </div>
+                <div className="share-link-meta">
+                  {device.ip ? `${device.ip} · ` : ''}
+                  last active {new Date(device.lastUsedAt).toLocaleString()}
+                  {' '}· signed in {new Date(device.createdAt).toLocaleDateString()}
+                </div>
+                <div className="share-link-actions">
+                  <button type="button" onClick={() => signOut(device)}>Sign out</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <button type="button" onClick={signOutEverywhere} disabled={!devices}>Sign out of all devices</button>
+          <button type="button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { apiFetch } from './auth';
+
+export const FEEDBACK_CATEGORIES = [
+  { value: 'wrong', label: 'Wrong' },
+  { value: 'unsafe', label: 'Unsafe' },
+  { value: 'unhelpful', label: 'Unhelpful' }
+];
+
+// Thumbs up / down on an assistant reply. Thumbs down asks what was wrong (optional category
+// and comment); clicking the active thumb again removes the rating. `onRated(feedback)` gets
+// the stored feedback, or null.
+export function FeedbackButtons({ sessionId, message, onRated }) {
+  const [askingDetails, setAskingDetails] = useState(false);
+  const [category, setCategory] = useState('');
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const rating = message.feedback?.rating;
+
+  const save = async (body) => {
+    setSaving(true);
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(`/api/chat/sessions/${sessionId}/messages/${message.id}/feedback`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (response.ok) {
+        onRated(data.feedback);
+        return true;
+      }
+      alert(data.error || 'Failed to save feedback');
+    } catch (error) {
+      console.error('Error saving feedback:', error);
+      alert('Error saving feedback');
+    } finally {
+      setSaving(false);
+    }
+    return false;
+  };
+
+  const thumbsDown = () => {
+    if (rating === 'down') {
+      save({ rating: null });
+      return;
+    }
+    setCategory('');
+    setComment('');
+    setAskingDetails(true);
+  };
+
+  const submitDetails = async (e) => {
+    e.preventDefault();
+    if (await save({ rating: 'down', category: category || null, comment })) setAskingDetails(false);
+  };
+
+  return (
+    <>
+      <span className="feedback-buttons">
+        <button
+          className={`message-action ${rating === 'up' ? 'active' : ''}`}
+          onClick={() => save({ rating: rating === 'up' ? null : 'up' })}
+          disabled={saving}
+          aria-pressed={rating === 'up'}
+          aria-label="Good reply"
+          title="Good reply"
+        >
+          👍
+        </button>
+        <button
+          className={`message-action ${rating === 'down' ? 'active' : ''}`}
+          onClick={thumbsDown}
+          disabled={saving}
+          aria-pressed={rating === 'down'}
+          aria-label="Bad reply"
+          title={message.feedback?.comment || 'Bad reply'}
+        >
+          👎
+        </button>
+      </span>
+      {askingDetails && (
+        <div className="modal-overlay" role="dialog" aria-modal="true">
+          <form className="settings-modal feedback-dialog" onSubmit={submitDetails}>
+            <h3>What was wrong with this reply?</h3>
+            <div className="feedback-categories" role="radiogroup" aria-label="Category">
+              {FEEDBACK_CATEGORIES.map(option => (
+                <label key={option.value} className="settings-checkbox">
+                  <input
+                    type="radio"
+                    name="feedback-category"
+                    value={option.value}
+                    checked={category === option.value}
+                    onChange={() => setCategory(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            <label>
+              Comment (optional)
+              <textarea value={comment} onChange={(e) => setComment(e.target.value)} rows={3} maxLength={1000} />
+            </label>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button type="submit" disabled={saving}>{saving ? 'Sending...' : 'Send feedback'}</button>
+              <button type="button" onClick={() => setAskingDetails(false)}>Cancel</button>
+            </div>
+          </form>
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { apiFetch } from './auth';
+import { FEEDBACK_CATEGORIES } from './Feedback';
+
+const categoryLabel = (value) => FEEDBACK_CATEGORIES.find(c => c.value === value)?.label || 'No category';
+
+// Operator page (/operator/feedback): rated replies, thumbs down first, with the prompt they
+// answered, the model that wrote them and the chat's settings when they were rated
+export default function FeedbackDashboard({ token }) {
+  const [rating, setRating] = useState('down');
+  const [category, setCategory] = useState('');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadFeedback = async () => {
+      setError(null);
+      try {
+        const params = new URLSearchParams({ rating });
+        if (category) params.set('category', category);
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch(`/api/operator/feedback?${params}`, { headers });
+        const body = await response.json();
+        if (response.ok) {
+          setData(body);
+        } else {
+          setError(body.error || 'Failed to load feedback');
+        }
+      } catch (err) {
+        setError('Network error');
+      }
+    };
+    loadFeedback();
+  }, [token, rating, category]);
+
+  return (
+    <div className="operator-page">
+      <div className="operator-header">
+        <h2>Feedback review</h2>
+        <Link to="/">Back to chat</Link>
+      </div>
+
+      {data && (
+        <div className="feedback-counts">
+          <span>👍 {data.counts.up}</span>
+          <span>👎 {data.counts.down}</span>
+          {FEEDBACK_CATEGORIES.map(c => (
+            <span key={c.value}>{c.label}: {data.counts.byCategory[c.value]}</span>
+          ))}
+          <span>No category: {data.counts.byCategory.none}</span>
+        </div>
+      )}
+
+      <div className="feedback-filters">
+        <label>
+          Rating
+          <select value={rating} onChange={(e) => { setRating(e.target.value); setCategory(''); }}>
+            <option value="down">Thumbs down</option>
+            <option value="up">Thumbs up</option>
+          </select>
+        </label>
+        {rating === 'down' && (
+          <label>
+            Category
+            <select value={category} onChange={(e) => setCategory(e.target.value)}>
+              <option value="">All</option>
+              {FEEDBACK_CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+            </select>
+          </label>
+        )}
+      </div>
+
+      {error && <div className="auth-error">{error}</div>}
+      {!data && !error && <div className="empty-state">Loading...</div>}
+      {data && data.items.length === 0 && <div className="empty-state">No rated replies yet</div>}
+      {data && (
+        <ul className="feedback-list">
+          {data.items.map(item => (
+            <li key={item.messageId}>
+              <div className="feedback-item-header">
+                <strong>{item.sessionTitle}</strong>
+                {item.rating === 'down' && <span className="feedback-category">{categoryLabel(item.category)}</span>}
+                <span className="share-link-meta">
+                  {item.ratedBy ? `${item.ratedBy} · ` : ''}{new Date(item.ratedAt).toLocaleString()}
+                </span>
+              </div>
+              {item.comment && <blockquote className="feedback-comment">{item.comment}</blockquote>}
+              <div className="feedback-exchange">
+                <div className="feedback-label">Prompt</div>
+                <div className="feedback-text">{item.prompt ?? '(no user message)'}</div>
+                <div className="feedback-label">Reply</div>
+                <div className="feedback-text">{item.reply}</div>
+              </div>
+              <details className="feedback-settings">
+                <summary>
+                  {item.settings?.provider || 'unknown provider'} · {item.model || 'default model'}
+                </summary>
+                {item.settings ? (
+                  <>
+                    <div className="feedback-label">System prompt</div>
+                    <pre>{item.settings.systemPrompt}</pre>
+                    <div className="feedback-label">Generation settings</div>
+                    <pre>{JSON.stringify(item.settings.generationConfig, null, 2)}</pre>
+                  </>
+                ) : (
+                  <div className="share-link-meta">No settings were recorded with this rating.</div>
+                )}
+              </details>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
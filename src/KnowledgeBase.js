@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatSize } from './Attachments';
+import { apiFetch } from './auth';
+
+// "Knowledge base": the user's documents that chats with the knowledge base turned on
+// (in Chat settings) can answer from, with upload and delete
+export default function KnowledgeBase({ token, onClose }) {
+  const [documents, setDocuments] = useState(null);
+  const [error, setError] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const loadDocuments = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch('/api/chat/knowledge', { headers });
+        const data = await response.json();
+        if (response.ok) {
+          setDocuments(data);
+        } else {
+          setError(data.error || 'Failed to load the knowledge base');
+        }
+      } catch (err) {
+        setError('Network error');
+      }
+    };
+    loadDocuments();
+  }, [token]);
+
+  // Documents are chunked and embedded on upload, so larger files take a moment
+  const upload = async (files) => {
+    setError(null);
+    setUploading(true);
+    try {
+      for (const file of Array.from(files)) {
+        const headers = { 'Content-Type': file.type || (/\.md$/i.test(file.name) ? 'text/markdown' : 'text/plain') };
+        const response = await apiFetch(`/api/chat/knowledge?name=${encodeURIComponent(file.name)}`, {
+          method: 'POST',
+          headers,
+          body: file
+        });
+        const data = await response.json();
+        if (response.ok) {
+          setDocuments(prev => [data, ...(prev || [])]);
+        } else {
+          setError(`${file.name}: ${data.error || 'Upload failed'}`);
+        }
+      }
+    } catch (err) {
+      console.error('Error uploading knowledge document:', err);
+      setError('Network error');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const remove = async (doc) => {
+    if (!window.confirm(`Remove "${doc.name}" from your knowledge base?`)) return;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(`/api/chat/knowledge/${doc.id}`, { method: 'DELETE', headers });
+      const data = await response.json();
+      if (response.ok) {
+        setDocuments(prev => prev.filter(d => d.id !== doc.id));
+      } else {
+        alert(data.error || 'Failed to remove document');
+      }
+    } catch (err) {
+      console.error('Error removing knowledge document:', err);
+      alert('Error removing document');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="settings-modal share-links-panel">
+        <h3>Knowledge base</h3>
+        <p className="modal-help">
+          Text, Markdown and PDF files added here can be quoted in chats that have
+          “Answer from my knowledge base” turned on in their settings.
+        </p>
+        {error && <div className="auth-error">{error}</div>}
+        {!documents && !error && <div className="empty-state">Loading...</div>}
+        {documents && documents.length === 0 && <div className="empty-state">No documents yet.</div>}
+        {documents && documents.length > 0 && (
+          <ul className="share-link-list">
+            {documents.map(doc => (
+              <li key={doc.id}>
+                <div className="share-link-title">{doc.name}</div>
+                <div className="share-link-meta">
+                  {formatSize(doc.size || 0)} · {doc.chunkCount} passage{doc.chunkCount === 1 ? '' : 's'}
+                  {' '}· added {new Date(doc.createdAt).toLocaleDateString()}
+                </div>
+                <div className="share-link-actions">
+                  <button type="button" onClick={() => remove(doc)}>Remove</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/pdf,text/plain,text/markdown,.md,.txt"
+          multiple
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            upload(e.target.files);
+            e.target.value = '';
+          }}
+        />
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <button type="button" onClick={() => fileInputRef.current?.click()} disabled={uploading}>
+            {uploading ? 'Adding...' : 'Add documents'}
+          </button>
+          <button type="button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
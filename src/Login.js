@@ -6,6 +6,10 @@ export default function Login({ onAuth }) {
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  // Set once the password was accepted for an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const submit = async (e) => {
     e.preventDefault();
@@ -21,11 +25,12 @@ export default function Login({ onAuth }) {
       const data = await res.json();
       if (!res.ok) {
         setError(data.error || 'Auth failed');
+      } else if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+        setPassword('');
       } else {
-        // store token and notify parent
-        localStorage.setItem('token', data.token);
-        localStorage.setItem('username', data.user?.username || username);
-        onAuth(data.token);
+        // The refresh cookie keeps the sign-in; the parent holds the access token
+        onAuth(data);
       }
     } catch (err) {
       setError('Network error');
@@ -34,6 +39,68 @@ export default function Login({ onAuth }) {
     }
   };
 
+  const verify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const res = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(useRecoveryCode ? { challengeToken, recoveryCode: code } : { challengeToken, code })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        onAuth(data);
+      } else if (res.status === 401 && /expired/.test(data.error || '')) {
+        // The challenge only lasts a few minutes; start over with the password
+        setChallengeToken(null);
+        setCode('');
+        setError(data.error);
+      } else {
+        setError(data.error || 'Verification failed');
+      }
+    } catch (err) {
+      setError('Network error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <h2>Two-factor authentication</h2>
+        <form onSubmit={verify} className="auth-form">
+          <p className="auth-help">
+            {useRecoveryCode
+              ? 'Enter one of the recovery codes you saved when turning on two-factor authentication.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
+            required
+          />
+          {error && <div className="auth-error">{error}</div>}
+          <div style={{ display: 'flex', gap: 8, justifyContent: 'center' }}>
+            <button type="submit" disabled={loading}>{loading ? 'Please wait...' : 'Verify'}</button>
+            <button type="button" onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}>
+              {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+            </button>
+          </div>
+          <button type="button" className="link-button" onClick={() => { setChallengeToken(null); setCode(''); setError(''); }}>
+            Back to login
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <h2>{mode === 'login' ? 'Login' : 'Sign up'}</h2>
@@ -0,0 +1,59 @@
+import React, { useRef, useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github.css';
+
+// Fenced code block with its language and a copy-to-clipboard button
+function CodeBlock({ node, children, ...props }) {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  const className = node?.children?.[0]?.properties?.className || [];
+  const language = className.find(c => String(c).startsWith('language-'))?.slice('language-'.length);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(preRef.current?.textContent || '');
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error('Failed to copy code:', err);
+    }
+  };
+
+  return (
+    <div className="code-block">
+      <div className="code-block-header">
+        <span>{language || 'code'}</span>
+        <button type="button" onClick={copy} aria-label="Copy code">{copied ? 'Copied' : 'Copy'}</button>
+      </div>
+      <pre ref={preRef} {...props}>{children}</pre>
+    </div>
+  );
+}
+
+// Links from model output always open in a new tab without access to this window
+const Link = ({ node, children, ...props }) => (
+  <a {...props} target="_blank" rel="noopener noreferrer">{children}</a>
+);
+
+const components = { pre: CodeBlock, a: Link };
+
+// Render a reply as GitHub-flavoured Markdown. Raw HTML in the text is dropped (skipHtml,
+// and no rehype-raw) and unsafe link protocols such as javascript: are stripped by
+// react-markdown's default URL transform, so model output can't inject markup.
+export default function Markdown({ text }) {
+  return (
+    <div className="message-text markdown">
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={[rehypeHighlight]}
+        components={components}
+        skipHtml
+      >
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+
+const ROLE_LABELS = { owner: 'Owner', viewer: 'Viewer', editor: 'Editor' };
+
+// "Members": who can open a chat. The owner invites people by username as viewers (read only)
+// or editors (can also send messages), changes their roles and removes them; members can leave.
+export default function Members({ session, token, username, onClose, onLeft }) {
+  const [members, setMembers] = useState(null);
+  const [role, setRole] = useState(null);
+  const [error, setError] = useState(null);
+  const [inviteName, setInviteName] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [inviting, setInviting] = useState(false);
+
+  const showMembers = (data) => {
+    setMembers(data.members);
+    setRole(data.role);
+  };
+
+  useEffect(() => {
+    const loadMembers = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch(`/api/chat/sessions/${session._id}/members`, { headers });
+        const data = await response.json();
+        if (response.ok) {
+          showMembers(data);
+        } else {
+          setError(data.error || 'Failed to load members');
+        }
+      } catch (err) {
+        setError('Network error');
+      }
+    };
+    loadMembers();
+  }, [session._id, token]);
+
+  const invite = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setInviting(true);
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(`/api/chat/sessions/${session._id}/members`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ username: inviteName.trim(), role: inviteRole })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        showMembers(data);
+        setInviteName('');
+      } else {
+        setError(data.error || 'Failed to add member');
+      }
+    } catch (err) {
+      setError('Network error');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const changeRole = async (member, newRole) => {
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(`/api/chat/sessions/${session._id}/members/${member.userId}`, {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify({ role: newRole })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        showMembers(data);
+      } else {
+        alert(data.error || 'Failed to change role');
+      }
+    } catch (err) {
+      console.error('Error changing member role:', err);
+      alert('Error changing role');
+    }
+  };
+
+  const remove = async (member) => {
+    const leaving = member.username === username;
+    const question = leaving
+      ? `Leave “${session.title}”? You will lose access to it.`
+      : `Remove ${member.username} from this chat?`;
+    if (!window.confirm(question)) return;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(`/api/chat/sessions/${session._id}/members/${member.userId}`, {
+        method: 'DELETE',
+        headers
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.error || 'Failed to remove member');
+      } else if (leaving) {
+        onLeft(session._id);
+      } else {
+        showMembers(data);
+      }
+    } catch (err) {
+      console.error('Error removing member:', err);
+      alert('Error removing member');
+    }
+  };
+
+  const isOwner = role === 'owner';
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="settings-modal share-links-panel">
+        <h3>Members of “{session.title}”</h3>
+        {error && <div className="auth-error">{error}</div>}
+        {!members && !error && <div className="empty-state">Loading...</div>}
+        {members && (
+          <ul className="share-link-list">
+            {members.map(member => (
+              <li key={member.userId}>
+                <div className="share-link-title">
+                  {member.username || 'Deleted user'}
+                  {member.username === username && <span className="current-device">You</span>}
+                </div>
+                <div className="share-link-meta">
+                  {ROLE_LABELS[member.role]}
+                  {member.addedAt ? ` · added ${new Date(member.addedAt).toLocaleDateString()}` : ''}
+                </div>
+                {member.role !== 'owner' && (isOwner || member.username === username) && (
+                  <div className="share-link-actions">
+                    {isOwner && (
+                      <select
+                        value={member.role}
+                        onChange={(e) => changeRole(member, e.target.value)}
+                        aria-label={`Role of ${member.username}`}
+                      >
+                        <option value="viewer">Viewer</option>
+                        <option value="editor">Editor</option>
+                      </select>
+                    )}
+                    <button type="button" onClick={() => remove(member)}>
+                      {member.username === username ? 'Leave' : 'Remove'}
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        {isOwner && (
+          <form onSubmit={invite} className="member-invite">
+            <p className="modal-help">Viewers can read the chat; editors can also send messages, rename it and change its settings.</p>
+            <input
+              value={inviteName}
+              onChange={(e) => setInviteName(e.target.value)}
+              placeholder="Username"
+              aria-label="Username to invite"
+            />
+            <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} aria-label="Role">
+              <option value="editor">Editor</option>
+              <option value="viewer">Viewer</option>
+            </select>
+            <button type="submit" disabled={inviting || !inviteName.trim()}>{inviting ? 'Inviting...' : 'Invite'}</button>
+          </form>
+        )}
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <button type="button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+// Replace each {{variable}} with its value; unknown variables are left as they are
+export const fillTemplate = (content, values) =>
+  content.replace(VARIABLE_PATTERN, (placeholder, name) => (name in values ? values[name] : placeholder));
+
+// Templates offered for what's typed in the chat input: "/" followed by the start of a name
+export const matchingTemplates = (templates, input) => {
+  const match = /^\/([\w-]*)$/.exec(input);
+  if (!match) return [];
+  const prefix = match[1].toLowerCase();
+  return templates.filter(t => t.name.startsWith(prefix));
+};
+
+// The slash command picker shown above the chat input
+export function SlashCommandMenu({ templates, activeIndex, onPick }) {
+  return (
+    <ul className="slash-menu" role="listbox" aria-label="Prompt templates">
+      {templates.map((template, index) => (
+        <li
+          key={template.id}
+          role="option"
+          aria-selected={index === activeIndex}
+          className={index === activeIndex ? 'active' : ''}
+          // mousedown, so the input doesn't lose focus before the pick
+          onMouseDown={(e) => { e.preventDefault(); onPick(template); }}
+        >
+          <span className="slash-menu-name">/{template.name}</span>
+          <span className="slash-menu-description">
+            {template.description || template.content.slice(0, 80)}
+            {!template.mine && template.owner ? ` · shared by ${template.owner}` : ''}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Asks for the template's variables, previews the prompt and sends it with `onSend(text)`
+export function TemplateVariablesDialog({ template, onSend, onClose }) {
+  const [values, setValues] = useState(() => Object.fromEntries(template.variables.map(name => [name, ''])));
+  const text = fillTemplate(template.content, values);
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onSend(text);
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="settings-modal">
+        <h3>/{template.name}</h3>
+        {template.description && <p className="modal-help">{template.description}</p>}
+        <form onSubmit={submit}>
+          {template.variables.map((name, index) => (
+            <label key={name}>
+              {name}
+              <textarea
+                rows={3}
+                value={values[name]}
+                onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+                autoFocus={index === 0}
+              />
+            </label>
+          ))}
+          <div className="feedback-label">Preview</div>
+          <pre className="template-preview">{text}</pre>
+          <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+            <button type="submit" autoFocus={template.variables.length === 0}>Send</button>
+            <button type="button" onClick={onClose}>Cancel</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+const emptyForm = { name: '', description: '', content: '', shared: false };
+
+// "Prompt templates": create, edit and delete the user's templates and see the shared ones.
+// `onChanged(templates)` gets the updated list after every change.
+export default function PromptTemplates({ token, onClose, onChanged }) {
+  const [templates, setTemplates] = useState(null);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'new' or the template being edited
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch('/api/chat/templates', { headers });
+        const data = await response.json();
+        if (response.ok) {
+          setTemplates(data);
+        } else {
+          setError(data.error || 'Failed to load templates');
+        }
+      } catch (err) {
+        setError('Network error');
+      }
+    };
+    loadTemplates();
+  }, [token]);
+
+  const updateList = (list) => {
+    setTemplates(list);
+    onChanged(list);
+  };
+
+  const startEditing = (template) => {
+    setError(null);
+    setEditing(template || 'new');
+    setForm(template
+      ? { name: template.name, description: template.description, content: template.content, shared: template.shared }
+      : emptyForm);
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSaving(true);
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const isNew = editing === 'new';
+      const response = await apiFetch(isNew ? '/api/chat/templates' : `/api/chat/templates/${editing.id}`, {
+        method: isNew ? 'POST' : 'PATCH',
+        headers,
+        body: JSON.stringify(form)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Failed to save template');
+        return;
+      }
+      const others = templates.filter(t => t.id !== data.id);
+      updateList([...others, data].sort((a, b) => a.name.localeCompare(b.name) || Number(b.mine) - Number(a.mine)));
+      setEditing(null);
+    } catch (err) {
+      setError('Network error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (template) => {
+    if (!window.confirm(`Delete the template /${template.name}?`)) return;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(`/api/chat/templates/${template.id}`, { method: 'DELETE', headers });
+      const data = await response.json();
+      if (response.ok) {
+        updateList(templates.filter(t => t.id !== template.id));
+      } else {
+        alert(data.error || 'Failed to delete template');
+      }
+    } catch (err) {
+      console.error('Error deleting template:', err);
+      alert('Error deleting template');
+    }
+  };
+
+  if (editing) {
+    return (
+      <div className="modal-overlay" role="dialog" aria-modal="true">
+        <div className="settings-modal">
+          <h3>{editing === 'new' ? 'New template' : `Edit /${editing.name}`}</h3>
+          <form onSubmit={save}>
+            <label>
+              Name (type /name in the chat input to use it)
+              <input
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="review-diff"
+                maxLength={32}
+                required
+              />
+            </label>
+            <label>
+              Description
+              <input
+                value={form.description}
+                onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                maxLength={200}
+              />
+            </label>
+            <label>
+              Prompt
+              <textarea
+                rows={8}
+                value={form.content}
+                onChange={(e) => setForm(prev => ({ ...prev, content: e.target.value }))}
+                placeholder={'Review this diff for bugs and risky changes:\n\n{{diff}}'}
+                required
+              />
+            </label>
+            <p className="modal-help">Write {'{{name}}'} where a value should be filled in when the template is used.</p>
+            <label className="settings-checkbox">
+              <input
+                type="checkbox"
+                checked={form.shared}
+                onChange={(e) => setForm(prev => ({ ...prev, shared: e.target.checked }))}
+              />
+              Share with everyone (others can use it but not change it)
+            </label>
+            <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+              <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+              <button type="button" onClick={() => setEditing(null)}>Cancel</button>
+            </div>
+            {error && <div className="auth-error" style={{ marginTop: 8 }}>{error}</div>}
+          </form>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="settings-modal share-links-panel">
+        <h3>Prompt templates</h3>
+        <p className="modal-help">Type / in the chat input to pick a template.</p>
+        {error && <div className="auth-error">{error}</div>}
+        {!templates && !error && <div className="empty-state">Loading...</div>}
+        {templates && templates.length === 0 && <div className="empty-state">No templates yet.</div>}
+        {templates && templates.length > 0 && (
+          <ul className="share-link-list">
+            {templates.map(template => (
+              <li key={template.id}>
+                <div className="share-link-title">/{template.name}</div>
+                <div className="share-link-meta">
+                  {template.description || template.content.slice(0, 80)}
+                  {template.variables.length > 0 && ` · ${template.variables.map(v => `{{${v}}}`).join(', ')}`}
+                  {template.mine ? (template.shared ? ' · shared' : '') : ` · shared by ${template.owner || 'a deleted user'}`}
+                </div>
+                {template.mine && (
+                  <div className="share-link-actions">
+                    <button type="button" onClick={() => startEditing(template)}>Edit</button>
+                    <button type="button" onClick={() => remove(template)}>Delete</button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <button type="button" onClick={() => startEditing(null)} disabled={!templates}>New template</button>
+          <button type="button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+
+// The user's role in a session (see server/lib/access.js). Sessions come without one when
+// created in this tab, which only happens for the user's own.
+export const sessionRole = (session) => session?.role || 'owner';
+
+// Sidebar list of chat sessions: pinned chats first, then collapsible folders, then the rest,
+// then chats other people shared with the user, with inline rename and an optional tag filter.
+// Pinning, folders and tags organize the owner's sidebar, so members can't change them. `menuItems(session)` lets the parent add
+// its own actions (settings, share, delete...) to each session's menu.
+export default function SessionList({ sessions, activeId, menuOpen, setMenuOpen, onSelect, onUpdate, menuItems }) {
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [collapsedFolders, setCollapsedFolders] = useState([]);
+  const [activeTag, setActiveTag] = useState(null);
+
+  const allTags = [...new Set(sessions.flatMap(s => s.tags || []))].sort();
+  const visible = activeTag ? sessions.filter(s => (s.tags || []).includes(activeTag)) : sessions;
+  const own = visible.filter(s => sessionRole(s) === 'owner');
+  const sharedWithMe = visible.filter(s => sessionRole(s) !== 'owner');
+  const pinned = own.filter(s => s.pinned);
+  const unpinned = own.filter(s => !s.pinned);
+  const folderNames = [...new Set(unpinned.map(s => s.folder).filter(Boolean))].sort();
+  const ungrouped = unpinned.filter(s => !s.folder);
+
+  const startRename = (session) => {
+    if (sessionRole(session) === 'viewer') return;
+    setRenamingId(session._id);
+    setRenameValue(session.title);
+    setMenuOpen(null);
+  };
+
+  const finishRename = async (session, cancelled) => {
+    const title = renameValue.trim();
+    setRenamingId(null);
+    if (!cancelled && title && title !== session.title) await onUpdate(session, { title });
+  };
+
+  const moveToFolder = async (session) => {
+    setMenuOpen(null);
+    const folder = window.prompt('Folder name (leave empty to remove from folder)', session.folder || '');
+    if (folder !== null) await onUpdate(session, { folder });
+  };
+
+  const editTags = async (session) => {
+    setMenuOpen(null);
+    const value = window.prompt('Tags, separated by commas', (session.tags || []).join(', '));
+    if (value !== null) await onUpdate(session, { tags: value.split(',').map(t => t.trim()).filter(Boolean) });
+  };
+
+  const toggleFolder = (folder) => {
+    setCollapsedFolders(prev => (prev.includes(folder) ? prev.filter(f => f !== folder) : [...prev, folder]));
+  };
+
+  const renderSession = (session) => (
+    <div key={session._id} className="session-item-container">
+      {renamingId === session._id ? (
+        <input
+          className="session-rename-input"
+          value={renameValue}
+          onChange={(e) => setRenameValue(e.target.value)}
+          onBlur={(e) => finishRename(session, e.currentTarget.dataset.cancelled === 'true')}
+          onKeyDown={(e) => {
+            // Both keys leave the field; Escape flags the blur so the edit is discarded
+            if (e.key === 'Escape') e.currentTarget.dataset.cancelled = 'true';
+            if (e.key === 'Enter' || e.key === 'Escape') e.currentTarget.blur();
+          }}
+          aria-label="Chat title"
+          autoFocus
+        />
+      ) : (
+        <button
+          className={`session-item ${activeId === session._id ? 'active' : ''}`}
+          onClick={() => onSelect(session._id)}
+          onDoubleClick={() => startRename(session)}
+          title={session.tags?.length ? `${session.title} — ${session.tags.join(', ')}` : session.title}
+        >
+          {session.pinned && <span className="session-pin" aria-label="Pinned">📌 </span>}
+          {session.title}
+        </button>
+      )}
+      <button
+        className="session-menu-button"
+        onClick={(e) => {
+          e.stopPropagation();
+          setMenuOpen(menuOpen === session._id ? null : session._id);
+        }}
+        aria-label="Session options"
+      >
+        ⋮
+      </button>
+      {menuOpen === session._id && (
+        <div className="session-menu">
+          {sessionRole(session) !== 'viewer' && <button onClick={() => startRename(session)}>Rename</button>}
+          {sessionRole(session) === 'owner' && (
+            <>
+              <button onClick={() => { setMenuOpen(null); onUpdate(session, { pinned: !session.pinned }); }}>
+                {session.pinned ? 'Unpin' : 'Pin'}
+              </button>
+              <button onClick={() => moveToFolder(session)}>Move to folder</button>
+              <button onClick={() => editTags(session)}>Edit tags</button>
+            </>
+          )}
+          {menuItems(session)}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="sessions-list">
+      {allTags.length > 0 && (
+        <div className="tag-filter" aria-label="Filter by tag">
+          {allTags.map(tag => (
+            <button
+              key={tag}
+              className={`tag-chip ${activeTag === tag ? 'active' : ''}`}
+              onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+              aria-pressed={activeTag === tag}
+            >
+              #{tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {pinned.length > 0 && (
+        <div className="session-group">
+          <div className="session-group-title">Pinned</div>
+          {pinned.map(renderSession)}
+        </div>
+      )}
+
+      {folderNames.map(folder => {
+        const collapsed = collapsedFolders.includes(folder);
+        return (
+          <div key={folder} className="session-group">
+            <button
+              className="session-group-title folder-toggle"
+              onClick={() => toggleFolder(folder)}
+              aria-expanded={!collapsed}
+            >
+              {collapsed ? '▸' : '▾'} {folder}
+            </button>
+            {!collapsed && unpinned.filter(s => s.folder === folder).map(renderSession)}
+          </div>
+        );
+      })}
+
+      {ungrouped.length > 0 && (pinned.length > 0 || folderNames.length > 0 || sharedWithMe.length > 0) && (
+        <div className="session-group-title">Chats</div>
+      )}
+      {ungrouped.map(renderSession)}
+
+      {sharedWithMe.length > 0 && (
+        <div className="session-group">
+          <div className="session-group-title">Shared with me</div>
+          {sharedWithMe.map(renderSession)}
+        </div>
+      )}
+
+      {activeTag && visible.length === 0 && (
+        <div className="empty-state">No chats tagged #{activeTag}</div>
+      )}
+    </div>
+  );
+}
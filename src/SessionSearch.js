@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+
+// Wrap the [start, end) ranges of `text` in <mark>, leaving everything else as plain text
+function Highlighted({ text, ranges }) {
+  const parts = [];
+  let last = 0;
+  (ranges || []).forEach(([start, end], i) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return <>{parts}</>;
+}
+
+// Search box for the sidebar. While the query is empty it renders `children` (the session
+// list); otherwise it shows matching sessions with highlighted snippets, and opening one
+// calls onOpen(sessionId, messageId) so the chat can jump to that message.
+export default function SessionSearch({ token, onOpen, children }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Debounced search as the user types
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setResults(null);
+      setError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch(`/api/chat/search?q=${encodeURIComponent(q)}`, { headers });
+        const data = await response.json();
+        if (cancelled) return;
+        if (response.ok) {
+          setResults(data.results);
+          setError(null);
+        } else {
+          setError(data.error || 'Search failed');
+        }
+      } catch (err) {
+        if (!cancelled) setError('Network error');
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, token]);
+
+  return (
+    <>
+      <input
+        type="search"
+        className="session-search-input"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => { if (e.key === 'Escape') setQuery(''); }}
+        placeholder="Search chats"
+        aria-label="Search chats"
+      />
+      {!query.trim() ? children : (
+        <div className="sessions-list search-results" aria-live="polite">
+          {error && <div className="auth-error">{error}</div>}
+          {searching && !results && <div className="empty-state">Searching...</div>}
+          {results && results.length === 0 && <div className="empty-state">No chats match “{query.trim()}”</div>}
+          {results && results.map(result => (
+            <div key={result.sessionId} className="search-result">
+              <button
+                className="session-item"
+                onClick={() => onOpen(result.sessionId, result.matches[0]?.messageId)}
+              >
+                <Highlighted text={result.title} ranges={result.titleHighlights} />
+              </button>
+              {result.matches.map(match => (
+                <button
+                  key={match.messageId}
+                  className="search-snippet"
+                  onClick={() => onOpen(result.sessionId, match.messageId)}
+                >
+                  <span className="search-snippet-role">{match.role === 'user' ? 'You' : 'Bot'}:</span>{' '}
+                  <Highlighted text={match.snippet} ranges={match.highlights} />
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+import { sessionRole } from './SessionList';
+
+// Starting points for common kinds of chats; applying one only fills the form
+const PRESETS = [
+  {
+    name: 'Terse code reviewer',
+    systemPrompt: 'You are a terse senior code reviewer. Point out bugs, risks and concrete fixes in as few words as possible. No pleasantries.',
+    generationConfig: { temperature: 0.2, topP: 0.8, topK: 40, maxOutputTokens: 2048 }
+  },
+  {
+    name: 'Creative writer',
+    systemPrompt: 'You are an imaginative creative writing partner. Offer vivid, original ideas and prose, and build on the user\'s style.',
+    generationConfig: { temperature: 1.2, topP: 0.95, topK: 64, maxOutputTokens: 4096 }
+  }
+];
+
+const GENERATION_FIELDS = [
+  { key: 'temperature', label: 'Temperature', step: 0.1 },
+  { key: 'topP', label: 'Top P', step: 0.05 },
+  { key: 'topK', label: 'Top K', step: 1 },
+  { key: 'maxOutputTokens', label: 'Max output tokens', step: 1 }
+];
+
+// Form values are strings; an empty field means "use the server default"
+const toFormValue = (value) => (value === undefined || value === null ? '' : String(value));
+
+export default function SessionSettings({ session, token, onClose, onSaved }) {
+  const [config, setConfig] = useState(null);
+  const [provider, setProvider] = useState(toFormValue(session.provider));
+  const [model, setModel] = useState(toFormValue(session.model));
+  const [systemPrompt, setSystemPrompt] = useState(toFormValue(session.systemPrompt));
+  const [generationConfig, setGenerationConfig] = useState(() => Object.fromEntries(
+    GENERATION_FIELDS.map(({ key }) => [key, toFormValue(session.generationConfig?.[key])])
+  ));
+  const [useKnowledgeBase, setUseKnowledgeBase] = useState(Boolean(session.useKnowledgeBase));
+  const [useTools, setUseTools] = useState(session.useTools !== false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load available providers and the defaults used for empty fields
+  useEffect(() => {
+    const loadConfig = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch('/api/chat/providers', { headers });
+        if (response.ok) {
+          setConfig(await response.json());
+        } else {
+          console.error('Failed to load providers', response.status);
+        }
+      } catch (err) {
+        console.error('Error loading providers:', err);
+      }
+    };
+    loadConfig();
+  }, [token]);
+
+  const applyPreset = (preset) => {
+    setSystemPrompt(preset.systemPrompt);
+    setGenerationConfig(Object.fromEntries(
+      GENERATION_FIELDS.map(({ key }) => [key, toFormValue(preset.generationConfig[key])])
+    ));
+  };
+
+  const resetToDefaults = () => {
+    setProvider('');
+    setModel('');
+    setSystemPrompt('');
+    setGenerationConfig(Object.fromEntries(GENERATION_FIELDS.map(({ key }) => [key, ''])));
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSaving(true);
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const res = await apiFetch(`/api/chat/sessions/${session._id}/settings`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ provider, model, systemPrompt, generationConfig, useKnowledgeBase, useTools })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || 'Failed to save settings');
+      } else {
+        onSaved(data);
+        onClose();
+      }
+    } catch (err) {
+      setError('Network error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const defaults = config?.defaults;
+  const isOwner = sessionRole(session) === 'owner';
+  const selectedProvider = config?.providers.find(p => p.name === (provider || config.default));
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="settings-modal">
+        <h3>Chat settings</h3>
+        <div className="settings-presets">
+          {PRESETS.map(preset => (
+            <button key={preset.name} type="button" onClick={() => applyPreset(preset)}>{preset.name}</button>
+          ))}
+          <button type="button" onClick={resetToDefaults}>Defaults</button>
+        </div>
+        <form onSubmit={save}>
+          <label>
+            Provider
+            <select value={provider} onChange={(e) => setProvider(e.target.value)}>
+              <option value="">Server default{config ? ` (${config.default})` : ''}</option>
+              {config?.providers.map(p => (
+                <option key={p.name} value={p.name} disabled={!p.configured}>
+                  {p.label}{p.configured ? '' : ' (not configured)'}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Model
+            <input
+              value={model}
+              onChange={(e) => setModel(e.target.value)}
+              placeholder={selectedProvider ? selectedProvider.defaultModel : 'Provider default'}
+            />
+          </label>
+          <label>
+            System prompt
+            <textarea
+              rows={5}
+              value={systemPrompt}
+              onChange={(e) => setSystemPrompt(e.target.value)}
+              placeholder={defaults?.systemPrompt || 'Server default'}
+            />
+          </label>
+          <div className="settings-grid">
+            {GENERATION_FIELDS.map(({ key, label, step }) => (
+              <label key={key}>
+                {label}
+                <input
+                  type="number"
+                  step={step}
+                  min={defaults?.limits[key]?.min}
+                  max={defaults?.limits[key]?.max}
+                  value={generationConfig[key]}
+                  onChange={(e) => setGenerationConfig(prev => ({ ...prev, [key]: e.target.value }))}
+                  placeholder={defaults ? String(defaults.generationConfig[key]) : ''}
+                />
+              </label>
+            ))}
+          </div>
+          <label className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={useKnowledgeBase}
+              onChange={(e) => setUseKnowledgeBase(e.target.checked)}
+              disabled={!isOwner}
+            />
+            {isOwner
+              ? 'Answer from my knowledge base, citing the documents used'
+              : "Answer from the owner's knowledge base (only the owner can change this)"}
+          </label>
+          <label className="settings-checkbox">
+            <input
+              type="checkbox"
+              checked={useTools}
+              onChange={(e) => setUseTools(e.target.checked)}
+            />
+            Let the model use tools (calculator, date and time, plus my other chats and saved notes unless the chat is shared)
+          </label>
+          <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+            <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+            <button type="button" onClick={onClose}>Cancel</button>
+          </div>
+          {error && <div className="auth-error" style={{ marginTop: 8 }}>{error}</div>}
+        </form>
+      </div>
+    </div>
+  );
+}
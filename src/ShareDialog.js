@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { apiFetch } from './auth';
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never', days: '' },
+  { label: '1 day', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 }
+];
+
+// Create a share link for a session: a frozen snapshot (default) or a live view, with optional expiry
+export default function ShareDialog({ session, token, onClose }) {
+  const [mode, setMode] = useState('snapshot');
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [link, setLink] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const createLink = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setCreating(true);
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const res = await apiFetch(`/api/chat/sessions/${session._id}/share`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ mode, expiresInDays })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || 'Failed to generate share link');
+        return;
+      }
+      setLink(data);
+      try {
+        await navigator.clipboard.writeText(data.shareUrl);
+        setCopied(true);
+      } catch (err) {
+        // Clipboard access can be denied; the link is still shown to copy by hand
+      }
+    } catch (err) {
+      setError('Network error');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="settings-modal">
+        <h3>Share “{session.title}”</h3>
+        {link ? (
+          <>
+            <label>
+              Share link{copied ? ' (copied to clipboard)' : ''}
+              <input value={link.shareUrl} readOnly onFocus={(e) => e.target.select()} />
+            </label>
+            <p className="share-note">
+              {link.mode === 'snapshot' ? 'Shows the chat as it is now.' : 'Shows the chat including future messages.'}
+              {link.expiresAt ? ` Expires ${new Date(link.expiresAt).toLocaleString()}.` : ' Never expires.'}
+              {' '}You can revoke it from “Manage shared links”.
+            </p>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button type="button" onClick={onClose}>Done</button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={createLink}>
+            <label>
+              What to share
+              <select value={mode} onChange={(e) => setMode(e.target.value)}>
+                <option value="snapshot">Snapshot — messages up to now</option>
+                <option value="live">Live — includes later messages</option>
+              </select>
+            </label>
+            <label>
+              Link expires after
+              <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)}>
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.label} value={option.days}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+              <button type="submit" disabled={creating}>{creating ? 'Creating...' : 'Create link'}</button>
+              <button type="button" onClick={onClose}>Cancel</button>
+            </div>
+            {error && <div className="auth-error" style={{ marginTop: 8 }}>{error}</div>}
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+
+const linkStatus = (link) => {
+  if (link.revokedAt) return 'Revoked';
+  if (!link.active) return 'Expired';
+  return link.expiresAt ? `Expires ${new Date(link.expiresAt).toLocaleDateString()}` : 'Active';
+};
+
+// "Manage shared links": every link the user created, with views, status, copy and revoke
+export default function ShareLinksPanel({ token, onClose }) {
+  const [links, setLinks] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadLinks = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch('/api/chat/shares', { headers });
+        const data = await response.json();
+        if (response.ok) {
+          setLinks(data);
+        } else {
+          setError(data.error || 'Failed to load shared links');
+        }
+      } catch (err) {
+        setError('Network error');
+      }
+    };
+    loadLinks();
+  }, [token]);
+
+  const revoke = async (link) => {
+    if (!window.confirm('Revoke this link? Anyone who has it will no longer be able to open the chat.')) return;
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(`/api/chat/shares/${link.id}`, { method: 'DELETE', headers });
+      const data = await response.json();
+      if (response.ok) {
+        setLinks(prev => prev.map(l => (l.id === link.id ? { ...l, revokedAt: data.revokedAt, active: false } : l)));
+      } else {
+        alert(data.error || 'Failed to revoke link');
+      }
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      alert('Error revoking link');
+    }
+  };
+
+  const copy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link.shareUrl);
+      alert('Share link copied to clipboard!');
+    } catch (err) {
+      window.prompt('Copy the share link', link.shareUrl);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="settings-modal share-links-panel">
+        <h3>Shared links</h3>
+        {error && <div className="auth-error">{error}</div>}
+        {!links && !error && <div className="empty-state">Loading...</div>}
+        {links && links.length === 0 && <div className="empty-state">You haven't shared any chats yet.</div>}
+        {links && links.length > 0 && (
+          <ul className="share-link-list">
+            {links.map(link => (
+              <li key={link.id} className={link.active ? '' : 'inactive'}>
+                <div className="share-link-title">{link.sessionTitle}</div>
+                <div className="share-link-meta">
+                  {link.mode === 'live' ? 'Live' : 'Snapshot'} · {linkStatus(link)} · {link.viewCount} view{link.viewCount === 1 ? '' : 's'}
+                  {' '}· created {new Date(link.createdAt).toLocaleDateString()}
+                </div>
+                {link.active && (
+                  <div className="share-link-actions">
+                    <button type="button" onClick={() => copy(link)}>Copy link</button>
+                    <button type="button" onClick={() => revoke(link)}>Revoke</button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <button type="button" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
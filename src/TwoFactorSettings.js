@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+
+// Recovery codes are only shown right after they are generated
+function RecoveryCodes({ codes, onDone }) {
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      alert('Recovery codes copied to clipboard!');
+    } catch (err) {
+      window.prompt('Copy your recovery codes', codes.join(' '));
+    }
+  };
+
+  return (
+    <>
+      <p className="modal-help">
+        Save these recovery codes somewhere safe. Each one lets you log in once if you lose access
+        to your authenticator app, and they won't be shown again.
+      </p>
+      <ul className="recovery-codes">
+        {codes.map(code => <li key={code}><code>{code}</code></li>)}
+      </ul>
+      <div style={{ display: 'flex', gap: 8 }}>
+        <button type="button" onClick={copy}>Copy codes</button>
+        <button type="button" onClick={onDone}>I've saved them</button>
+      </div>
+    </>
+  );
+}
+
+// "Two-factor authentication": enrol an authenticator app (QR code, then a first code to confirm
+// it), or, once on, turn it off or replace the recovery codes after re-entering the password
+export default function TwoFactorSettings({ token, onClose }) {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadStatus = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch('/api/auth/me', { headers });
+        const data = await response.json();
+        if (response.ok) {
+          setStatus(data.user);
+        } else {
+          setError(data.error || 'Failed to load your account');
+        }
+      } catch (err) {
+        setError('Network error');
+      }
+    };
+    loadStatus();
+  }, [token]);
+
+  // POST to a 2FA endpoint, resolving to the response data or null after showing its error
+  const post = async (url, body) => {
+    setError(null);
+    setBusy(true);
+    try {
+      const headers = { 'Content-Type': 'application/json' };
+      const response = await apiFetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+      const data = await response.json();
+      if (response.ok) return data;
+      setError(data.error || 'Request failed');
+    } catch (err) {
+      console.error('Two-factor request failed:', err);
+      setError('Network error');
+    } finally {
+      setBusy(false);
+    }
+    return null;
+  };
+
+  const startSetup = async () => {
+    const data = await post('/api/auth/2fa/setup', {});
+    if (data) setSetup(data);
+  };
+
+  const enable = async (e) => {
+    e.preventDefault();
+    const data = await post('/api/auth/2fa/enable', { code });
+    if (data) {
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      setStatus(prev => ({ ...prev, twoFactorEnabled: true, recoveryCodesLeft: data.recoveryCodes.length }));
+    }
+  };
+
+  const disable = async () => {
+    if (!window.confirm('Turn off two-factor authentication? Logging in will only need your password.')) return;
+    const data = await post('/api/auth/2fa/disable', { password });
+    if (data) {
+      setPassword('');
+      setStatus(prev => ({ ...prev, twoFactorEnabled: false }));
+    }
+  };
+
+  const regenerate = async () => {
+    const data = await post('/api/auth/2fa/recovery-codes', { password });
+    if (data) {
+      setPassword('');
+      setRecoveryCodes(data.recoveryCodes);
+      setStatus(prev => ({ ...prev, recoveryCodesLeft: data.recoveryCodes.length }));
+    }
+  };
+
+  let body;
+  if (!status) {
+    body = !error && <div className="empty-state">Loading...</div>;
+  } else if (recoveryCodes) {
+    body = <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+  } else if (setup) {
+    body = (
+      <form onSubmit={enable}>
+        <p className="modal-help">
+          Scan this QR code with an authenticator app (Google Authenticator, Authy, 1Password...),
+          then enter the 6-digit code it shows.
+        </p>
+        <img className="two-factor-qr" src={setup.qrCode} alt="QR code for your authenticator app" />
+        <p className="modal-help">
+          Can't scan it? Enter this key instead: <code className="two-factor-secret">{setup.secret}</code>
+        </p>
+        <label>
+          Code from the app
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            required
+          />
+        </label>
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <button type="submit" disabled={busy}>{busy ? 'Checking...' : 'Turn on'}</button>
+          <button type="button" onClick={() => setSetup(null)}>Back</button>
+        </div>
+      </form>
+    );
+  } else if (status.twoFactorEnabled) {
+    body = (
+      <>
+        <p className="modal-help">
+          Two-factor authentication is on. Logging in asks for a code from your authenticator app.
+          {' '}{status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left.
+        </p>
+        <label>
+          Password
+          <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} />
+        </label>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button type="button" onClick={regenerate} disabled={busy || !password}>New recovery codes</button>
+          <button type="button" onClick={disable} disabled={busy || !password}>Turn off</button>
+        </div>
+      </>
+    );
+  } else {
+    body = (
+      <>
+        <p className="modal-help">
+          Protect your account with a second step at login: a code from an authenticator app on your phone.
+        </p>
+        <div>
+          <button type="button" onClick={startSetup} disabled={busy}>{busy ? 'Please wait...' : 'Set up'}</button>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true">
+      <div className="settings-modal">
+        <h3>Two-factor authentication</h3>
+        {error && <div className="auth-error">{error}</div>}
+        {body}
+        {!recoveryCodes && (
+          <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+            <button type="button" onClick={onClose}>Close</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from './auth';
+
+const formatTokens = (n) => n.toLocaleString();
+
+// One "Today" / "This month" row: tokens used, and a bar when a quota is configured
+function UsageRow({ label, period }) {
+  const percent = period.limit ? Math.min(100, Math.round((period.used / period.limit) * 100)) : 0;
+  return (
+    <div className="usage-row">
+      <div className="usage-row-label">
+        <span>{label}</span>
+        <span>
+          {formatTokens(period.used)}
+          {period.limit ? ` / ${formatTokens(period.limit)}` : ''} tokens
+        </span>
+      </div>
+      {period.limit && (
+        <div
+          className={`usage-bar ${percent >= 90 ? 'near-limit' : ''}`}
+          role="progressbar"
+          aria-label={`${label} token usage`}
+          aria-valuenow={percent}
+          aria-valuemin={0}
+          aria-valuemax={100}
+        >
+          <div style={{ width: `${percent}%` }} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Token usage against the daily and monthly quotas, loaded each time it is shown
+export default function UsageMeter({ token }) {
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadUsage = async () => {
+      try {
+        const headers = { 'Content-Type': 'application/json' };
+        const response = await apiFetch('/api/chat/usage', { headers });
+        if (response.ok) {
+          const data = await response.json();
+          if (!cancelled) setUsage(data);
+        } else {
+          console.error('Failed to load usage', response.status);
+        }
+      } catch (err) {
+        console.error('Error loading usage:', err);
+      }
+    };
+    loadUsage();
+    return () => { cancelled = true; };
+  }, [token]);
+
+  if (!usage) return null;
+  return (
+    <div className="usage-meter">
+      <UsageRow label="Today" period={usage.day} />
+      <UsageRow label="This month" period={usage.month} />
+    </div>
+  );
+}
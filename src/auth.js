@@ -0,0 +1,74 @@
+// Client side of the sign-in session. The access token is short-lived and only kept in memory;
+// the long-lived refresh token is an httpOnly cookie the page can't read, sent to
+// /api/auth/refresh to get a new access token when the old one expires or the page reloads.
+// Components still receive a `token` prop, which only tells them whether someone is signed in:
+// apiFetch always sends the current access token.
+
+let accessToken = null;
+let refreshing = null;
+let expiredHandler = null;
+
+// Identifies this tab to the server, so live updates caused by its own requests aren't echoed
+// back to it (see useSessionEvents)
+export const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+export const setAccessToken = (token) => {
+  accessToken = token;
+};
+
+// Called when the sign-in can't be renewed any more (signed out elsewhere, or expired)
+export const onSessionExpired = (handler) => {
+  expiredHandler = handler;
+};
+
+// Resolves to { token, user } with a fresh access token, or null when there is no sign-in to
+// renew. Concurrent calls share one request, since the refresh token changes with every use.
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = fetch('/api/auth/refresh', { method: 'POST', credentials: 'same-origin' })
+      .then(async (res) => {
+        if (!res.ok) return null;
+        const data = await res.json();
+        accessToken = data.token;
+        return data;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+// 401s from the server's auth middleware carry WWW-Authenticate: Bearer error="invalid_token";
+// other 401s (e.g. a wrong password) aren't fixed by a new token
+const isTokenError = (res) =>
+  res.status === 401 && /invalid_token/.test(res.headers.get('WWW-Authenticate') || '');
+
+// fetch for the API: adds the access token and, when it has expired, renews it and retries once
+export async function apiFetch(url, options = {}) {
+  const send = () => {
+    const headers = { ...options.headers, 'X-Client-Id': CLIENT_ID };
+    if (accessToken) headers.Authorization = `Bearer ${accessToken}`;
+    return fetch(url, { ...options, headers });
+  };
+
+  const res = await send();
+  if (!isTokenError(res) || !accessToken) return res;
+
+  const renewed = await refreshSession().catch(() => null);
+  if (!renewed) {
+    accessToken = null;
+    if (expiredHandler) expiredHandler();
+    return res;
+  }
+  return send();
+}
+
+export async function logout() {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+  } catch (err) {
+    console.error('Error logging out:', err);
+  }
+  accessToken = null;
+}
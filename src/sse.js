@@ -0,0 +1,31 @@
+// Parse one "event: ...\ndata: ..." block of a Server-Sent Events stream read with fetch
+// (EventSource can't send the Authorization header)
+export const parseSseEvent = (raw) => {
+  let event = 'message';
+  let data = '';
+  for (const line of raw.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data += line.slice(5).trim();
+  }
+  try {
+    return { event, data: data ? JSON.parse(data) : {} };
+  } catch (err) {
+    console.error('Malformed stream event:', raw);
+    return { event: 'ignored', data: {} };
+  }
+};
+
+// Call onEvent(event, data) for each event of a streaming response until it ends
+export async function readSseEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const { event, data } of events.map(parseSseEvent)) onEvent(event, data);
+  }
+}
@@ -0,0 +1,57 @@
+import { useEffect, useRef } from 'react';
+import { apiFetch } from './auth';
+import { readSseEvents } from './sse';
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Keep a stream of live updates from GET /api/chat/events open while `enabled`, calling
+// handlers[eventName](data) for each event (session.created, session.updated, session.deleted,
+// message.appended). The server ends the stream when the access token expires, and the network
+// may drop it, so it reconnects (backing off on errors); events sent while disconnected are
+// lost, so handlers.reconnected() is called to resync.
+export default function useSessionEvents(enabled, handlers) {
+  const handlersRef = useRef(handlers);
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const controller = new AbortController();
+    let retryMs = MIN_RETRY_MS;
+    let retryTimer = null;
+    let connectedBefore = false;
+
+    const connect = async () => {
+      try {
+        const res = await apiFetch('/api/chat/events', { signal: controller.signal });
+        // Signed out: apiFetch has already handed over to the session expired handler
+        if (res.status === 401) return;
+        if (res.ok) {
+          await readSseEvents(res, (event, data) => {
+            if (event === 'ready') {
+              retryMs = MIN_RETRY_MS;
+              if (connectedBefore) handlersRef.current.reconnected?.();
+              connectedBefore = true;
+            } else {
+              handlersRef.current[event]?.(data);
+            }
+          });
+        }
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Live updates disconnected:', err);
+      }
+      if (controller.signal.aborted) return;
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+    };
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [enabled]);
+}